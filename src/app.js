@@ -1,26 +1,40 @@
 const express = require('express');
 const cors = require('cors');
 const morgan = require('morgan');
-const { expressjwt: jwt } = require('express-jwt');
 require('dotenv').config();
 
 // Import utilities and middleware
 const RedisCache = require('./utils/redis-cache');
 const logger = require('./utils/logger');
-const { createCircuitBreaker } = require('./utils/circuit-breaker');
+const UpstreamPool = require('./utils/upstream-pool');
+const HealthChecker = require('./utils/health-checker');
+const TokenRevocationStore = require('./utils/token-revocation');
+const ApiKeyStore = require('./utils/api-key-store');
+const CacheInvalidationSubscriber = require('./utils/cache-invalidation');
+const IdempotencyStore = require('./utils/idempotency-store');
 const serviceRegistry = require('./config/service-registry');
-const { authMiddleware, handleJwtError } = require('./middleware/auth.middleware');
+const { normalizePath } = require('./utils/path-matcher');
+const { createAuthMiddleware, handleJwtError } = require('./middleware/auth.middleware');
+const { createApiKeyMiddleware } = require('./middleware/api-key.middleware');
 const errorMiddleware = require('./middleware/error.middleware');
-const { apiLimiter } = require('./middleware/rate-limit.middleware');
+const { createIpRateCheck, createIpRateLimiter, createTieredRateLimiter } = require('./middleware/rate-limit.middleware');
 const { metricsMiddleware } = require('./middleware/metrics.middleware');
+const requestContextMiddleware = require('./middleware/request-context.middleware');
 
 // Import controllers
 const ProxyController = require('./controllers/proxy.controller');
 const HealthController = require('./controllers/health.controller');
+const AdminController = require('./controllers/admin.controller');
+const AggregationController = require('./controllers/aggregation.controller');
+const GraphqlController = require('./controllers/graphql.controller');
+const LiveController = require('./controllers/live.controller');
 
 // Import routes
 const initHealthRoutes = require('./routes/health.routes');
 const initProxyRoutes = require('./routes/proxy.routes');
+const initAdminRoutes = require('./routes/admin.routes');
+const initAggregationRoutes = require('./routes/aggregation.routes');
+const initGraphqlRoutes = require('./routes/graphql.routes');
 
 /**
  * Initialize the Express application
@@ -31,46 +45,101 @@ function createApp() {
   // Initialize Redis cache
   const redisCache = new RedisCache({
     prefix: 'api-gateway:',
-    ttl: 3600 // 1 hour default TTL
+    ttl: 3600, // 1 hour default TTL
+    logger
   });
   
-  // Initialize circuit breakers for each service
-  const circuitBreakers = {};
-  Object.keys(serviceRegistry.serviceMap).forEach(servicePath => {
-    circuitBreakers[servicePath] = createCircuitBreaker(servicePath, logger);
+  // Initialize an upstream pool (one circuit breaker per instance) for each service
+  const upstreamPools = {};
+  serviceRegistry.routes.forEach(route => {
+    upstreamPools[route.prefix] = new UpstreamPool(route, logger);
   });
   
+  // Background health checking of upstream instances (started by server.js)
+  const healthChecker = new HealthChecker(upstreamPools, logger);
+  
+  // Revoked tokens (logouts, bans) shared through Redis
+  const revocationStore = new TokenRevocationStore(redisCache, logger);
+  
+  // API keys for partner and internal clients
+  const apiKeyStore = new ApiKeyStore(redisCache, logger);
+  
+  // Purge events published by services (started by server.js once Redis is connected)
+  const cacheInvalidation = new CacheInvalidationSubscriber(redisCache, logger);
+  
+  // Responses to writes sent with an Idempotency-Key, replayed for repeats
+  const idempotencyStore = new IdempotencyStore(redisCache, logger);
+  
   // Initialize controllers
-  const proxyController = new ProxyController(circuitBreakers, redisCache);
-  const healthController = new HealthController(circuitBreakers);
+  const proxyController = new ProxyController(upstreamPools, redisCache, idempotencyStore);
+  const healthController = new HealthController(upstreamPools, healthChecker);
+  const adminController = new AdminController(revocationStore, apiKeyStore, redisCache);
+  const aggregationController = new AggregationController(proxyController);
+  const graphqlController = new GraphqlController(proxyController);
+  const liveController = new LiveController(upstreamPools, {
+    revocationStore,
+    apiKeyStore,
+    ipRateCheck: createIpRateCheck(redisCache)
+  });
+  
+  // Collapse repeated slashes and resolve dot segments so auth rules, routing and the upstream all see the same path
+  app.use((req, res, next) => {
+    req.url = normalizePath(req.url);
+    req.originalUrl = normalizePath(req.originalUrl);
+    next();
+  });
+  
+  // Assign request and trace ids before anything logs
+  app.use(requestContextMiddleware);
   
   // Apply basic middleware first
   app.use(cors());
-  app.use(express.json());
-  app.use(express.urlencoded({ extended: true }));
+  
+  // Streaming routes pipe the raw body upstream, so it must not be parsed
+  const unlessStreaming = (parser) => (req, res, next) => (
+    serviceRegistry.isStreamingPath(req.path) ? next() : parser(req, res, next)
+  );
+  app.use(unlessStreaming(express.json()));
+  app.use(unlessStreaming(express.urlencoded({ extended: true })));
   app.use(morgan('combined', { stream: logger.stream }));
   
   // Apply metrics middleware (needs to be before rate limiting)
   app.use(metricsMiddleware);
   
-  // Apply rate limiting
-  app.use(apiLimiter);
+  // Limit each IP before authentication, so rejected credentials and health checks count too
+  app.use(createIpRateLimiter(redisCache));
   
   // Apply health routes (before auth so they're always accessible)
   app.use(initHealthRoutes(healthController));
   
-  // Apply auth middleware
-  app.use(authMiddleware);
+  // Apply API key authentication, then JWT auth for requests without a key
+  app.use(createApiKeyMiddleware(apiKeyStore));
+  app.use(createAuthMiddleware({ revocationStore }));
   app.use(handleJwtError);
   
+  // Apply rate limiting (after auth so limits can be keyed by user or API key)
+  app.use(createTieredRateLimiter(redisCache));
+  
+  // Apply admin routes (admin role only)
+  app.use(initAdminRoutes(adminController));
+  
+  // Apply aggregation routes (before the proxy routes' catch-all for /api)
+  app.use(initAggregationRoutes(aggregationController));
+  
+  // Apply the GraphQL endpoint
+  app.use(initGraphqlRoutes(graphqlController));
+  
   // Apply proxy routes for API endpoints
-  app.use(initProxyRoutes(proxyController));
+  app.use(initProxyRoutes(proxyController, liveController));
   
   // Apply error middleware last
   app.use(errorMiddleware);
   
-  // Attach Redis cache to app for server.js to access
+  // Attach Redis cache and health checker to app for server.js to access
   app.redisCache = redisCache;
+  app.healthChecker = healthChecker;
+  app.cacheInvalidation = cacheInvalidation;
+  app.liveController = liveController;
   
   return app;
 }
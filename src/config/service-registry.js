@@ -1,40 +1,435 @@
+const fs = require('fs');
+const path = require('path');
+const { matchPath, normalizePath, isPathWithin } = require('../utils/path-matcher');
+
 /**
  * Service Registry Configuration
- * Maps API endpoints to their respective microservice URLs
+ * Builds the gateway route table from the declarative routes file
+ * (src/config/routes.json, or the file named by ROUTES_CONFIG)
  */
 
+const DEFAULT_ROUTES_FILE = path.join(__dirname, 'routes.json');
+const DEFAULT_CACHE_TTL = 1800; // 30 minutes
+const DEFAULT_STALE_WHILE_REVALIDATE = 60; // Seconds a stale entry is served while it is refreshed
+const DEFAULT_STALE_IF_ERROR = 0; // Seconds a stale entry can replace a failed upstream response (opt-in per route)
+const DEFAULT_CACHE_LOCK = {
+  ttl: 5000, // Lock lifetime in ms, bounding how long a crashed leader can hold it
+  wait: 3000 // How long other replicas wait for the leader's entry in ms
+};
+const DEFAULT_HEALTH_CHECK = {
+  enabled: true,
+  path: '/health',
+  interval: 10000, // Time between probes in ms
+  timeout: 2000, // Probe timeout in ms
+  healthyThreshold: 2, // Consecutive successes before an instance is marked UP
+  unhealthyThreshold: 3 // Consecutive failures before an instance is marked DOWN
+};
+const DEFAULT_RATE_LIMITS = {
+  // Per-IP limit applied before authentication, whatever the caller's credentials
+  ip: { windowMs: 15 * 60 * 1000, max: 1000 },
+  tiers: {
+    reads: { windowMs: 15 * 60 * 1000, max: 100 },
+    writes: { windowMs: 15 * 60 * 1000, max: 100 }
+  },
+  claim: 'plan',
+  plans: {}
+};
+const AUTH_POLICIES = ['public', 'optional', 'required'];
+const LOAD_BALANCING_STRATEGIES = ['round-robin', 'weighted', 'least-outstanding'];
+const DEFAULT_LIVE = {
+  websocket: [], // Sub-path prefixes proxied as WebSocket upgrades
+  sse: [], // Sub-path prefixes proxied as Server-Sent Events streams
+  maxConnectionsPerUser: 10, // Open connections per caller on the route, per replica
+  idleTimeout: 300000 // Time without traffic before a connection is closed, in ms
+};
+const DEFAULT_RESILIENCE = {
+  timeout: 5000, // Time one attempt may take, in ms
+  deadline: 10000, // Time a request may take overall, retries and failover included, in ms
+  retries: 2, // Retries of a failed attempt, for requests that can be sent again
+  backoff: {
+    min: 200, // Delay before the first retry, in ms
+    max: 2000, // Longest delay between retries, in ms
+    factor: 2 // Growth of the delay with each retry; delays are randomized up to twice as long
+  },
+  breaker: {
+    errorThresholdPercentage: 50, // Error rate that opens an instance's breaker
+    resetTimeout: 30000, // Time before an open breaker lets a request through, in ms
+    rollingCountTimeout: 60000, // Window of the error rate, in ms
+    rollingCountBuckets: 10 // Number of buckets the window slides by
+  },
+  retryBudget: {
+    ratio: 0.2, // Retries and failovers allowed per request sent to the service
+    minPerSecond: 10, // Retries allowed whatever the traffic
+    window: 10000 // Window traffic is counted over, in ms
+  }
+};
+// Settings a resilience rule can override for the requests it matches
+const RESILIENCE_RULE_SETTINGS = ['timeout', 'deadline', 'retries', 'backoff', 'fallback'];
+const AGGREGATION_ERROR_POLICIES = ['omit', 'fallback', 'fail'];
+const DEFAULT_AGGREGATION_MAX_ITEMS = 20; // Most sub-requests a `forEach` section makes
+
+// Replace ${VAR} and ${VAR:-default} placeholders with environment values
+function interpolate(value) {
+  if (typeof value === 'string') {
+    return value.replace(/\$\{(\w+)(?::-([^}]*))?\}/g, (match, name, fallback) => {
+      return process.env[name] !== undefined ? process.env[name] : (fallback || '');
+    });
+  }
+  if (Array.isArray(value)) {
+    return value.map(interpolate);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, interpolate(item)]));
+  }
+  return value;
+}
+
+// Build the instance list from `upstreams` or a comma-separated `upstream`
+function normalizeInstances(route) {
+  const entries = route.upstreams || String(route.upstream || '').split(',');
+
+  return entries
+    .map(entry => (typeof entry === 'string' ? { url: entry } : entry))
+    .filter(entry => entry.url && entry.url.trim())
+    .map(entry => ({
+      url: entry.url.trim().replace(/\/+$/, ''),
+      weight: Number(entry.weight) > 0 ? Number(entry.weight) : 1
+    }));
+}
+
+// Merge a route's header policy with the defaults; deny lists accumulate
+function normalizeHeaders(headers = {}, defaults = {}) {
+  return {
+    allow: headers.allow || defaults.allow || [],
+    deny: [...(defaults.deny || []), ...(headers.deny || [])]
+  };
+}
+
+// `stream: true` streams the whole route, an array streams only those sub-paths
+function normalizeStream(stream) {
+  if (stream === true) return ['/'];
+  return Array.isArray(stream) ? stream : [];
+}
+
+// Fill in the long-lived connection settings of a route
+function normalizeLive(live = {}, prefix) {
+  const settings = { ...DEFAULT_LIVE, ...live };
+  [settings.websocket, settings.sse].forEach(paths => {
+    if (!Array.isArray(paths) || !paths.every(subPath => typeof subPath === 'string' && subPath.startsWith('/'))) {
+      throw new Error(`Route ${prefix} live.websocket and live.sse must be lists of paths starting with '/'`);
+    }
+  });
+  return settings;
+}
+
+// Check the timeouts and retries of resilience settings or of a rule
+function validateResilience(settings, label) {
+  ['timeout', 'deadline'].forEach(name => {
+    if (settings[name] !== undefined && !(settings[name] > 0)) {
+      throw new Error(`${label} ${name} must be a positive number of ms`);
+    }
+  });
+  if (settings.retries !== undefined && !(Number.isInteger(settings.retries) && settings.retries >= 0)) {
+    throw new Error(`${label} retries must be a non-negative integer`);
+  }
+}
+
+// Merge a route's resilience settings over the defaults
+// Rules override `RESILIENCE_RULE_SETTINGS` for the requests matching their `methods` and `path`
+function normalizeResilience(resilience = {}, defaults = {}, prefix = '') {
+  const merge = name => ({ ...DEFAULT_RESILIENCE[name], ...defaults[name], ...resilience[name] });
+  const settings = {
+    ...DEFAULT_RESILIENCE,
+    ...defaults,
+    ...resilience,
+    backoff: merge('backoff'),
+    breaker: merge('breaker'),
+    retryBudget: merge('retryBudget')
+  };
+  validateResilience(settings, `Route ${prefix} resilience`);
+
+  settings.rules = (resilience.rules || []).map((rule, index) => {
+    const label = `Route ${prefix} resilience rule #${index}`;
+    const unknown = Object.keys(rule).filter(key => !['methods', 'path', ...RESILIENCE_RULE_SETTINGS].includes(key));
+    if (unknown.length > 0) {
+      throw new Error(`${label} can only set ${RESILIENCE_RULE_SETTINGS.join(', ')} (got ${unknown.join(', ')})`);
+    }
+    if (rule.path !== undefined && !String(rule.path).startsWith('/')) {
+      throw new Error(`${label} path must start with '/'`);
+    }
+    validateResilience(rule, label);
+    return rule.backoff ? { ...rule, backoff: { ...settings.backoff, ...rule.backoff } } : rule;
+  });
+  return settings;
+}
+
+// Validate a single route entry and fill in defaults
+function normalizeRoute(route, index, defaults = {}) {
+  if (!route.prefix || !route.prefix.startsWith('/')) {
+    throw new Error(`Route #${index} must declare a prefix starting with '/'`);
+  }
+
+  const instances = normalizeInstances(route);
+  if (instances.length === 0) {
+    throw new Error(`Route ${route.prefix} must declare an upstream`);
+  }
+
+  const loadBalancing = route.loadBalancing || 'round-robin';
+  if (!LOAD_BALANCING_STRATEGIES.includes(loadBalancing)) {
+    throw new Error(`Route ${route.prefix} has unknown load balancing strategy '${loadBalancing}'`);
+  }
+
+  const auth = {
+    policy: 'optional',
+    public: [],
+    rules: [],
+    ...route.auth
+  };
+  if (!AUTH_POLICIES.includes(auth.policy)) {
+    throw new Error(`Route ${route.prefix} has unknown auth policy '${auth.policy}'`);
+  }
+
+  const cache = {
+    ttl: DEFAULT_CACHE_TTL,
+    staleWhileRevalidate: DEFAULT_STALE_WHILE_REVALIDATE,
+    staleIfError: DEFAULT_STALE_IF_ERROR,
+    tags: [],
+    invalidate: [],
+    coalesce: true,
+    ...route.cache
+  };
+  // `lock: true` uses the default lock timings
+  cache.lock = cache.lock ? { ...DEFAULT_CACHE_LOCK, ...(cache.lock === true ? {} : cache.lock) } : null;
+  [...cache.tags, ...cache.invalidate.filter(rule => typeof rule === 'object')].forEach(rule => {
+    if (!Array.isArray(rule.tags)) {
+      throw new Error(`Route ${route.prefix} has a cache tag rule without a tags list`);
+    }
+  });
+
+  const metrics = {
+    paths: [],
+    ...route.metrics
+  };
+  if (!Array.isArray(metrics.paths) || !metrics.paths.every(template => typeof template === 'string' && template.startsWith('/'))) {
+    throw new Error(`Route ${route.prefix} metrics.paths must be a list of paths starting with '/'`);
+  }
+
+  const prefix = route.prefix.replace(/\/+$/, '');
+
+  return {
+    ...route,
+    name: route.name || prefix.split('/').pop(),
+    prefix,
+    upstream: instances[0].url,
+    instances,
+    loadBalancing,
+    auth,
+    cache,
+    headers: normalizeHeaders(route.headers, defaults.headers),
+    stream: normalizeStream(route.stream),
+    live: normalizeLive(route.live, route.prefix),
+    resilience: normalizeResilience(route.resilience, defaults.resilience, route.prefix),
+    rateLimits: route.rateLimits || [],
+    metrics,
+    healthCheck: {
+      ...DEFAULT_HEALTH_CHECK,
+      ...route.healthCheck
+    },
+    fallback: route.fallback || null
+  };
+}
+
+// Validate an aggregation entry against the route table and fill in defaults
+function normalizeAggregation(aggregation, index, routes) {
+  if (!aggregation.path || !aggregation.path.startsWith('/')) {
+    throw new Error(`Aggregation #${index} must declare a path starting with '/'`);
+  }
+  if (!Array.isArray(aggregation.sections) || aggregation.sections.length === 0) {
+    throw new Error(`Aggregation ${aggregation.path} must declare sections`);
+  }
+
+  const names = new Set();
+  const sections = aggregation.sections.map(section => {
+    if (!section.name || names.has(section.name)) {
+      throw new Error(`Aggregation ${aggregation.path} must give each section a unique name`);
+    }
+    const label = `Aggregation ${aggregation.path} section '${section.name}'`;
+
+    const route = routes.find(entry => entry.name === section.service);
+    if (!route) {
+      throw new Error(`${label} uses unknown service '${section.service}'`);
+    }
+    if (!section.path || !section.path.startsWith('/')) {
+      throw new Error(`${label} must declare a path starting with '/'`);
+    }
+
+    const onError = section.onError || 'fail';
+    if (!AGGREGATION_ERROR_POLICIES.includes(onError)) {
+      throw new Error(`${label} has unknown onError policy '${onError}'`);
+    }
+    if (onError === 'fallback' && !route.fallback) {
+      throw new Error(`${label} uses onError 'fallback' but service '${route.name}' declares no fallback`);
+    }
+
+    // Sections can only iterate over sections declared before them, which rules out cycles
+    const forEach = section.forEach
+      ? { items: null, field: null, maxItems: DEFAULT_AGGREGATION_MAX_ITEMS, ...section.forEach }
+      : null;
+    if (forEach && !names.has(forEach.section)) {
+      throw new Error(`${label} must iterate over an earlier section`);
+    }
+
+    names.add(section.name);
+    return { ...section, onError, forEach };
+  });
+
+  return {
+    ...aggregation,
+    name: aggregation.name || aggregation.path,
+    sections
+  };
+}
+
+// Read and normalize the routes file
+function loadRoutes(file = process.env.ROUTES_CONFIG || DEFAULT_ROUTES_FILE) {
+  const config = interpolate(JSON.parse(fs.readFileSync(file, 'utf8')));
+
+  if (!Array.isArray(config.routes)) {
+    throw new Error(`Routes file ${file} must contain a "routes" array`);
+  }
+
+  const rateLimits = {
+    ...DEFAULT_RATE_LIMITS,
+    ...config.rateLimits,
+    ip: { ...DEFAULT_RATE_LIMITS.ip, ...(config.rateLimits || {}).ip },
+    tiers: { ...DEFAULT_RATE_LIMITS.tiers, ...(config.rateLimits || {}).tiers }
+  };
+  const routes = config.routes.map((route, index) => normalizeRoute(route, index, config.defaults));
+
+  routes.forEach(route => route.rateLimits.forEach(rule => {
+    if (!rateLimits.tiers[rule.tier]) {
+      throw new Error(`Route ${route.prefix} uses unknown rate limit tier '${rule.tier}'`);
+    }
+  }));
+
+  const aggregations = (config.aggregations || [])
+    .map((aggregation, index) => normalizeAggregation(aggregation, index, routes));
+
+  return {
+    defaults: config.defaults || {},
+    rateLimits,
+    routes,
+    aggregations
+  };
+}
+
+// Path of a request relative to its route, normalized and lowercased as matchRoute compares it
+function getSubPath(route, requestPath) {
+  return normalizePath(requestPath).toLowerCase().substring(route.prefix.length) || '/';
+}
+
+const { defaults, rateLimits, routes, aggregations } = loadRoutes();
+
 const serviceRegistry = {
+  // Settings shared by every route
+  defaults,
+
+  // Rate limit tiers and plan multipliers
+  rateLimits,
+
+  // Declarative route entries
+  routes,
+
+  // Composite endpoints combining several route calls into one response
+  aggregations,
+
   // Map of API paths to service URLs
-  serviceMap: {
-    '/api/user': process.env.USER_SERVICE_URL || 'http://localhost:3001',
-    '/api/review': process.env.REVIEW_SERVICE_URL || 'http://localhost:3002',
-    '/api/watchlist': process.env.WATCHLIST_SERVICE_URL || 'http://localhost:3003'
-  },
-  
+  serviceMap: Object.fromEntries(routes.map(route => [route.prefix, route.upstream])),
+
   // Get a service URL by its path
   getServiceUrl(path) {
     return this.serviceMap[path];
   },
-  
+
   // Get all service paths
   getServicePaths() {
     return Object.keys(this.serviceMap);
   },
-  
+
+  // Get the route entry for a prefix
+  getRoute(prefix) {
+    return this.routes.find(route => route.prefix === prefix);
+  },
+
+  // Get the route entry with a service name
+  getRouteByName(name) {
+    return this.routes.find(route => route.name === name);
+  },
+
+  // Find the route entry whose prefix matches a request path
+  // Case-insensitive and ignoring repeated slashes, as Express routes requests
+  matchRoute(requestPath) {
+    const path = normalizePath(requestPath).toLowerCase();
+    return this.routes.find(route => {
+      const prefix = route.prefix.toLowerCase();
+      return path === prefix || path.startsWith(`${prefix}/`);
+    });
+  },
+
+  // Metrics label for a request path: the path of the aggregation serving it, or
+  // the route's first `metrics.paths` template matching it (e.g. `/api/review/movie/:movieId`), or null
+  getPathLabel(requestPath) {
+    const aggregation = this.aggregations.find(entry => matchPath(entry.path, normalizePath(requestPath)));
+    if (aggregation) return aggregation.path;
+    
+    const route = this.matchRoute(requestPath);
+    if (!route) return null;
+    
+    const template = route.metrics.paths.find(pattern => matchPath(pattern, getSubPath(route, requestPath)));
+    return template ? `${route.prefix}${template}` : null;
+  },
+
+  // Check whether a request path is on a route that streams request and response bodies
+  isStreamingPath(requestPath) {
+    const route = this.matchRoute(requestPath);
+    if (!route) return false;
+    
+    const subPath = getSubPath(route, requestPath);
+    return route.stream.some(streamPath => isPathWithin(subPath, streamPath.toLowerCase()));
+  },
+
+  // Long-lived connection protocol of a request path: `websocket`, `sse` or null
+  getLiveProtocol(requestPath) {
+    const route = this.matchRoute(requestPath);
+    if (!route) return null;
+    
+    const subPath = getSubPath(route, requestPath);
+    return ['websocket', 'sse'].find(protocol =>
+      route.live[protocol].some(livePath => isPathWithin(subPath, livePath.toLowerCase()))
+    ) || null;
+  },
+
   // Add a new service to the registry
-  addService(path, url) {
-    this.serviceMap[path] = url;
+  addService(path, url, options = {}) {
+    const route = normalizeRoute({ upstream: url, ...options, prefix: path }, this.routes.length, this.defaults);
+    this.removeService(route.prefix);
+    this.routes.push(route);
+    this.serviceMap[route.prefix] = route.upstream;
     return this.serviceMap;
   },
-  
+
   // Remove a service from the registry
   removeService(path) {
     if (this.serviceMap[path]) {
       delete this.serviceMap[path];
+      this.routes.splice(this.routes.findIndex(route => route.prefix === path), 1);
       return true;
     }
     return false;
-  }
+  },
+
+  loadRoutes,
+  normalizeResilience
 };
 
 module.exports = serviceRegistry;
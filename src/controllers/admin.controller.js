@@ -0,0 +1,258 @@
+const logger = require('../utils/logger');
+const serviceRegistry = require('../config/service-registry');
+const httpCache = require('../utils/http-cache');
+const { escapeGlob } = require('../utils/glob');
+const { metrics } = require('../middleware/metrics.middleware');
+
+const MAX_SCAN_COUNT = 1000;
+
+const isStringList = (value) => Array.isArray(value) && value.every(item => typeof item === 'string' && item);
+
+// Cache keys are shown without the response namespace, as in invalidation events
+const toCacheKey = (key) => key.slice(httpCache.RESPONSE_KEY_PREFIX.length);
+const toStoredKey = (key) => `${httpCache.RESPONSE_KEY_PREFIX}${key}`;
+
+/**
+ * Admin Controller
+ * Gateway administration endpoints (admin role only)
+ */
+class AdminController {
+  constructor(revocationStore, apiKeyStore, redisCache) {
+    this.revocationStore = revocationStore;
+    this.apiKeyStore = apiKeyStore;
+    this.redisCache = redisCache;
+  }
+
+  /**
+   * Revoke a single token by `jti`, or every token of a user issued before a
+   * point in time (logout everywhere, account bans)
+   */
+  async revokeTokens(req, res) {
+    const { jti, exp, userId, before } = req.body || {};
+
+    if (jti === undefined && userId === undefined) {
+      return res.status(400).json({ error: 'Either jti or userId is required' });
+    }
+
+    try {
+      if (jti !== undefined) {
+        await this.revocationStore.revokeToken(jti, exp);
+      }
+      if (userId !== undefined) {
+        await this.revocationStore.revokeUser(userId, before);
+      }
+
+      // The child logger's userId is the admin; the revoked user goes in targetUserId
+      logger.forRequest(req).info('Tokens revoked', { type: 'token_revoked', jti, targetUserId: userId });
+
+      res.status(200).json({ revoked: true, jti, userId });
+    } catch (error) {
+      logger.error(`Token revocation failed: ${error.message}`);
+      res.status(500).json({ error: 'Token revocation failed' });
+    }
+  }
+
+  /**
+   * Create an API key; the plaintext key is only returned in this response
+   */
+  async createApiKey(req, res) {
+    const { name, scopes, rateLimit } = req.body || {};
+
+    if (!name || !Array.isArray(scopes) || scopes.length === 0) {
+      return res.status(400).json({ error: 'name and at least one scope are required' });
+    }
+    if (rateLimit && !(rateLimit.windowMs > 0 && rateLimit.max > 0)) {
+      return res.status(400).json({ error: 'rateLimit needs positive windowMs and max' });
+    }
+
+    try {
+      const apiKey = await this.apiKeyStore.create({ name, scopes, rateLimit });
+      res.status(201).json(apiKey);
+    } catch (error) {
+      logger.error(`API key creation failed: ${error.message}`);
+      res.status(500).json({ error: 'API key creation failed' });
+    }
+  }
+
+  /**
+   * List API keys (hashes are never returned)
+   */
+  async listApiKeys(req, res) {
+    try {
+      res.status(200).json({ apiKeys: await this.apiKeyStore.list() });
+    } catch (error) {
+      logger.error(`API key listing failed: ${error.message}`);
+      res.status(500).json({ error: 'API key listing failed' });
+    }
+  }
+
+  /**
+   * Revoke an API key by id
+   */
+  async revokeApiKey(req, res) {
+    try {
+      const apiKey = await this.apiKeyStore.revoke(req.params.id);
+      if (!apiKey) {
+        return res.status(404).json({ error: 'API key not found' });
+      }
+      res.status(200).json(apiKey);
+    } catch (error) {
+      logger.error(`API key revocation failed: ${error.message}`);
+      res.status(500).json({ error: 'API key revocation failed' });
+    }
+  }
+
+  /**
+   * Look up the cached response for a URL, for a user when `userId` is given;
+   * responses cached per Vary value are listed as variants
+   */
+  async getCacheEntry(req, res) {
+    const { url, userId } = req.query;
+    if (typeof url !== 'string' || !url.startsWith('/')) {
+      return res.status(400).json({ error: 'url must be a path, e.g. /api/review/movie/1' });
+    }
+
+    try {
+      const key = httpCache.getResponseKey(url, typeof userId === 'string' ? userId : undefined);
+      const entry = await this.redisCache.get(key);
+      if (!entry) {
+        return res.status(404).json({ error: 'Not cached', key: toCacheKey(key) });
+      }
+      if (!entry.vary) {
+        return res.status(200).json(describeEntry(key, entry));
+      }
+
+      const variants = [];
+      let cursor = '0';
+      do {
+        const page = await this.redisCache.scanKeys(`${escapeGlob(key)}#vary:*`, cursor, MAX_SCAN_COUNT);
+        for (const variantKey of page.keys) {
+          const variant = await this.redisCache.get(variantKey);
+          if (variant) variants.push(describeEntry(variantKey, variant));
+        }
+        cursor = page.cursor;
+      } while (cursor !== '0');
+
+      res.status(200).json({ key: toCacheKey(key), vary: entry.vary, variants });
+    } catch (error) {
+      logger.error(`Cache lookup failed: ${error.message}`);
+      res.status(500).json({ error: 'Cache lookup failed' });
+    }
+  }
+
+  /**
+   * List cache keys starting with `prefix`, one SCAN page at a time
+   * A page may be empty while `cursor` is not '0'; keep following the cursor
+   */
+  async listCacheKeys(req, res) {
+    const { prefix = '', cursor = '0' } = req.query;
+    const count = Math.min(parseInt(req.query.count, 10) || 100, MAX_SCAN_COUNT);
+    if (typeof prefix !== 'string' || !/^\d+$/.test(cursor)) {
+      return res.status(400).json({ error: 'prefix must be a string and cursor a number' });
+    }
+
+    try {
+      const page = await this.redisCache.scanKeys(`${escapeGlob(toStoredKey(prefix))}*`, cursor, count);
+      res.status(200).json({ keys: page.keys.map(toCacheKey), cursor: page.cursor });
+    } catch (error) {
+      logger.error(`Cache key listing failed: ${error.message}`);
+      res.status(500).json({ error: 'Cache key listing failed' });
+    }
+  }
+
+  /**
+   * Purge cached responses by key, tag, service or user
+   * Body: { "keys": [...], "tags": [...], "services": [...], "users": [...] }
+   */
+  async purgeCache(req, res) {
+    const { keys = [], tags = [], services = [], users = [] } = req.body || {};
+    if (![keys, tags, services, users].every(isStringList) || keys.length + tags.length + services.length + users.length === 0) {
+      return res.status(400).json({ error: 'At least one of keys, tags, services or users is required, as lists of strings' });
+    }
+
+    const routeNames = serviceRegistry.routes.map(route => route.name);
+    const unknown = services.filter(name => !routeNames.includes(name));
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: `Unknown services: ${unknown.join(', ')}` });
+    }
+
+    try {
+      let deleted = await this.redisCache.invalidateTags([...tags, ...services.map(name => `service:${name}`)]) || 0;
+      for (const key of keys) {
+        deleted += await this.redisCache.del(toStoredKey(key)) || 0;
+      }
+      for (const userId of users) {
+        deleted += await this.redisCache.invalidateUserCache(userId) || 0;
+      }
+
+      logger.forRequest(req).info('Cache purged', { type: 'cache_purge', keys, tags, services, users, deleted });
+      res.status(200).json({ deleted });
+    } catch (error) {
+      logger.error(`Cache purge failed: ${error.message}`);
+      res.status(500).json({ error: 'Cache purge failed' });
+    }
+  }
+
+  /**
+   * Delete every cached response and tag set (other gateway data is kept)
+   */
+  async flushCache(req, res) {
+    try {
+      const deleted = (await this.redisCache.flush(httpCache.RESPONSE_KEY_PREFIX) || 0) +
+        (await this.redisCache.flush(this.redisCache.tagKey('')) || 0);
+
+      logger.forRequest(req).warn('Cache flushed', { type: 'cache_purge', deleted });
+      res.status(200).json({ deleted });
+    } catch (error) {
+      logger.error(`Cache flush failed: ${error.message}`);
+      res.status(500).json({ error: 'Cache flush failed' });
+    }
+  }
+
+  /**
+   * Per-service cache statistics: lookups by result since this replica started,
+   * and the number of cached keys (shared by all replicas)
+   */
+  async getCacheStats(req, res) {
+    try {
+      const lookups = (await metrics.cacheRequests.get()).values;
+      const services = {};
+      for (const route of serviceRegistry.routes) {
+        const count = (result) => lookups
+          .filter(({ labels }) => labels.service === route.name && labels.result === result)
+          .reduce((sum, { value }) => sum + value, 0);
+        const [hits, stale, misses] = [count('hit'), count('stale'), count('miss')];
+        const total = hits + stale + misses;
+
+        services[route.name] = {
+          hits,
+          stale,
+          misses,
+          hitRatio: total > 0 ? (hits + stale) / total : null,
+          keys: await this.redisCache.countTagged(`service:${route.name}`)
+        };
+      }
+
+      res.status(200).json({
+        redis: { connected: this.redisCache.connected },
+        local: this.redisCache.local ? this.redisCache.local.stats() : null,
+        services
+      });
+    } catch (error) {
+      logger.error(`Cache statistics failed: ${error.message}`);
+      res.status(500).json({ error: 'Cache statistics failed' });
+    }
+  }
+}
+
+// Admin view of a cache entry
+function describeEntry(key, entry) {
+  return {
+    key: toCacheKey(key),
+    ...entry,
+    freshness: httpCache.getFreshness(entry),
+    age: httpCache.getAge(entry)
+  };
+}
+
+module.exports = AdminController;
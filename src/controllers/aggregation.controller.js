@@ -0,0 +1,150 @@
+const logger = require('../utils/logger');
+const serviceRegistry = require('../config/service-registry');
+const { metrics } = require('../middleware/metrics.middleware');
+const { renderTag } = require('../utils/cache-tags');
+const { isPathIdentifier } = require('../utils/path-matcher');
+
+// Fill a section path template with identifier values; null when a placeholder has no usable value,
+// so that values such as `..` can't move the call to another upstream path
+const renderPath = (template, values) => renderTag(template, Object.fromEntries(
+  Object.entries(values)
+    .filter(([, value]) => isPathIdentifier(value))
+    .map(([name, value]) => [name, String(value)])
+));
+
+/**
+ * Aggregation Controller
+ * Serves the composite endpoints declared under `aggregations` in the route
+ * table. Each section is a GET to a route, made through the proxy controller's
+ * response cache and the route's upstream pool exactly as a direct call would
+ * be, and the section bodies are merged into one response keyed by section name.
+ * Sections run in parallel, except `forEach` sections, which wait for the
+ * section they iterate over.
+ */
+class AggregationController {
+  constructor(proxyController) {
+    this.proxyController = proxyController;
+  }
+
+  /**
+   * Handle a request to an aggregation (set by the router as req.aggregation)
+   */
+  async aggregate(req, res) {
+    const aggregation = req.aggregation;
+    const log = logger.forRequest(req);
+    const values = { ...req.params, userId: req.user?.id };
+
+    const pending = {};
+    aggregation.sections.forEach(section => {
+      pending[section.name] = section.forEach
+        ? pending[section.forEach.section].then(source => this.runForEach(req, section, source, values, log))
+        : this.runSection(req, section, values, log);
+    });
+    const results = await Promise.all(aggregation.sections.map(section => pending[section.name]));
+
+    const body = {};
+    const partial = [];
+    let failure = null;
+    aggregation.sections.forEach((section, index) => {
+      const result = results[index];
+      metrics.aggregationSections.inc({ aggregation: aggregation.name, section: section.name, outcome: result.outcome });
+
+      if (result.outcome === 'failed') {
+        failure = failure || { section: section.name, ...result };
+        return;
+      }
+      if (result.outcome !== 'ok') {
+        partial.push(section.name);
+      }
+      if (result.outcome !== 'omitted') {
+        body[section.name] = result.data;
+      }
+    });
+
+    if (failure) {
+      log.error(`Aggregation ${aggregation.name} failed: section ${failure.section} answered ${failure.status}`, {
+        type: 'aggregation_error',
+        section: failure.section
+      });
+      // Client errors are passed through, e.g. a 404 for an unknown movie
+      if (failure.status < 500) {
+        return res.status(failure.status).json(failure.data || { error: 'Request failed' });
+      }
+      return res.status(failure.status).json({ error: `Section ${failure.section} is unavailable` });
+    }
+
+    if (partial.length > 0) {
+      res.setHeader('X-Aggregation-Partial', partial.join(', '));
+    }
+    log.info('Aggregation served', { type: 'aggregation', aggregation: aggregation.name, partial });
+    return res.json(body);
+  }
+
+  /**
+   * Fetch a section and apply its onError policy
+   * @returns {Promise<Object>} { outcome, data, status }; outcome is `ok`, `omitted`, `fallback` or `failed`
+   */
+  async runSection(req, section, values, log) {
+    const route = serviceRegistry.getRouteByName(section.service);
+    const path = renderPath(section.path, values);
+
+    let result;
+    if (!route) {
+      result = { status: 404, data: { error: 'Service not found' } };
+    } else if (!path) {
+      result = { status: 400, data: { error: `Section ${section.name} path could not be built` } };
+    } else {
+      result = await this.proxyController.fetchAsCaller(req, route, path, log);
+    }
+
+    if (!result.fallback && result.status < 400) {
+      return { outcome: 'ok', data: result.data, status: result.status };
+    }
+
+    log.warn(`Aggregation section ${section.name} answered ${result.status}`, {
+      type: 'aggregation_section',
+      section: section.name,
+      onError: section.onError
+    });
+    if (section.onError === 'omit') {
+      return { outcome: 'omitted', data: undefined, status: result.status };
+    }
+    if (section.onError === 'fallback' && route?.fallback) {
+      return { outcome: 'fallback', data: route.fallback.body, status: result.status };
+    }
+    return { outcome: 'failed', data: result.fallback ? null : result.data, status: result.status };
+  }
+
+  /**
+   * Fetch a `forEach` section once per distinct item of its source section
+   * The section data maps each item to its body; items are degraded one by one
+   * following the onError policy (outcome `partial`), and one failed item fails the section
+   */
+  async runForEach(req, section, source, values, log) {
+    const { items, field, maxItems } = section.forEach;
+    const list = items ? source.data?.[items] : source.data;
+    const keys = [...new Set((Array.isArray(list) ? list : [])
+      .map(item => (field ? item?.[field] : item))
+      .filter(key => typeof key === 'string' || typeof key === 'number')
+      .map(String))]
+      .slice(0, maxItems);
+
+    const results = await Promise.all(keys.map(item => this.runSection(req, section, { ...values, item }, log)));
+
+    const failed = results.find(result => result.outcome === 'failed');
+    if (failed) {
+      return failed;
+    }
+
+    const data = {};
+    results.forEach((result, index) => {
+      if (result.outcome !== 'omitted') {
+        data[keys[index]] = result.data;
+      }
+    });
+    const outcome = results.every(result => result.outcome === 'ok') ? 'ok' : 'partial';
+    return { outcome, data, status: 200 };
+  }
+}
+
+module.exports = AggregationController;
@@ -0,0 +1,142 @@
+const DataLoader = require('dataloader');
+const { GraphQLError, execute, parse, specifiedRules, validate } = require('graphql');
+const logger = require('../utils/logger');
+const serviceRegistry = require('../config/service-registry');
+const schema = require('../graphql/schema');
+const { createLimitRule, withDefaults } = require('../graphql/limits');
+
+// Error codes for upstream statuses; other failures are UPSTREAM_ERROR
+const ERROR_CODES = {
+  401: 'UNAUTHENTICATED',
+  403: 'FORBIDDEN',
+  503: 'SERVICE_UNAVAILABLE',
+  504: 'UPSTREAM_TIMEOUT'
+};
+
+const readLimit = (name) => (process.env[name] ? parseInt(process.env[name], 10) : undefined);
+
+/**
+ * GraphQL Controller
+ * Serves `/graphql` (POST, or GET for queries) over the user, review and
+ * watchlist services. Every query gets its own loader, so upstream calls
+ * requested together are dispatched together and identical calls are made
+ * once; each call goes through the proxy controller's cache and the route's
+ * circuit breakers on behalf of the caller.
+ */
+class GraphqlController {
+  /**
+   * @param {ProxyController} proxyController
+   * @param {Object} [limits] - { maxDepth, maxComplexity, listFactor, maxListSize, maxUpstreamCalls };
+   *   defaults from GRAPHQL_MAX_DEPTH, GRAPHQL_MAX_COMPLEXITY, GRAPHQL_LIST_FACTOR,
+   *   GRAPHQL_MAX_LIST_SIZE and GRAPHQL_MAX_UPSTREAM_CALLS
+   */
+  constructor(proxyController, limits = {}) {
+    this.proxyController = proxyController;
+    this.limits = withDefaults({
+      maxDepth: readLimit('GRAPHQL_MAX_DEPTH'),
+      maxComplexity: readLimit('GRAPHQL_MAX_COMPLEXITY'),
+      listFactor: readLimit('GRAPHQL_LIST_FACTOR'),
+      maxListSize: readLimit('GRAPHQL_MAX_LIST_SIZE'),
+      maxUpstreamCalls: readLimit('GRAPHQL_MAX_UPSTREAM_CALLS'),
+      ...limits
+    });
+    this.validationRules = [...specifiedRules, createLimitRule(this.limits)];
+  }
+
+  /**
+   * Handle a GraphQL request: { query, variables, operationName }
+   */
+  async handle(req, res) {
+    const log = logger.forRequest(req);
+    const params = (req.method === 'GET' ? req.query : req.body) || {};
+    const { query, operationName } = params;
+
+    if (typeof query !== 'string' || !query.trim()) {
+      return res.status(400).json({ errors: [{ message: 'A query is required' }] });
+    }
+
+    let variables = params.variables || null;
+    if (typeof variables === 'string') {
+      try {
+        variables = JSON.parse(variables);
+      } catch {
+        return res.status(400).json({ errors: [{ message: 'Variables must be a JSON object' }] });
+      }
+    }
+
+    let document;
+    try {
+      document = parse(query);
+    } catch (error) {
+      return res.status(400).json({ errors: [error] });
+    }
+
+    const errors = validate(schema, document, this.validationRules);
+    if (errors.length > 0) {
+      log.warn(`GraphQL query rejected: ${errors[0].message}`, { type: 'graphql_invalid', operationName });
+      return res.status(400).json({ errors });
+    }
+
+    const result = await execute({
+      schema,
+      document,
+      variableValues: variables,
+      operationName,
+      contextValue: this.createContext(req, log)
+    });
+
+    log.info('GraphQL query executed', { type: 'graphql', operationName, errors: result.errors?.length || 0 });
+    // Without data the request itself was invalid (e.g. bad variables)
+    return res.status(result.data === undefined ? 400 : 200).json(result);
+  }
+
+  /**
+   * Per-query resolver context: the caller's identity and the upstream loader
+   * `load(service, path)` resolves to the response body, to null for a 404,
+   * and rejects with a GraphQLError for other failures, or once the query
+   * made `maxUpstreamCalls` distinct calls
+   */
+  createContext(req, log) {
+    const { maxListSize, maxUpstreamCalls } = this.limits;
+    const calls = new Set();
+    const loader = new DataLoader(
+      batch => Promise.all(batch.map(({ service, path }) => {
+        const route = serviceRegistry.getRouteByName(service);
+        return route
+          ? this.proxyController.fetchAsCaller(req, route, path, log)
+          : { status: 404, data: null, fallback: false };
+      })),
+      { cacheKeyFn: ({ service, path }) => `${service} ${path}` }
+    );
+
+    return {
+      user: req.user || null,
+      apiKey: req.apiKey || null,
+      maxListSize,
+      load: async (service, path) => {
+        const key = `${service} ${path}`;
+        if (!calls.has(key) && calls.size >= maxUpstreamCalls) {
+          log.warn(`GraphQL query reached the limit of ${maxUpstreamCalls} upstream calls`, { type: 'graphql_limit' });
+          throw new GraphQLError(`Query exceeds the limit of ${maxUpstreamCalls} upstream calls`, {
+            extensions: { code: 'TOO_MANY_UPSTREAM_CALLS', service }
+          });
+        }
+        calls.add(key);
+
+        const { status, data, fallback } = await loader.load({ service, path });
+        if (status === 404) {
+          return null;
+        }
+        if (fallback || status >= 400) {
+          const message = data?.error || data?.message || `The ${service} service answered ${status}`;
+          throw new GraphQLError(message, {
+            extensions: { code: ERROR_CODES[status] || 'UPSTREAM_ERROR', service, status }
+          });
+        }
+        return data;
+      }
+    };
+  }
+}
+
+module.exports = GraphqlController;
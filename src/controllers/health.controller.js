@@ -1,15 +1,15 @@
-const logger = require('../utils/logger');
 const serviceRegistry = require('../config/service-registry');
-const axios = require('axios');
 
 /**
  * Health Controller
  * Provides health check endpoints for the API Gateway and downstream services
  */
 class HealthController {
-  constructor(circuitBreakers) {
-    this.circuitBreakers = circuitBreakers;
+  constructor(upstreamPools, healthChecker) {
+    this.upstreamPools = upstreamPools;
+    this.healthChecker = healthChecker;
     this.serviceMap = serviceRegistry.serviceMap;
+    this.routes = serviceRegistry.routes;
   }
 
   /**
@@ -25,35 +25,10 @@ class HealthController {
 
   /**
    * Detailed health check that includes status of all downstream services
+   * Answers from the background health checker's cached state
    */
-  async getDetailedHealth(req, res) {
-    const serviceStatuses = {};
-    const servicePaths = Object.keys(this.serviceMap);
-    
-    // Check each service's health endpoint
-    await Promise.all(servicePaths.map(async (path) => {
-      const serviceUrl = this.serviceMap[path];
-      const serviceName = path.replace('/api/', '');
-      
-      try {
-        // Use circuit breaker to call service health endpoint
-        const response = await this.circuitBreakers[path].fire(
-          `${serviceUrl}/health`,
-          'GET'
-        );
-        
-        serviceStatuses[serviceName] = {
-          status: response.status === 200 ? 'UP' : 'DOWN',
-          details: response.data
-        };
-      } catch (error) {
-        logger.error(`Health check failed for ${serviceName}: ${error.message}`);
-        serviceStatuses[serviceName] = {
-          status: 'DOWN',
-          error: error.message
-        };
-      }
-    }));
+  getDetailedHealth(req, res) {
+    const serviceStatuses = this.healthChecker.getStatus();
     
     // Determine overall status
     const allServicesUp = Object.values(serviceStatuses)
@@ -73,9 +48,10 @@ class HealthController {
   getConfig(req, res) {
     res.status(200).json({
       services: this.serviceMap,
-      circuitBreakers: Object.keys(this.circuitBreakers).map(key => ({
+      upstreams: Object.keys(this.upstreamPools).map(key => ({
         path: key,
-        status: this.circuitBreakers[key].status
+        loadBalancing: this.upstreamPools[key].strategy,
+        instances: this.upstreamPools[key].status
       }))
     });
   }
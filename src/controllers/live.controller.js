@@ -0,0 +1,408 @@
+const http = require('http');
+const https = require('https');
+const logger = require('../utils/logger');
+const serviceRegistry = require('../config/service-registry');
+const ConnectionTracker = require('../utils/connection-tracker');
+const { metrics } = require('../middleware/metrics.middleware');
+const { checkAccess, getToken, verifyToken } = require('../middleware/auth.middleware');
+const { checkApiKey, API_KEY_HEADER } = require('../middleware/api-key.middleware');
+const { buildForwardHeaders, filterResponseHeaders } = require('../utils/forward-headers');
+const { FrameTracker, createCloseFrame, CLOSE_CODES } = require('../utils/websocket-frames');
+const { normalizePath } = require('../utils/path-matcher');
+
+// How long an upstream has to answer the connection request, in ms
+const CONNECT_TIMEOUT = 10000;
+
+// How long peers get to close after the gateway ends a WebSocket, in ms
+const CLOSE_GRACE_PERIOD = 1000;
+
+// WebSocket handshake headers, forwarded whatever the route's header policy
+const WEBSOCKET_HEADERS = ['sec-websocket-key', 'sec-websocket-version', 'sec-websocket-protocol', 'sec-websocket-extensions'];
+
+// Answer an upgrade request with an HTTP error and close the socket
+function rejectUpgrade(socket, status, message, retryAfter) {
+  const body = JSON.stringify({ error: message });
+  const headers = [
+    `HTTP/1.1 ${status} ${http.STATUS_CODES[status]}`,
+    'Connection: close',
+    'Content-Type: application/json',
+    `Content-Length: ${Buffer.byteLength(body)}`
+  ];
+  if (status === 401) {
+    headers.push('WWW-Authenticate: Bearer');
+  }
+  if (retryAfter) {
+    headers.push(`Retry-After: ${retryAfter}`);
+  }
+  socket.end(`${headers.join('\r\n')}\r\n\r\n${body}`);
+}
+
+// Drop the `?token=` a browser sends its JWT in, which is for the gateway only
+function withoutToken(path) {
+  const index = path.indexOf('?');
+  if (index === -1) return path;
+
+  const params = path.substring(index + 1).split('&').filter(param => param.split('=')[0] !== 'token');
+  return path.substring(0, index) + (params.length > 0 ? `?${params.join('&')}` : '');
+}
+
+/**
+ * Live Controller
+ * Proxies long-lived connections on the sub-paths a route declares under
+ * `live`: WebSocket upgrades (`live.websocket`) and Server-Sent Events
+ * streams (`live.sse`). Connections are opened to an available instance of
+ * the route, without the request timeouts and retries of the circuit
+ * breaker, and are limited per caller, closed when idle and closed cleanly
+ * on shutdown.
+ */
+class LiveController {
+  /**
+   * @param {Object} upstreamPools - Upstream pools by route prefix
+   * @param {Object} [options]
+   * @param {TokenRevocationStore} [options.revocationStore] - Rejects revoked tokens at upgrade time
+   * @param {ApiKeyStore} [options.apiKeyStore] - Authenticates upgrades sent with an API key
+   * @param {Function} [options.ipRateCheck] - Counts upgrades against the per-IP rate limit (createIpRateCheck)
+   */
+  constructor(upstreamPools, { revocationStore, apiKeyStore, ipRateCheck } = {}) {
+    this.upstreamPools = upstreamPools;
+    this.revocationStore = revocationStore;
+    this.apiKeyStore = apiKeyStore;
+    this.ipRateCheck = ipRateCheck;
+    this.connections = new ConnectionTracker();
+  }
+
+  /**
+   * Proxy a Server-Sent Events stream
+   * The request has been through the gateway middleware (auth, rate limits)
+   */
+  async proxyEventStream(req, res) {
+    const route = req.serviceRoute;
+    const log = logger.forRequest(req);
+
+    const lease = this.acquire(route, req, 'sse');
+    if (!lease) {
+      return res.status(429).json({ error: 'Too many open connections' });
+    }
+
+    const pathSuffix = withoutToken(req.originalUrl).substring(route.prefix.length) || '/';
+    const headers = { ...buildForwardHeaders(req, route.headers), accept: 'text/event-stream' };
+    // Lets the upstream resume the stream after a reconnect
+    if (req.headers['last-event-id']) {
+      headers['last-event-id'] = req.headers['last-event-id'];
+    }
+
+    let upstream;
+    try {
+      upstream = await this.connectUpstream(route, pathSuffix, headers, log);
+    } catch (err) {
+      lease.release();
+      metrics.rejectedConnections.inc({ service: route.name, protocol: 'sse', reason: 'upstream' });
+      log.error(`Event stream to ${route.prefix} failed: ${err.message}`, { type: 'upstream_error', reason: err.type });
+      return res.status(err.type === 'open' ? 503 : 502).json({ error: 'Service temporarily unavailable' });
+    }
+
+    const { instance, request, response } = upstream;
+    instance.outstanding++;
+
+    res.status(response.statusCode);
+    res.set(filterResponseHeaders(response.headers));
+    // Keep intermediaries from buffering events
+    res.setHeader('X-Accel-Buffering', 'no');
+    res.flushHeaders();
+
+    let closed = false;
+    const close = (reason) => {
+      if (closed) return;
+      closed = true;
+      clearTimeout(idleTimer);
+      request.destroy();
+      if (!res.writableEnded) {
+        res.end();
+      }
+      instance.outstanding--;
+      lease.release();
+      log.info('Event stream closed', { type: 'live_connection', protocol: 'sse', reason });
+    };
+
+    const idleTimer = setTimeout(() => close('idle'), route.live.idleTimeout);
+    response.on('data', (chunk) => {
+      idleTimer.refresh();
+      if (!res.write(chunk)) {
+        response.pause();
+      }
+    });
+    res.on('drain', () => response.resume());
+    response.on('end', () => close('upstream'));
+    response.on('error', () => close('upstream'));
+    res.on('close', () => close('client'));
+    lease.close = () => close('shutdown');
+
+    log.info('Event stream opened', { type: 'live_connection', protocol: 'sse', instance: instance.id });
+  }
+
+  /**
+   * Proxy a WebSocket upgrade (server `upgrade` event)
+   * Upgrades bypass the Express middleware, so they are counted against the
+   * per-IP rate limit, and the caller is authenticated (API key, then JWT)
+   * and checked against the route's auth policy here. Unexpected errors (e.g.
+   * Redis failing the rate limit or key lookup) answer the upgrade with a 503,
+   * since a rejection of the upgrade event would end the process.
+   */
+  handleUpgrade(req, socket, head) {
+    return this.upgrade(req, socket, head).catch((err) => {
+      logger.error(`WebSocket upgrade failed: ${err.message}`, { type: 'live_connection', protocol: 'websocket', stack: err.stack });
+      if (socket.writableEnded) {
+        return socket.destroy();
+      }
+      rejectUpgrade(socket, 503, 'Service temporarily unavailable');
+      socket.once('finish', () => socket.destroy());
+    });
+  }
+
+  async upgrade(req, socket, head) {
+    socket.on('error', () => socket.destroy());
+
+    const url = new URL(normalizePath(req.url), 'http://gateway');
+    const route = serviceRegistry.matchRoute(url.pathname);
+    if (!route || serviceRegistry.getLiveProtocol(url.pathname) !== 'websocket' ||
+        String(req.headers.upgrade).toLowerCase() !== 'websocket') {
+      return rejectUpgrade(socket, 404, 'Not found');
+    }
+
+    const reject = (status, reason, message, retryAfter) => {
+      metrics.rejectedConnections.inc({ service: route.name, protocol: 'websocket', reason });
+      return rejectUpgrade(socket, status, message, retryAfter);
+    };
+
+    if (this.ipRateCheck) {
+      const { allowed, retryAfter } = await this.ipRateCheck(socket.remoteAddress);
+      if (!allowed) {
+        logger.warn('Rate limit exceeded', { type: 'rate_limited', ip: socket.remoteAddress, path: url.pathname });
+        return reject(429, 'rate_limited', 'Too many requests from this IP, please try again later', retryAfter);
+      }
+    }
+
+    let apiKey = null;
+    const key = req.headers[API_KEY_HEADER];
+    if (key && this.apiKeyStore) {
+      const { record, status, message, retryAfter } = await checkApiKey(this.apiKeyStore, key, { method: 'GET', path: url.pathname });
+      if (!record) {
+        const reasons = { 401: 'unauthenticated', 403: 'forbidden', 429: 'rate_limited' };
+        return reject(status, reasons[status] || 'unavailable', message, retryAfter);
+      }
+      apiKey = { id: record.id, name: record.name, scopes: record.scopes };
+    }
+
+    // Browsers can't set headers on WebSocket requests, so the token may be in `?token=`
+    const token = apiKey ? null : getToken({ headers: req.headers, query: Object.fromEntries(url.searchParams) });
+    let user = null;
+    if (token) {
+      try {
+        user = await verifyToken(token, this.revocationStore);
+      } catch (err) {
+        logger.warn(`WebSocket authentication error: ${err.message}`, { type: 'auth_error' });
+        return reject(401, 'unauthenticated', 'Invalid token');
+      }
+    }
+
+    const access = checkAccess(route, { method: 'GET', path: url.pathname, user, apiKey });
+    if (access !== 'allowed') {
+      return access === 'unauthenticated'
+        ? reject(401, 'unauthenticated', 'Authentication required')
+        : reject(403, 'forbidden', 'Forbidden');
+    }
+
+    Object.assign(req, {
+      user,
+      apiKey,
+      serviceRoute: route,
+      ip: socket.remoteAddress,
+      protocol: socket.encrypted ? 'https' : 'http'
+    });
+    const log = logger.forRequest(req);
+
+    const lease = this.acquire(route, req, 'websocket');
+    if (!lease) {
+      return rejectUpgrade(socket, 429, 'Too many open connections');
+    }
+
+    const headers = buildForwardHeaders(req, route.headers);
+    WEBSOCKET_HEADERS.forEach(name => {
+      if (req.headers[name] !== undefined) {
+        headers[name] = req.headers[name];
+      }
+    });
+    headers.connection = 'Upgrade';
+    headers.upgrade = 'websocket';
+
+    let upstream;
+    try {
+      upstream = await this.connectUpstream(route, withoutToken(url.pathname.substring(route.prefix.length) + url.search), headers, log);
+    } catch (err) {
+      lease.release();
+      log.error(`WebSocket to ${route.prefix} failed: ${err.message}`, { type: 'upstream_error', reason: err.type });
+      return reject(err.type === 'open' ? 503 : 502, 'upstream', 'Service temporarily unavailable');
+    }
+
+    const { instance, response } = upstream;
+    if (!upstream.socket) {
+      // The upstream refused the upgrade
+      response.resume();
+      lease.release();
+      return reject(response.statusCode >= 400 ? response.statusCode : 502, 'upstream', 'Upgrade refused by the service');
+    }
+
+    const rawHeaders = [];
+    for (let index = 0; index < response.rawHeaders.length; index += 2) {
+      rawHeaders.push(`${response.rawHeaders[index]}: ${response.rawHeaders[index + 1]}`);
+    }
+    socket.write(`HTTP/1.1 101 Switching Protocols\r\n${rawHeaders.join('\r\n')}\r\n\r\n`);
+
+    instance.outstanding++;
+    this.relay(socket, upstream.socket, { head, upstreamHead: upstream.head, lease, route, log, instance });
+    log.info('WebSocket opened', { type: 'live_connection', protocol: 'websocket', instance: instance.id });
+  }
+
+  /**
+   * Relay WebSocket bytes both ways, following frame boundaries so the
+   * gateway can close either side with a close frame of its own
+   */
+  relay(client, upstream, { head, upstreamHead, lease, route, log, instance }) {
+    const toClient = new FrameTracker();
+    const toUpstream = new FrameTracker();
+
+    const forward = (from, to, tracker, chunk) => {
+      tracker.update(chunk);
+      if (!to.write(chunk)) {
+        from.pause();
+      }
+    };
+    if (upstreamHead && upstreamHead.length > 0) forward(upstream, client, toClient, upstreamHead);
+    if (head && head.length > 0) forward(client, upstream, toUpstream, head);
+
+    upstream.on('data', chunk => forward(upstream, client, toClient, chunk));
+    client.on('data', chunk => forward(client, upstream, toUpstream, chunk));
+    client.on('drain', () => upstream.resume());
+    upstream.on('drain', () => client.resume());
+    // Sockets are half-open: pass a side's end on, or a dropped client would keep the upstream open
+    client.on('end', () => upstream.end());
+    upstream.on('end', () => client.end());
+
+    let closing = false;
+    const close = (reason) => {
+      if (closing) return;
+      closing = true;
+      log.info('WebSocket closing', { type: 'live_connection', protocol: 'websocket', reason });
+
+      // Stop relaying, and send a close frame to each side unless a frame to it is half sent
+      client.removeAllListeners('data');
+      upstream.removeAllListeners('data');
+      client.end(toClient.atBoundary ? createCloseFrame(CLOSE_CODES.goingAway) : undefined);
+      upstream.end(toUpstream.atBoundary ? createCloseFrame(CLOSE_CODES.goingAway, { masked: true }) : undefined);
+      setTimeout(() => {
+        client.destroy();
+        upstream.destroy();
+      }, CLOSE_GRACE_PERIOD).unref();
+    };
+
+    let released = false;
+    const release = () => {
+      if (released) return;
+      released = true;
+      client.destroy();
+      upstream.destroy();
+      instance.outstanding--;
+      lease.release();
+    };
+
+    client.setTimeout(route.live.idleTimeout, () => close('idle'));
+    client.on('close', release);
+    upstream.on('close', release);
+    upstream.on('error', () => upstream.destroy());
+    lease.close = () => close('shutdown');
+  }
+
+  /**
+   * Take a connection slot for the caller, counting refusals
+   * Callers are identified by user id, then API key, then IP
+   * @returns {Object|null} Lease from the connection tracker
+   */
+  acquire(route, req, protocol) {
+    const caller = req.user?.id !== undefined
+      ? `user:${req.user.id}`
+      : req.apiKey ? `key:${req.apiKey.id}` : `ip:${req.ip || req.socket?.remoteAddress}`;
+    const labels = { service: route.name, protocol };
+
+    const lease = this.connections.acquire(`${route.name}:${caller}`, route.live.maxConnectionsPerUser, labels);
+    if (!lease) {
+      metrics.rejectedConnections.inc({ ...labels, reason: 'limit' });
+      logger.forRequest(req).warn(`Connection limit reached on ${route.prefix}`, { type: 'live_connection', protocol });
+    }
+    return lease;
+  }
+
+  /**
+   * Open a request to an available instance of the route, failing over to
+   * the next one when an instance can't be reached
+   * @returns {Promise<Object>} { instance, request, response, socket, head }; socket and head after an upgrade
+   */
+  async connectUpstream(route, pathSuffix, headers, log) {
+    const pool = this.upstreamPools[route.prefix];
+    const tried = new Set();
+    let lastError = null;
+
+    for (let instance = pool.pick(tried); instance; instance = pool.pick(tried)) {
+      tried.add(instance);
+      try {
+        return { instance, ...await this.openRequest(instance.url + pathSuffix, headers) };
+      } catch (err) {
+        lastError = err;
+        log.warn(`Instance ${instance.url} of ${route.prefix} failed: ${err.message}`);
+      }
+    }
+
+    if (lastError) {
+      throw lastError;
+    }
+    const error = new Error(`No available instances for ${route.prefix}`);
+    error.type = 'open';
+    throw error;
+  }
+
+  // GET a URL, resolving on the response headers or on the upgrade
+  openRequest(url, headers) {
+    return new Promise((resolve, reject) => {
+      const target = new URL(url);
+      const request = (target.protocol === 'https:' ? https : http).request(target, { method: 'GET', headers });
+
+      request.setTimeout(CONNECT_TIMEOUT, () => {
+        const error = new Error(`No answer within ${CONNECT_TIMEOUT}ms`);
+        error.type = 'timeout';
+        request.destroy(error);
+      });
+      request.on('response', (response) => {
+        request.setTimeout(0);
+        resolve({ request, response });
+      });
+      request.on('upgrade', (response, socket, head) => {
+        request.setTimeout(0);
+        resolve({ request, response, socket, head });
+      });
+      // Also keeps errors after the connection is established from going unhandled
+      request.on('error', reject);
+      request.end();
+    });
+  }
+
+  /**
+   * Close every open connection (graceful shutdown)
+   * @returns {number} Number of connections closed
+   */
+  closeAll() {
+    const count = this.connections.size;
+    this.connections.closeAll();
+    return count;
+  }
+}
+
+module.exports = LiveController;
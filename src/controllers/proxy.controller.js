@@ -1,201 +1,615 @@
 const logger = require('../utils/logger');
 const serviceRegistry = require('../config/service-registry');
 const { metrics } = require('../middleware/metrics.middleware');
+const { pipeline } = require('stream');
+const { startSpan } = require('../utils/tracing');
+const httpCache = require('../utils/http-cache');
+const cacheTags = require('../utils/cache-tags');
+const { checkAccess } = require('../middleware/auth.middleware');
+const IdempotencyStore = require('../utils/idempotency-store');
+const { buildForwardHeaders, filterResponseHeaders } = require('../utils/forward-headers');
+
+// Warning headers (RFC 7234 section 5.5) marking stale responses
+const STALE_WARNING = '110 - "Response is Stale"';
+const REVALIDATION_FAILED_WARNING = '111 - "Revalidation Failed"';
+
+// How often replicas waiting on another replica's lock check the cache, in ms
+const LOCK_POLL_INTERVAL = 50;
+
+// Writes that are made idempotent by an Idempotency-Key header
+const KEYED_METHODS = ['POST', 'PATCH'];
+const MAX_IDEMPOTENCY_KEY_LENGTH = 255;
 
 /**
  * Proxy Controller
  * Handles forwarding requests to appropriate microservices
  */
 class ProxyController {
-  constructor(circuitBreakers, redisCache) {
-    this.circuitBreakers = circuitBreakers;
+  constructor(upstreamPools, redisCache, idempotencyStore = new IdempotencyStore(redisCache, logger)) {
+    this.upstreamPools = upstreamPools;
     this.redisCache = redisCache;
+    this.idempotencyStore = idempotencyStore;
     this.serviceMap = serviceRegistry.serviceMap;
+    
+    // Cache keys being refreshed in the background
+    this.revalidating = new Set();
+    
+    // Cache key -> { promise, requestHeaders } of the upstream call answering concurrent misses
+    this.inFlight = new Map();
   }
 
   /**
    * Handle proxying a request to the appropriate microservice
    */
   async proxyRequest(req, res) {
-    // Get the service type from the request (set by the router)
-    let basePath = null;
-    
-    if (req.serviceType === 'user') {
-      basePath = '/api/user';
-    } else if (req.serviceType === 'review') {
-      basePath = '/api/review';
-    } else if (req.serviceType === 'watchlist') {
-      basePath = '/api/watchlist';
-    }
-    
+    // Get the route entry for the request (set by the router)
+    const route = req.serviceRoute;
+    const basePath = route ? route.prefix : null;
     const serviceURL = basePath ? this.serviceMap[basePath] : null;
 
     if (!serviceURL) {
       return res.status(404).json({ error: 'Service not found' });
     }
 
+    // Streaming routes pipe bodies through without buffering or caching
+    if (serviceRegistry.isStreamingPath(req.baseUrl + req.path)) {
+      return this.streamRequest(req, res, basePath);
+    }
+
+    const log = logger.forRequest(req);
+    
     try {
-      // For GET requests, check cache first
-      if (req.method === 'GET' && this.redisCache.connected) {
-        // Skip caching for health endpoints
-        if (req.path.includes('/health')) {
-          // Forward directly to service without caching
-          return await this.forwardRequest(req, res, serviceURL, basePath);
-        }
-        
-        // Use different cache keys for authenticated vs non-authenticated requests
-        const userId = req.user?.id || 'anonymous';
-        const cacheKey = userId !== 'anonymous' ? `${userId}:${req.originalUrl}` : req.originalUrl;
-        
-        try {
-          const cachedData = await this.redisCache.get(cacheKey);
-          
-          if (cachedData) {
-            logger.info({
-              type: 'cache',
-              result: 'hit',
-              path: req.originalUrl,
-              userId: userId
-            });
-            res.setHeader('X-Cache', 'HIT');
-            return res.json(cachedData);
-          }
-          
-          logger.info({
-            type: 'cache',
-            result: 'miss',
-            path: req.originalUrl,
-            userId: userId
-          });
-          res.setHeader('X-Cache', 'MISS');
-        } catch (cacheError) {
-          logger.error({
-            type: 'cache_error',
-            error: cacheError.message,
-            path: req.originalUrl
-          });
-          // Continue without caching if there's an error
-        }
+      // Skip caching for health endpoints
+      if (req.method === 'GET' && this.redisCache.available && req.path.includes('/health')) {
+        // Forward directly to service without caching
+        return await this.forwardRequest(req, res, basePath);
       }
-
+      
       // Construct the URL for the microservice request
       // We need to preserve the path after the base path
       const pathSuffix = req.originalUrl.substring(basePath.length) || '/';
-      const url = serviceURL + pathSuffix;
-      const circuitBreaker = this.circuitBreakers[basePath];
-      
-      // Record start time for metrics
-      const startTime = Date.now();
-      
-      const response = await circuitBreaker.fire(url, req.method, req.body);
-      
-      // Record response time for metrics
-      const responseTime = (Date.now() - startTime) / 1000; // in seconds
-      metrics.serviceResponseTime.observe(
-        { service: basePath, endpoint: req.path, status_code: response.status },
-        responseTime
-      );
       
-      if (response.data && response.data.fallback) {
-        res.setHeader('X-Fallback-Response', 'true');
+      // Conditional GETs are evaluated by the gateway against the full upstream response
+      const headers = buildForwardHeaders(req, route.headers);
+      if (req.method === 'GET') {
+        httpCache.CONDITIONAL_HEADERS.forEach(name => delete headers[name]);
       }
       
-      // Cache successful GET responses
-      if (req.method === 'GET' && this.redisCache.connected && response.status >= 200 && response.status < 300) {
-        const userId = req.user?.id || 'anonymous';
-        const cacheKey = userId !== 'anonymous' ? `${userId}:${req.originalUrl}` : req.originalUrl;
-        
-        // Set cache TTL based on the type of data
-        let cacheTTL = 1800; // Default 30 minutes
-        
-        // Different TTLs for different types of resources
-        if (req.serviceType === 'user') {
-          cacheTTL = 3600; // User data: 1 hour
-        } else if (req.serviceType === 'review') {
-          cacheTTL = 900; // Reviews: 15 minutes
-        } else if (req.serviceType === 'watchlist') {
-          cacheTTL = 1200; // Watchlists: 20 minutes
-        }
-        
-        try {
-          await this.redisCache.set(cacheKey, response.data, cacheTTL);
-          logger.info({
-            type: 'cache',
-            action: 'store',
-            path: req.originalUrl,
-            ttl: cacheTTL
-          });
-        } catch (cacheError) {
-          logger.error({
-            type: 'cache_error',
-            action: 'store',
-            error: cacheError.message,
-            path: req.originalUrl
-          });
-        }
+      // GET responses may be cached; clients can skip stored copies with Cache-Control: no-cache
+      if (req.method === 'GET') {
+        const result = await this.fetchCached(req, pathSuffix, headers, log);
+        return this.sendCached(req, res, result, log);
       }
       
-      // For write operations (POST, PUT, DELETE), invalidate related caches
-      if (req.method !== 'GET' && this.redisCache.connected) {
-        try {
-          // Determine which cache pattern to invalidate based on the service type
-          const userId = req.user?.id || 'anonymous';
-          if (userId !== 'anonymous') {
-            if (req.serviceType === 'user') {
-              await this.redisCache.invalidateByPattern(`${userId}:*`);
-            } else if (req.serviceType === 'review') {
-              await this.redisCache.invalidateByPattern(`${userId}:*/api/review*`);
-            } else if (req.serviceType === 'watchlist') {
-              await this.redisCache.invalidateByPattern(`${userId}:*/api/watchlist*`);
-            }
-            
-            logger.info({
-              type: 'cache',
-              action: 'invalidate',
-              userId: userId,
-              path: req.originalUrl
-            });
-          }
-        } catch (invalidateError) {
-          logger.error({
-            type: 'cache_error',
-            action: 'invalidate',
-            error: invalidateError.message,
-            path: req.originalUrl
-          });
-        }
+      // Keyed POST and PATCH requests are applied at most once
+      if (KEYED_METHODS.includes(req.method) && req.headers['idempotency-key'] !== undefined) {
+        return await this.proxyIdempotent(req, res, pathSuffix, headers, log);
       }
       
-      return res.status(response.status).send(response.data);
+      const { response } = await this.fetchResponse(req, pathSuffix, headers, null, log);
+      return await this.sendWrite(req, res, response, log);
     } catch (err) {
       if (err.type === 'open') {
-        logger.error(`Service ${basePath} circuit is open, failing fast`);
+        log.error(`Service ${basePath} circuit is open, failing fast`, { type: 'upstream_error', reason: 'open' });
         return res.status(503).json({ error: 'Service temporarily unavailable' });
       } else if (err.type === 'timeout') {
-        logger.error(`Request to ${basePath} timed out`);
+        log.error(`Request to ${basePath} timed out`, { type: 'upstream_error', reason: 'timeout' });
         return res.status(504).json({ error: 'Service request timed out' });
       }
       
-      logger.error(`Error calling ${basePath}: ${err.message}`);
+      log.error(`Error calling ${basePath}: ${err.message}`, { type: 'upstream_error' });
       return res.status(err.response?.status || 500).json(err.response?.data || { error: 'Internal Gateway Error' });
     }
   }
 
+  /**
+   * Send the response to a write, invalidating the cache entries it affects
+   */
+  async sendWrite(req, res, response, log) {
+    const isFallback = Boolean(response.data && response.data.fallback);
+    if (isFallback) {
+      res.setHeader('X-Fallback-Response', 'true');
+    } else if (this.redisCache.available) {
+      // For write operations (POST, PUT, DELETE), invalidate related caches
+      await this.invalidateCache(req, response, log);
+    }
+    
+    return res.status(response.status).send(response.data);
+  }
+
+  /**
+   * Proxy a write sent with an Idempotency-Key
+   * The first request for a key is sent upstream (with retries, and with the
+   * key so the service can deduplicate too) and its response is stored;
+   * repeats get the stored response, requests reusing the key with another
+   * payload get a 422 and duplicates still in flight after the wait a 409.
+   * Failed requests free the key so the client can retry them.
+   */
+  async proxyIdempotent(req, res, pathSuffix, headers, log) {
+    const route = req.serviceRoute;
+    const key = req.headers['idempotency-key'];
+    if (!key || key.length > MAX_IDEMPOTENCY_KEY_LENGTH) {
+      return res.status(400).json({ error: `Idempotency-Key must be 1 to ${MAX_IDEMPOTENCY_KEY_LENGTH} characters` });
+    }
+    
+    const recordKey = this.getIdempotencyKey(req, key);
+    const { outcome, record } = await this.idempotencyStore.claim(recordKey, IdempotencyStore.fingerprint(req));
+    metrics.idempotentRequests.inc({ service: route.name, outcome });
+    
+    if (outcome === 'mismatch') {
+      log.warn('Idempotency-Key reused with a different request', { type: 'idempotency_mismatch', path: req.originalUrl });
+      return res.status(422).json({ error: 'Idempotency-Key has already been used for a different request' });
+    }
+    if (outcome === 'in_flight') {
+      res.setHeader('Retry-After', '1');
+      return res.status(409).json({ error: 'A request with this Idempotency-Key is still being processed' });
+    }
+    if (outcome === 'replayed') {
+      log.info('Idempotent replay', { type: 'idempotency_replay', path: req.originalUrl });
+      res.setHeader('Idempotent-Replayed', 'true');
+      return res.status(record.response.status).send(record.response.body);
+    }
+    
+    let response;
+    try {
+      ({ response } = await this.fetchResponse(req, pathSuffix, { ...headers, 'idempotency-key': key }, null, log, { idempotent: true }));
+    } catch (err) {
+      // Client errors are the answer to the request and are replayed like successes
+      if (err.response && err.response.status < 500) {
+        await this.idempotencyStore.complete(recordKey, record, { status: err.response.status, body: err.response.data });
+      } else {
+        await this.idempotencyStore.release(recordKey, record);
+      }
+      throw err;
+    }
+    
+    if (response.data && response.data.fallback) {
+      await this.idempotencyStore.release(recordKey, record);
+    } else {
+      await this.idempotencyStore.complete(recordKey, record, { status: response.status, body: response.data });
+    }
+    return this.sendWrite(req, res, response, log);
+  }
+
+  /**
+   * Record key of an Idempotency-Key, scoped to the route and the caller
+   * (user id, then API key; anonymous callers share a scope)
+   */
+  getIdempotencyKey(req, key) {
+    const caller = req.user?.id !== undefined
+      ? `user:${req.user.id}`
+      : req.apiKey ? `key:${req.apiKey.id}` : 'anonymous';
+    return `idempotency:${req.serviceRoute.name}:${caller}:${key}`;
+  }
+
+  /**
+   * Answer a GET from the cache or the upstream, following HTTP caching rules
+   * Fresh entries are used as they are, stale ones while they are refreshed in
+   * the background or instead of a failed upstream call (stale-if-error), and
+   * concurrent misses share one upstream call
+   * @returns {Promise<Object>} { cache, entry, response, warning }
+   *   - cache: `HIT`, `STALE` or `MISS`, or null when the cache was not consulted
+   *   - entry: cache entry to answer with; null for uncacheable and fallback responses
+   *   - response: upstream response on a miss
+   *   - warning: Warning header for stale answers
+   */
+  async fetchCached(req, pathSuffix, headers, log) {
+    const route = req.serviceRoute;
+    const cacheKey = this.getCacheKey(req);
+    
+    // Stale copy kept to answer instead of an upstream failure
+    let staleEntry = null;
+    let cache = null;
+    
+    if (this.redisCache.available && !httpCache.bypassesCache(req.headers)) {
+      const cacheSpan = startSpan('cache lookup', { attributes: { 'cache.key': cacheKey } });
+      try {
+        const entry = await this.lookupCache(cacheKey, req.headers);
+        const freshness = entry ? httpCache.getFreshness(entry) : 'missing';
+        cacheSpan.setAttribute('cache.hit', Boolean(entry));
+        cacheSpan.setAttribute('cache.freshness', freshness);
+        cacheSpan.end();
+        
+        const result = { fresh: 'hit', 'stale-while-revalidate': 'stale' }[freshness] || 'miss';
+        metrics.cacheRequests.inc({ service: route.name, result });
+        
+        if (freshness === 'fresh') {
+          log.info('Cache hit', { type: 'cache_hit', path: req.originalUrl });
+          return { cache: 'HIT', entry, response: null, warning: null };
+        }
+        
+        if (freshness === 'stale-while-revalidate') {
+          // Answer with the stale copy now and refresh it in the background
+          this.revalidate(req, cacheKey, entry, pathSuffix, headers, log);
+          return { cache: 'STALE', entry, response: null, warning: STALE_WARNING };
+        }
+        
+        if (freshness === 'stale-if-error') {
+          staleEntry = entry;
+        }
+        
+        log.info('Cache miss', { type: 'cache_miss', path: req.originalUrl });
+        cache = 'MISS';
+      } catch (cacheError) {
+        cacheSpan.end(cacheError);
+        log.error(`Cache lookup failed: ${cacheError.message}`, { type: 'cache_error', path: req.originalUrl });
+        // Continue without caching if there's an error
+      }
+    }
+    
+    const fetch = () => this.fetchResponse(req, pathSuffix, headers, cacheKey, log);
+    const stale = { cache: 'STALE', entry: staleEntry, response: null, warning: REVALIDATION_FAILED_WARNING };
+    
+    let result;
+    try {
+      result = route.cache.coalesce ? await this.coalesce(req, cacheKey, fetch, log) : await fetch();
+    } catch (err) {
+      // Open circuit, timeout, network error or 5xx: a stale copy beats an error
+      if (staleEntry && (!err.response || err.response.status >= 500)) {
+        return stale;
+      }
+      throw err;
+    }
+    
+    // The route fallback means no instance answered; prefer a stale copy to it
+    if (staleEntry && result.response.data && result.response.data.fallback) {
+      return stale;
+    }
+    return { cache, ...result, warning: null };
+  }
+
+  /**
+   * Send the result of fetchCached()
+   */
+  sendCached(req, res, { cache, entry, response, warning }, log) {
+    if (warning) {
+      return this.sendStale(req, res, entry, warning, log);
+    }
+    if (cache) {
+      res.setHeader('X-Cache', cache);
+    }
+    if (cache === 'HIT') {
+      res.setHeader('Age', String(httpCache.getAge(entry)));
+    }
+    if (entry) {
+      return this.sendEntry(req, res, entry);
+    }
+    if (response.data && response.data.fallback) {
+      res.setHeader('X-Fallback-Response', 'true');
+    }
+    return res.status(response.status).send(response.data);
+  }
+
+  /**
+   * GET a route path on behalf of the caller of another request (aggregations,
+   * GraphQL), enforcing the route's auth policy and rules for it. The call goes
+   * through the response cache under the key a direct call would use.
+   * @param {Object} req - Caller's request
+   * @param {Object} route - Route entry
+   * @param {string} path - Path (and query) after the route prefix
+   * @returns {Promise<Object>} { status, data, fallback }; failures are returned, not thrown
+   */
+  async fetchAsCaller(req, route, path, log) {
+    const subRequest = this.createSubRequest(req, route, path);
+    
+    const access = checkAccess(route, { ...subRequest, path: route.prefix + subRequest.path });
+    if (access === 'unauthenticated') {
+      return { status: 401, data: { error: 'Authentication required' }, fallback: false };
+    }
+    if (access === 'forbidden') {
+      return { status: 403, data: { error: 'Forbidden' }, fallback: false };
+    }
+    
+    const headers = buildForwardHeaders(subRequest, route.headers);
+    httpCache.CONDITIONAL_HEADERS.forEach(name => delete headers[name]);
+    
+    try {
+      const { entry, response } = await this.fetchCached(subRequest, path, headers, log);
+      if (entry) {
+        return { status: entry.status, data: entry.body, fallback: false };
+      }
+      const fallback = Boolean(response.data && response.data.fallback);
+      return { status: fallback ? 503 : response.status, data: response.data, fallback };
+    } catch (err) {
+      if (err.response && err.response.status < 500) {
+        return { status: err.response.status, data: err.response.data, fallback: false };
+      }
+      const status = { timeout: 504, open: 503 }[err.type] || 502;
+      log.error(`Error calling ${route.prefix}: ${err.message}`, { type: 'upstream_error', reason: err.type });
+      return { status, data: null, fallback: false };
+    }
+  }
+
+  /**
+   * Request for a GET made on a caller's behalf, shaped like the Express
+   * request handled for a direct call to the route
+   */
+  createSubRequest(req, route, path) {
+    return {
+      method: 'GET',
+      path: path.split('?')[0],
+      originalUrl: route.prefix + path,
+      baseUrl: route.prefix,
+      serviceRoute: route,
+      headers: req.headers,
+      body: undefined,
+      user: req.user,
+      apiKey: req.apiKey,
+      requestId: req.requestId,
+      span: req.span,
+      ip: req.ip,
+      protocol: req.protocol,
+      socket: req.socket
+    };
+  }
+
+  /**
+   * Call the upstream and, for GETs, build and store the cache entry
+   * @param {Object} [options] - Request options for the upstream pool ({ idempotent })
+   * @returns {Promise<Object>} { response, entry, storable }; entry is null for writes and fallbacks
+   */
+  async fetchResponse(req, pathSuffix, headers, cacheKey, log, options = {}) {
+    const basePath = req.serviceRoute.prefix;
+    
+    // Record start time for metrics
+    const startTime = Date.now();
+    
+    const response = await this.upstreamPools[basePath].fire(
+      pathSuffix,
+      req.method,
+      req.body,
+      headers,
+      options
+    );
+    
+    // Record response time for metrics
+    const responseTime = (Date.now() - startTime) / 1000; // in seconds
+    metrics.serviceResponseTime.observe(
+      { service: basePath, endpoint: req.path, status_code: response.status },
+      responseTime
+    );
+    
+    const isFallback = Boolean(response.data && response.data.fallback);
+    const { entry, storable } = req.method === 'GET' && !isFallback
+      ? await this.cacheResponse(req, cacheKey, response, log)
+      : { entry: null, storable: false };
+    return { response, entry, storable };
+  }
+
+  /**
+   * Single-flight: the first miss for a cache key calls the upstream and
+   * concurrent requests for the same key wait for its result, then call the
+   * upstream themselves if it wasn't cacheable. With a route
+   * `cache.lock`, a Redis lock extends this across replicas.
+   * @returns {Promise<Object>} { response, entry, storable }
+   */
+  async coalesce(req, cacheKey, fetch, log) {
+    const service = req.serviceRoute.name;
+    const flight = this.inFlight.get(cacheKey);
+    
+    if (flight) {
+      const result = await flight.promise;
+      // Only a response the cache could serve is shared: one it can't store
+      // (no-store, private, fallback) may be meant for the leader alone
+      if (!result.storable) {
+        return fetch();
+      }
+      // A response that varies on headers this request sent differently can't be shared
+      const vary = httpCache.parseVary(result.entry.headers.vary);
+      if (httpCache.getVariantKey(cacheKey, vary, flight.requestHeaders) !== httpCache.getVariantKey(cacheKey, vary, req.headers)) {
+        return fetch();
+      }
+      metrics.coalescedRequests.inc({ service, mode: 'local' });
+      log.info('Request coalesced', { type: 'cache_coalesced', path: req.originalUrl, mode: 'local' });
+      return result;
+    }
+    
+    const promise = this.fetchWithLock(req, cacheKey, fetch, log);
+    this.inFlight.set(cacheKey, { promise, requestHeaders: req.headers });
+    try {
+      return await promise;
+    } finally {
+      this.inFlight.delete(cacheKey);
+    }
+  }
+
+  /**
+   * Fetch while holding the route's Redis lock for the cache key
+   * When another replica holds it, wait for that replica to store a fresh entry,
+   * and fetch directly if none appears in time
+   */
+  async fetchWithLock(req, cacheKey, fetch, log) {
+    const lock = req.serviceRoute.cache.lock;
+    if (!lock || !this.redisCache.connected) {
+      return fetch();
+    }
+    
+    const lockKey = `lock:${cacheKey}`;
+    const token = await this.redisCache.acquireLock(lockKey, lock.ttl);
+    if (token !== false) {
+      // Acquired, or Redis is unavailable and each replica fetches for itself
+      try {
+        return await fetch();
+      } finally {
+        await this.redisCache.releaseLock(lockKey, token);
+      }
+    }
+    
+    const deadline = Date.now() + lock.wait;
+    while (Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, LOCK_POLL_INTERVAL));
+      const entry = await this.lookupCache(cacheKey, req.headers);
+      if (entry && httpCache.getFreshness(entry) === 'fresh') {
+        metrics.coalescedRequests.inc({ service: req.serviceRoute.name, mode: 'distributed' });
+        log.info('Request coalesced', { type: 'cache_coalesced', path: req.originalUrl, mode: 'distributed' });
+        return { response: { status: entry.status, headers: entry.headers, data: entry.body }, entry, storable: true };
+      }
+    }
+    return fetch();
+  }
+
+  /**
+   * Cache key for a GET request, without Vary values
+   * Authenticated requests are cached per user
+   */
+  getCacheKey(req) {
+    return httpCache.getResponseKey(req.originalUrl, req.user?.id);
+  }
+
+  /**
+   * Find the cached entry matching a request
+   * Responses with a Vary header are stored under a variant key, and the base
+   * key holds the list of headers to build it from
+   * @returns {Promise<Object|null>} Cache entry
+   */
+  async lookupCache(cacheKey, requestHeaders) {
+    let entry = await this.redisCache.get(cacheKey);
+    if (entry && entry.vary) {
+      entry = await this.redisCache.get(httpCache.getVariantKey(cacheKey, entry.vary, requestHeaders));
+    }
+    // Ignore values that aren't cache entries (e.g. stored by an older gateway version)
+    return entry && entry.status ? entry : null;
+  }
+
+  /**
+   * Store a cache entry, under a variant key when the response varies on request
+   * headers, and record the stored keys under the entry's tags
+   */
+  async storeCache(cacheKey, entry, ttl, varyHeader, requestHeaders) {
+    const vary = httpCache.parseVary(varyHeader);
+    const keys = [cacheKey];
+    if (vary.length === 0) {
+      await this.redisCache.set(cacheKey, entry, ttl);
+    } else {
+      const variantKey = httpCache.getVariantKey(cacheKey, vary, requestHeaders);
+      await this.redisCache.set(cacheKey, { vary }, ttl);
+      await this.redisCache.set(variantKey, entry, ttl);
+      keys.push(variantKey);
+    }
+    await this.redisCache.tagKeys(keys, entry.tags, ttl);
+  }
+
+  /**
+   * Build the cache entry for an upstream GET response and store it when the
+   * upstream allows, keeping it past its fresh TTL for the route's stale windows
+   * @returns {Promise<Object>} { entry, storable }; storable is false when the response must not be cached
+   */
+  async cacheResponse(req, cacheKey, response, log) {
+    const cache = req.serviceRoute.cache;
+    const ttl = httpCache.getStorableTtl(response, { defaultTtl: cache.ttl, perUser: Boolean(req.user?.id) });
+    const stale = httpCache.getStaleWindows(response, cache);
+    const entry = httpCache.createEntry(response, { ttl, ...stale });
+    entry.tags = cacheTags.getEntryTags(req, response);
+    
+    const noStore = httpCache.parseCacheControl(req.headers['cache-control'])['no-store'];
+    const storable = ttl > 0 && !noStore;
+    if (cacheKey && this.redisCache.available && storable) {
+      const storedFor = ttl + Math.max(stale.staleWhileRevalidate, stale.staleIfError);
+      try {
+        await this.storeCache(cacheKey, entry, storedFor, response.headers?.vary, req.headers);
+        metrics.cacheStores.inc({ service: req.serviceRoute.name });
+        log.info('Cache store', { type: 'cache_store', path: req.originalUrl, ttl, storedFor, tags: entry.tags });
+      } catch (cacheError) {
+        log.error(`Cache store failed: ${cacheError.message}`, { type: 'cache_error', path: req.originalUrl });
+      }
+    }
+    
+    return { entry, storable };
+  }
+
+  /**
+   * Refresh a stale cache entry in the background
+   * Only one refresh per entry runs at a time; failures keep the stale copy
+   */
+  revalidate(req, cacheKey, entry, pathSuffix, headers, log) {
+    const key = httpCache.getVariantKey(cacheKey, httpCache.parseVary(entry.headers.vary), req.headers);
+    if (this.revalidating.has(key)) return;
+    this.revalidating.add(key);
+    
+    this.upstreamPools[req.serviceRoute.prefix].fire(pathSuffix, 'GET', undefined, headers)
+      .then(async (response) => {
+        if (response.data && response.data.fallback) {
+          throw new Error('no upstream instance answered');
+        }
+        await this.cacheResponse(req, cacheKey, response, log);
+        log.info('Cache revalidated', { type: 'cache_revalidate', path: req.originalUrl });
+      })
+      .catch((error) => {
+        log.warn(`Background revalidation failed: ${error.message}`, { type: 'cache_error', path: req.originalUrl });
+      })
+      .finally(() => this.revalidating.delete(key));
+  }
+
+  /**
+   * Invalidate the cache entries a write affects
+   * Tags come from the route's invalidate rules and the upstream X-Cache-Tags
+   * header; plain string rules are legacy key patterns (`{userId}` is replaced)
+   */
+  async invalidateCache(req, response, log) {
+    const tags = cacheTags.getInvalidationTags(req, response);
+    const patterns = req.serviceRoute.cache.invalidate
+      .filter(rule => typeof rule === 'string')
+      .filter(pattern => !pattern.includes('{userId}') || req.user?.id)
+      .map(pattern => httpCache.RESPONSE_KEY_PREFIX + pattern.replace(/\{userId\}/g, req.user?.id));
+    
+    if (tags.length === 0 && patterns.length === 0) return;
+    
+    try {
+      let deleted = await this.redisCache.invalidateTags(tags) || 0;
+      for (const pattern of patterns) {
+        deleted += await this.redisCache.invalidateByPattern(pattern) || 0;
+      }
+      metrics.cacheInvalidations.inc({ service: req.serviceRoute.name });
+      log.info('Cache invalidated', { type: 'cache_invalidate', path: req.originalUrl, tags, patterns, deleted });
+    } catch (invalidateError) {
+      log.error(`Cache invalidation failed: ${invalidateError.message}`, { type: 'cache_error', path: req.originalUrl });
+    }
+  }
+
+  /**
+   * Send a stale cache entry, marked with X-Cache: STALE and a Warning header
+   */
+  sendStale(req, res, entry, warning, log) {
+    log.info('Cache stale', { type: 'cache_stale', path: req.originalUrl, warning });
+    res.setHeader('X-Cache', 'STALE');
+    res.setHeader('Warning', warning);
+    res.setHeader('Age', String(httpCache.getAge(entry)));
+    return this.sendEntry(req, res, entry);
+  }
+
+  /**
+   * Send a cache entry, or 304 Not Modified when the client's copy is current
+   */
+  sendEntry(req, res, entry) {
+    if (httpCache.isNotModified(req.headers, entry)) {
+      res.set(httpCache.getNotModifiedHeaders(entry));
+      return res.status(304).end();
+    }
+    res.set(entry.headers);
+    return res.status(entry.status).send(entry.body);
+  }
+
   /**
    * Forward a request directly to a service without caching
    * Used for health endpoints and other non-cacheable requests
    */
-  async forwardRequest(req, res, serviceURL, basePath) {
+  async forwardRequest(req, res, basePath) {
+    const log = logger.forRequest(req);
+    
     try {
       // Construct the URL for the microservice request
       const pathSuffix = req.originalUrl.substring(basePath.length) || '/';
-      const url = serviceURL + pathSuffix;
-      const circuitBreaker = this.circuitBreakers[basePath];
+      const upstreamPool = this.upstreamPools[basePath];
       
       // Record start time for metrics
       const startTime = Date.now();
       
-      const response = await circuitBreaker.fire(url, req.method, req.body);
+      const response = await upstreamPool.fire(
+        pathSuffix,
+        req.method,
+        req.body,
+        buildForwardHeaders(req, req.serviceRoute.headers)
+      );
       
       // Record response time for metrics
       const responseTime = (Date.now() - startTime) / 1000; // in seconds
@@ -207,17 +621,75 @@ class ProxyController {
       return res.status(response.status).send(response.data);
     } catch (err) {
       if (err.type === 'open') {
-        logger.error(`Service ${basePath} circuit is open, failing fast`);
+        log.error(`Service ${basePath} circuit is open, failing fast`, { type: 'upstream_error', reason: 'open' });
         return res.status(503).json({ error: 'Service temporarily unavailable' });
       } else if (err.type === 'timeout') {
-        logger.error(`Request to ${basePath} timed out`);
+        log.error(`Request to ${basePath} timed out`, { type: 'upstream_error', reason: 'timeout' });
         return res.status(504).json({ error: 'Service request timed out' });
       }
       
-      logger.error(`Error forwarding request to ${basePath}: ${err.message}`);
+      log.error(`Error forwarding request to ${basePath}: ${err.message}`, { type: 'upstream_error' });
       return res.status(err.response?.status || 500).json(err.response?.data || { error: 'Internal Gateway Error' });
     }
   }
+
+  /**
+   * Forward a request with streamed request and response bodies
+   * Used for uploads, binary downloads and chunked responses; the upstream
+   * status, headers and content type are passed through unchanged
+   */
+  async streamRequest(req, res, basePath) {
+    const log = logger.forRequest(req);
+    const pathSuffix = req.originalUrl.substring(basePath.length) || '/';
+    const upstreamPool = this.upstreamPools[basePath];
+    const hasBody = Boolean(req.headers['content-length'] || req.headers['transfer-encoding']);
+    
+    // Record start time for metrics
+    const startTime = Date.now();
+    
+    let response;
+    try {
+      response = await upstreamPool.fire(
+        pathSuffix,
+        req.method,
+        hasBody ? req : undefined,
+        buildForwardHeaders(req, req.serviceRoute.headers, { stream: true }),
+        { stream: true }
+      );
+    } catch (err) {
+      if (err.response && err.response.data && typeof err.response.data.pipe === 'function') {
+        // Every instance answered with a server error: pass the last one through as-is
+        response = err.response;
+      } else if (err.type === 'open') {
+        log.error(`Service ${basePath} circuit is open, failing fast`, { type: 'upstream_error', reason: 'open' });
+        return res.status(503).json({ error: 'Service temporarily unavailable' });
+      } else if (err.type === 'timeout') {
+        log.error(`Request to ${basePath} timed out`, { type: 'upstream_error', reason: 'timeout' });
+        return res.status(504).json({ error: 'Service request timed out' });
+      } else {
+        log.error(`Error streaming request to ${basePath}: ${err.message}`, { type: 'upstream_error' });
+        return res.status(502).json({ error: 'Bad Gateway' });
+      }
+    }
+    
+    res.status(response.status);
+    res.set(filterResponseHeaders(response.headers));
+    
+    // Pipe with backpressure; an error on either side tears down both streams
+    pipeline(response.data, res, (err) => {
+      const responseTime = (Date.now() - startTime) / 1000; // in seconds
+      metrics.serviceResponseTime.observe(
+        { service: basePath, endpoint: req.path, status_code: response.status },
+        responseTime
+      );
+      
+      if (err) {
+        // The body stream may wrap the upstream socket's, which must not be left open
+        response.request?.destroy();
+        log.error(`Stream from ${basePath} ended with error: ${err.message}`, { type: 'upstream_error' });
+      }
+    });
+  }
 }
 
 module.exports = ProxyController;
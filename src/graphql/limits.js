@@ -0,0 +1,94 @@
+const { GraphQLError, Kind, getNamedType, getNullableType, isListType } = require('graphql');
+
+/**
+ * Query limits
+ * A validation rule rejecting operations nested deeper than `maxDepth` or
+ * costing more than `maxComplexity`, before any resolver calls an upstream.
+ * Each field costs 1, and the selections of a list field cost `listFactor`
+ * times theirs, the number of items a list is assumed to hold. Introspection
+ * fields are not counted.
+ *
+ * Lists can hold more items than assumed, so queries are also bounded while
+ * they run: resolvers return at most `maxListSize` items of an upstream list,
+ * and a query makes at most `maxUpstreamCalls` distinct upstream calls.
+ */
+
+const DEFAULT_LIMITS = {
+  maxDepth: 6,
+  maxComplexity: 1000,
+  listFactor: 10,
+  maxListSize: 100,
+  maxUpstreamCalls: 50
+};
+
+/**
+ * Limits with the defaults of those not set
+ * @param {Object} [limits]
+ * @returns {Object}
+ */
+function withDefaults(limits = {}) {
+  return Object.fromEntries(Object.entries(DEFAULT_LIMITS)
+    .map(([name, value]) => [name, limits[name] ?? value]));
+}
+
+/**
+ * Create the limit validation rule
+ * @param {Object} [limits] - { maxDepth, maxComplexity, listFactor }
+ * @returns {Function} GraphQL validation rule
+ */
+function createLimitRule(limits = {}) {
+  const { maxDepth, maxComplexity, listFactor } = withDefaults(limits);
+
+  // Depth and cost of a selection set, following fragments (each at most once per path)
+  const measure = (context, selectionSet, type, fragments) => {
+    let depth = 0;
+    let cost = 0;
+    selectionSet.selections.forEach(selection => {
+      let result;
+      if (selection.kind === Kind.FIELD) {
+        if (selection.name.value.startsWith('__')) return;
+
+        const field = type && type.getFields ? type.getFields()[selection.name.value] : null;
+        const child = selection.selectionSet
+          ? measure(context, selection.selectionSet, field && getNamedType(field.type), fragments)
+          : { depth: 0, cost: 0 };
+        const factor = field && isListType(getNullableType(field.type)) ? listFactor : 1;
+        result = { depth: child.depth + 1, cost: 1 + child.cost * factor };
+      } else {
+        const spread = selection.kind === Kind.FRAGMENT_SPREAD ? selection.name.value : null;
+        const fragment = spread ? context.getFragment(spread) : selection;
+        if (!fragment || fragments.has(spread)) return;
+
+        const fragmentType = fragment.typeCondition
+          ? context.getSchema().getType(fragment.typeCondition.name.value)
+          : type;
+        result = measure(context, fragment.selectionSet, fragmentType, spread ? new Set([...fragments, spread]) : fragments);
+      }
+      depth = Math.max(depth, result.depth);
+      cost += result.cost;
+    });
+    return { depth, cost };
+  };
+
+  return (context) => ({
+    OperationDefinition(node) {
+      const rootType = context.getSchema().getRootType(node.operation);
+      const { depth, cost } = measure(context, node.selectionSet, rootType, new Set());
+
+      if (depth > maxDepth) {
+        context.reportError(new GraphQLError(`Query depth ${depth} exceeds the limit of ${maxDepth}`, {
+          nodes: [node],
+          extensions: { code: 'QUERY_TOO_DEEP' }
+        }));
+      }
+      if (cost > maxComplexity) {
+        context.reportError(new GraphQLError(`Query complexity ${cost} exceeds the limit of ${maxComplexity}`, {
+          nodes: [node],
+          extensions: { code: 'QUERY_TOO_COMPLEX' }
+        }));
+      }
+    }
+  });
+}
+
+module.exports = { createLimitRule, withDefaults, DEFAULT_LIMITS };
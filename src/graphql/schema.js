@@ -0,0 +1,139 @@
+const {
+  GraphQLError,
+  GraphQLFloat,
+  GraphQLID,
+  GraphQLList,
+  GraphQLNonNull,
+  GraphQLObjectType,
+  GraphQLSchema,
+  GraphQLString
+} = require('graphql');
+const { isPathIdentifier } = require('../utils/path-matcher');
+
+/**
+ * GraphQL schema over the user, review and watchlist services
+ * Resolvers read upstream data through `context.load(service, path)`, which
+ * makes each distinct GET once per query, through the route's circuit
+ * breakers and response cache, on behalf of the caller (`context.user`).
+ * Upstream lists may be wrapped (`{ "reviews": [...] }`) and ids may be `_id`.
+ */
+
+const idOf = (value) => value.id ?? value._id;
+
+// Unwrap a list response sent as { "<key>": [...] }, keeping the first `context.maxListSize` items
+const listOf = (data, key, context) => (Array.isArray(data) ? data : data?.[key] || []).slice(0, context.maxListSize);
+
+// Upstream path segment for an id; ids such as `..` would move the request to another path
+const segment = (value) => {
+  if (!isPathIdentifier(value)) {
+    throw new GraphQLError('Invalid id', { extensions: { code: 'BAD_USER_INPUT', status: 400 } });
+  }
+  return String(value);
+};
+
+const listType = (type) => new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(type)));
+
+const UserType = new GraphQLObjectType({
+  name: 'User',
+  fields: () => ({
+    id: { type: new GraphQLNonNull(GraphQLID), resolve: idOf },
+    username: { type: GraphQLString },
+    name: { type: GraphQLString },
+    email: { type: GraphQLString },
+    reviews: {
+      type: listType(ReviewType),
+      resolve: async (user, args, context) => listOf(await context.load('review', `/user/${segment(idOf(user))}`), 'reviews', context)
+    }
+  })
+});
+
+const ReviewType = new GraphQLObjectType({
+  name: 'Review',
+  fields: () => ({
+    id: { type: new GraphQLNonNull(GraphQLID), resolve: idOf },
+    movieId: { type: GraphQLID },
+    userId: { type: GraphQLID },
+    rating: { type: GraphQLFloat },
+    comment: { type: GraphQLString },
+    createdAt: { type: GraphQLString },
+    user: {
+      type: UserType,
+      resolve: (review, args, context) => (review.userId ? context.load('user', `/${segment(review.userId)}`) : null)
+    },
+    movie: {
+      type: MovieType,
+      resolve: (review) => (review.movieId ? { id: review.movieId } : null)
+    }
+  })
+});
+
+// Movies have no service of their own; a movie gathers what the other services hold about it
+const MovieType = new GraphQLObjectType({
+  name: 'Movie',
+  fields: () => ({
+    id: { type: new GraphQLNonNull(GraphQLID) },
+    reviews: {
+      type: listType(ReviewType),
+      resolve: async (movie, args, context) => listOf(await context.load('review', `/movie/${segment(movie.id)}`), 'reviews', context)
+    }
+  })
+});
+
+const WatchlistItemType = new GraphQLObjectType({
+  name: 'WatchlistItem',
+  fields: () => ({
+    id: { type: GraphQLID, resolve: idOf },
+    movieId: { type: GraphQLID },
+    addedAt: { type: GraphQLString },
+    movie: {
+      type: MovieType,
+      resolve: (item) => (item.movieId ? { id: item.movieId } : null)
+    }
+  })
+});
+
+// The caller's identity comes from the verified JWT (or API key) of the HTTP request
+const requireCaller = (context) => {
+  if (!context.user) {
+    throw new GraphQLError('Authentication required', { extensions: { code: 'UNAUTHENTICATED', status: 401 } });
+  }
+};
+
+const QueryType = new GraphQLObjectType({
+  name: 'Query',
+  fields: {
+    me: {
+      type: UserType,
+      resolve: (root, args, context) => {
+        requireCaller(context);
+        return context.load('user', '/profile');
+      }
+    },
+    user: {
+      type: UserType,
+      args: { id: { type: new GraphQLNonNull(GraphQLID) } },
+      resolve: (root, { id }, context) => context.load('user', `/${segment(id)}`)
+    },
+    review: {
+      type: ReviewType,
+      args: { id: { type: new GraphQLNonNull(GraphQLID) } },
+      resolve: (root, { id }, context) => context.load('review', `/${segment(id)}`)
+    },
+    movie: {
+      type: MovieType,
+      args: { id: { type: new GraphQLNonNull(GraphQLID) } },
+      resolve: (root, { id }) => ({ id })
+    },
+    myWatchlist: {
+      type: listType(WatchlistItemType),
+      resolve: async (root, args, context) => {
+        requireCaller(context);
+        return listOf(await context.load('watchlist', '/mine'), 'watchlist', context);
+      }
+    }
+  }
+});
+
+const schema = new GraphQLSchema({ query: QueryType });
+
+module.exports = schema;
@@ -1,11 +1,20 @@
-const { expressjwt } = require('express-jwt');
 const logger = require('../utils/logger');
+const JwtVerifier = require('../utils/jwt-verifier');
+const serviceRegistry = require('../config/service-registry');
+const ApiKeyStore = require('../utils/api-key-store');
+const { matchPath, isPathWithin } = require('../utils/path-matcher');
+const { getUserRoles } = require('../utils/forward-headers');
 
 /**
  * Authentication middleware using JWT
- * Verifies the JWT token in the Authorization header
+ * Verifies the JWT token in the Authorization header and enforces the
+ * auth policy (`public`, `optional` or `required`) and authorization rules
+ * declared for the matching route
  */
 
+// Shared verifier, created once so JWKS keys stay cached between requests
+const jwtVerifier = new JwtVerifier();
+
 // Function to extract token from request
 const getToken = (req) => {
   // Get token from Authorization header
@@ -19,8 +28,108 @@ const getToken = (req) => {
   return null;
 };
 
-// Simple middleware to check if path should be excluded from auth
-const authMiddleware = (req, res, next) => {
+// Send a 401 response with a Bearer challenge
+const rejectUnauthenticated = (res, message) => {
+  res.setHeader('WWW-Authenticate', 'Bearer');
+  return res.status(401).json({ error: message });
+};
+
+// Get the scopes granted by a verified JWT payload
+const getUserScopes = (user) => {
+  const scopes = user.scopes || user.scope || [];
+  return Array.isArray(scopes) ? scopes : String(scopes).split(' ').filter(Boolean);
+};
+
+/**
+ * Check a user against a rule's role and scope requirements
+ * A rule passes when the user has any of its roles and all of its scopes
+ * @param {Object} user - Decoded JWT payload
+ * @param {Object} rule - Authorization rule ({ roles, scopes })
+ * @returns {boolean}
+ */
+const isAuthorized = (user, rule) => {
+  if (rule.roles && rule.roles.length > 0) {
+    const roles = getUserRoles(user);
+    if (!rule.roles.some(role => roles.includes(role))) {
+      return false;
+    }
+  }
+  if (rule.scopes && rule.scopes.length > 0) {
+    const scopes = getUserScopes(user);
+    if (!rule.scopes.every(scope => scopes.includes(scope))) {
+      return false;
+    }
+  }
+  return true;
+};
+
+// Find the authorization rules of a route that apply to a request
+const getMatchingRules = (route, req) => {
+  const subPath = req.path.substring(route.prefix.length) || '/';
+  return route.auth.rules.filter(rule =>
+    (!rule.methods || rule.methods.includes(req.method)) &&
+    (!rule.path || matchPath(rule.path, subPath))
+  );
+};
+
+// Resolve the auth policy for a request path
+// Public paths cover themselves and the paths below them, on whole segments
+const getPolicy = (route, req) => {
+  if (!route) return 'optional';
+  const subPath = req.path.substring(route.prefix.length) || '/';
+  if (route.auth.public.some(publicPath => isPathWithin(subPath, publicPath))) {
+    return 'public';
+  }
+  return route.auth.policy;
+};
+
+/**
+ * Verify a token and check that it has not been revoked
+ * @param {string} token - Bearer token
+ * @param {TokenRevocationStore} [revocationStore] - Rejects revoked tokens when provided
+ * @returns {Promise<Object>} Decoded JWT payload
+ */
+const verifyToken = async (token, revocationStore) => {
+  const payload = await jwtVerifier.verify(token);
+  if (revocationStore && await revocationStore.isRevoked(payload)) {
+    const error = new Error('token has been revoked');
+    error.name = 'TokenRevokedError';
+    throw error;
+  }
+  return payload;
+};
+
+/**
+ * Check a caller against a route's auth policy and authorization rules
+ * Used for requests the gateway makes to a route on the caller's behalf
+ * (aggregations), which don't pass through the middleware themselves
+ * @param {Object} route - Route entry
+ * @param {Object} req - Request: { method, path (full request path), user, apiKey (with its scopes) }
+ * @returns {string} `allowed`, `unauthenticated` or `forbidden`
+ */
+const checkAccess = (route, req) => {
+  // API keys are checked against their scopes instead of the route's rules
+  if (req.apiKey) {
+    return ApiKeyStore.isAllowed(req.apiKey, req.method, req.path) ? 'allowed' : 'forbidden';
+  }
+  if (getPolicy(route, req) === 'public') {
+    return 'allowed';
+  }
+
+  const rules = getMatchingRules(route, req);
+  if (!req.user) {
+    return getPolicy(route, req) === 'required' || rules.length > 0 ? 'unauthenticated' : 'allowed';
+  }
+  return rules.every(rule => isAuthorized(req.user, rule)) ? 'allowed' : 'forbidden';
+};
+
+/**
+ * Create the authentication middleware
+ * @param {Object} [options]
+ * @param {TokenRevocationStore} [options.revocationStore] - Rejects revoked tokens when provided
+ * @returns {Function} Express middleware
+ */
+const createAuthMiddleware = ({ revocationStore } = {}) => (req, res, next) => {
   // Define paths that don't require authentication
   const publicPaths = [
     '/health',
@@ -28,47 +137,81 @@ const authMiddleware = (req, res, next) => {
     '/health/config',
     '/metrics'
   ];
-  
+
   // Check if the current path exactly matches a public path
   if (publicPaths.includes(req.path)) {
     return next();
   }
-  
-  // Check public path prefixes
-  if (
-    req.path === '/health' ||
-    req.path.startsWith('/api/user/login') ||
-    req.path.startsWith('/api/user/signup') ||
-    req.path.startsWith('/api/user/test') ||
-    req.path.startsWith('/api/watchlist/test') ||
-    req.path.startsWith('/api/review/test')
-  ) {
+
+  // Requests authenticated by an API key were already checked against the key's scopes
+  if (req.apiKey) {
     return next();
   }
-  
-  // For protected paths, manually verify JWT
-  const token = getToken(req);
-  if (!token) {
-    // No token provided, but we'll continue anyway (credentialsRequired: false behavior)
+
+  const route = serviceRegistry.matchRoute(req.path);
+  const policy = getPolicy(route, req);
+  if (policy === 'public') {
     return next();
   }
-  
-  // Create JWT verification middleware for this request only
-  const jwtMiddleware = expressjwt({
-    secret: process.env.JWT_SECRET || 'your-secret-key',
-    algorithms: ['HS256']
-  });
-  
-  // Apply JWT middleware
-  jwtMiddleware(req, res, (err) => {
-    if (err) {
-      // Handle JWT error but don't block the request
-      logger.warn(`JWT authentication error: ${err.message}`);
-      // Continue without authentication
+
+  const rules = route ? getMatchingRules(route, req) : [];
+
+  // Enforce the route policy and authorization rules once the caller is known
+  const authorize = () => {
+    if (!req.user) {
+      if (policy === 'required' || rules.length > 0) {
+        return rejectUnauthenticated(res, 'Authentication required');
+      }
       return next();
     }
+
+    const deniedBy = rules.find(rule => !isAuthorized(req.user, rule));
+    if (deniedBy) {
+      logger.forRequest(req).warn(`Authorization denied on ${req.method} ${req.path}`, { type: 'auth_denied' });
+      return res.status(403).json({ error: 'Forbidden' });
+    }
     next();
-  });
+  };
+
+  const token = getToken(req);
+  if (!token) {
+    return authorize();
+  }
+
+  verifyToken(token, revocationStore)
+    // Errors from later middleware must not be treated as authentication failures
+    .then((payload) => {
+      req.user = payload;
+      authorize();
+    }, (err) => {
+      logger.forRequest(req).warn(`JWT authentication error: ${err.message}`, { type: 'auth_error' });
+
+      // Optional routes continue anonymously; protected ones reject the token
+      if (policy === 'required' || rules.length > 0) {
+        const messages = { TokenExpiredError: 'Token expired', TokenRevokedError: 'Token revoked' };
+        return rejectUnauthenticated(res, messages[err.name] || 'Invalid token');
+      }
+      next();
+    });
+};
+
+// Authentication without revocation checks
+const authMiddleware = createAuthMiddleware();
+
+/**
+ * Require the authenticated user to hold one of the given roles
+ * Used for gateway-owned endpoints that are not part of the route table
+ * @param {...string} roles - Accepted roles
+ * @returns {Function} Express middleware
+ */
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user) {
+    return rejectUnauthenticated(res, 'Authentication required');
+  }
+  if (!isAuthorized(req.user, { roles })) {
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+  next();
 };
 
 // Handle JWT errors
@@ -81,4 +224,4 @@ const handleJwtError = (err, req, res, next) => {
   }
 };
 
-module.exports = { authMiddleware, handleJwtError };
+module.exports = { authMiddleware, createAuthMiddleware, handleJwtError, requireRole, isAuthorized, checkAccess, getToken, verifyToken, jwtVerifier };
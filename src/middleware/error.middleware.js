@@ -6,12 +6,13 @@ const logger = require('../utils/logger');
  */
 function errorMiddleware(err, req, res, next) {
   // Log the error
-  logger.error({
-    message: `Error processing request: ${err.message}`,
+  // Secrets in the URL and body are redacted by the logger
+  logger.forRequest(req).error(`Error processing request: ${err.message}`, {
     stack: err.stack,
     path: req.originalUrl,
     method: req.method,
-    ip: req.ip
+    ip: req.ip,
+    body: req.body
   });
 
   // Determine status code
@@ -23,7 +24,9 @@ function errorMiddleware(err, req, res, next) {
       message: err.message || 'Internal Server Error',
       status: statusCode,
       timestamp: new Date().toISOString()
-    }
+    },
+    requestId: req.requestId,
+    traceId: req.span?.traceId
   });
 }
 
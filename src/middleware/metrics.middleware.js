@@ -1,5 +1,6 @@
 const promBundle = require('express-prom-bundle');
 const client = require('prom-client');
+const serviceRegistry = require('../config/service-registry');
 
 // Create a custom registry
 const register = new client.Registry();
@@ -16,20 +17,154 @@ const serviceResponseTime = new client.Histogram({
   registers: [register]
 });
 
+// Gauge values for circuit breaker states
+const BREAKER_STATES = { closed: 0, halfOpen: 1, open: 2 };
+
 const circuitBreakerState = new client.Gauge({
   name: 'api_gateway_circuit_breaker_state',
-  help: 'State of circuit breakers (0: closed, 1: half-open, 2: open)',
-  labelNames: ['service'],
+  help: 'State of the circuit breaker of each upstream instance (0: closed, 1: half-open, 2: open)',
+  labelNames: ['service', 'instance'],
+  registers: [register]
+});
+
+const redisCircuitBreakerState = new client.Gauge({
+  name: 'api_gateway_redis_circuit_breaker_state',
+  help: 'State of the Redis circuit breaker (0: closed, 1: half-open, 2: open)',
+  registers: [register]
+});
+
+const cacheRequests = new client.Counter({
+  name: 'api_gateway_cache_requests_total',
+  help: 'Response cache lookups, by service and result (hit, stale, miss)',
+  labelNames: ['service', 'result'],
   registers: [register]
 });
 
 const cacheHitRatio = new client.Gauge({
   name: 'api_gateway_cache_hit_ratio',
-  help: 'Cache hit ratio for the API Gateway',
+  help: 'Share of response cache lookups answered from the cache (fresh or stale) since start, by service',
+  labelNames: ['service'],
+  registers: [register],
+  // Derived from the lookup counter at scrape time
+  async collect() {
+    const totals = {};
+    (await cacheRequests.get()).values.forEach(({ labels, value }) => {
+      const total = totals[labels.service] || (totals[labels.service] = { hits: 0, lookups: 0 });
+      total.lookups += value;
+      if (labels.result !== 'miss') total.hits += value;
+    });
+    Object.entries(totals).forEach(([service, { hits, lookups }]) => {
+      if (lookups > 0) this.set({ service }, hits / lookups);
+    });
+  }
+});
+
+const cacheStores = new client.Counter({
+  name: 'api_gateway_cache_stores_total',
+  help: 'Responses stored in the cache, by service',
+  labelNames: ['service'],
+  registers: [register]
+});
+
+const cacheInvalidations = new client.Counter({
+  name: 'api_gateway_cache_invalidations_total',
+  help: 'Cache invalidations triggered by writes, by service',
+  labelNames: ['service'],
+  registers: [register]
+});
+
+const upstreamAttempts = new client.Counter({
+  name: 'api_gateway_upstream_attempts_total',
+  help: 'HTTP requests sent to upstream instances, including retries, by service',
   labelNames: ['service'],
   registers: [register]
 });
 
+const upstreamRetries = new client.Counter({
+  name: 'api_gateway_upstream_retries_total',
+  help: 'Upstream requests retried after a failed attempt, by service',
+  labelNames: ['service'],
+  registers: [register]
+});
+
+const upstreamFallbacks = new client.Counter({
+  name: 'api_gateway_upstream_fallbacks_total',
+  help: 'Requests answered with the route fallback because no instance could answer, by service',
+  labelNames: ['service'],
+  registers: [register]
+});
+
+const retryBudgetExhausted = new client.Counter({
+  name: 'api_gateway_retry_budget_exhausted_total',
+  help: 'Retries and failovers skipped because the service retry budget was spent, by service',
+  labelNames: ['service'],
+  registers: [register]
+});
+
+const upstreamTimeouts = new client.Counter({
+  name: 'api_gateway_upstream_timeouts_total',
+  help: 'Upstream timeouts by service and scope (attempt: one HTTP request ran out of its timeout, request: the request ran out of its deadline)',
+  labelNames: ['service', 'scope'],
+  registers: [register]
+});
+
+const apiKeyRequests = new client.Counter({
+  name: 'api_gateway_api_key_requests_total',
+  help: 'Requests made with API keys, by key and outcome (allowed, forbidden, rate_limited)',
+  labelNames: ['key_id', 'key_name', 'outcome'],
+  registers: [register]
+});
+
+const cacheInvalidationEvents = new client.Counter({
+  name: 'api_gateway_cache_invalidation_events_total',
+  help: 'Cache invalidation events received from services, by source and outcome (applied, invalid, failed)',
+  labelNames: ['source', 'outcome'],
+  registers: [register]
+});
+
+const cacheInvalidationLag = new client.Histogram({
+  name: 'api_gateway_cache_invalidation_lag_seconds',
+  help: 'Time from an invalidation event being published to the purge being applied, in seconds',
+  labelNames: ['source'],
+  buckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+  registers: [register]
+});
+
+const coalescedRequests = new client.Counter({
+  name: 'api_gateway_coalesced_requests_total',
+  help: 'Cache misses answered by another request\'s upstream call, in this process (local) or another replica (distributed)',
+  labelNames: ['service', 'mode'],
+  registers: [register]
+});
+
+const aggregationSections = new client.Counter({
+  name: 'api_gateway_aggregation_sections_total',
+  help: 'Aggregation sections by outcome (ok, partial, omitted, fallback, failed)',
+  labelNames: ['aggregation', 'section', 'outcome'],
+  registers: [register]
+});
+
+const openConnections = new client.Gauge({
+  name: 'api_gateway_open_connections',
+  help: 'Open WebSocket and SSE connections, by service and protocol',
+  labelNames: ['service', 'protocol'],
+  registers: [register]
+});
+
+const rejectedConnections = new client.Counter({
+  name: 'api_gateway_connections_rejected_total',
+  help: 'WebSocket and SSE connections refused, by service, protocol and reason (unauthenticated, forbidden, limit, upstream)',
+  labelNames: ['service', 'protocol', 'reason'],
+  registers: [register]
+});
+
+const idempotentRequests = new client.Counter({
+  name: 'api_gateway_idempotent_requests_total',
+  help: 'Writes with an Idempotency-Key, by service and outcome (processed, replayed, mismatch, in_flight)',
+  labelNames: ['service', 'outcome'],
+  registers: [register]
+});
+
 // Create the middleware
 const metricsMiddleware = promBundle({
   includeMethod: true,
@@ -40,19 +175,37 @@ const metricsMiddleware = promBundle({
   promClient: { register },
   promRegistry: register,
   metricsPath: '/metrics',
-  normalizePath: [
-    ['^/api/user/.*', '/api/user/:id'],
-    ['^/api/review/.*', '/api/review/:id'],
-    ['^/api/watchlist/.*', '/api/watchlist/:id']
-  ]
+  // Label proxied requests with the route path template they match, e.g.
+  // `/api/review/movie/:movieId`; other paths get ids replaced by `#val`
+  normalizePath: (req, opts) => (
+    serviceRegistry.getPathLabel(req.originalUrl.split('?')[0]) || promBundle.normalizePath(req, opts)
+  )
 });
 
 module.exports = {
   metricsMiddleware,
   register,
+  BREAKER_STATES,
   metrics: {
     serviceResponseTime,
     circuitBreakerState,
-    cacheHitRatio
+    redisCircuitBreakerState,
+    cacheHitRatio,
+    cacheRequests,
+    cacheStores,
+    cacheInvalidations,
+    upstreamAttempts,
+    upstreamRetries,
+    upstreamFallbacks,
+    upstreamTimeouts,
+    retryBudgetExhausted,
+    apiKeyRequests,
+    cacheInvalidationEvents,
+    cacheInvalidationLag,
+    coalescedRequests,
+    aggregationSections,
+    openConnections,
+    rejectedConnections,
+    idempotentRequests
   }
 };
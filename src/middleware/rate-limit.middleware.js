@@ -1,6 +1,9 @@
 const rateLimit = require('express-rate-limit');
 const UAParser = require('ua-parser-js');
 const logger = require('../utils/logger');
+const serviceRegistry = require('../config/service-registry');
+const RedisRateLimitStore = require('../utils/redis-rate-limit-store');
+const { matchPath } = require('../utils/path-matcher');
 
 /**
  * Rate limiting middleware
@@ -24,9 +27,10 @@ const createRateLimiter = (options = {}) => {
     const parser = new UAParser(req.headers['user-agent']);
     const userAgent = parser.getResult();
     
-    logger.warn({
-      message: 'Rate limit exceeded',
+    logger.forRequest(req).warn('Rate limit exceeded', {
+      type: 'rate_limited',
       ip: req.ip,
+      client: getClientKey(req),
       path: req.originalUrl,
       userAgent: {
         browser: userAgent.browser.name,
@@ -47,20 +51,108 @@ const createRateLimiter = (options = {}) => {
   return rateLimit(limiterOptions);
 };
 
-// Create different rate limiters for different endpoints
-const apiLimiter = createRateLimiter({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // 100 requests per 15 minutes
-});
+/**
+ * Identify the caller for rate limiting: API key, then user id, then IP
+ * so users behind a shared NAT get their own budgets
+ */
+const getClientKey = (req) => {
+  if (req.apiKey) {
+    return `apikey:${req.apiKey.id}`;
+  }
+  const userId = req.user && (req.user.id !== undefined ? req.user.id : req.user.sub);
+  if (userId !== undefined) {
+    return `user:${userId}`;
+  }
+  return `ip:${req.ip}`;
+};
+
+// Plan-based quota multiplier taken from the JWT claims
+const getPlanMultiplier = (req, config) => {
+  const plan = req.user && req.user[config.claim];
+  const multiplier = plan !== undefined ? config.plans[plan] : undefined;
+  return typeof multiplier === 'number' && multiplier > 0 ? multiplier : 1;
+};
+
+// Pick the tier for a request: a matching route rule, else reads/writes by method
+const resolveTier = (req) => {
+  const route = serviceRegistry.matchRoute(req.path);
+  if (route) {
+    const subPath = req.path.substring(route.prefix.length) || '/';
+    const rule = route.rateLimits.find(candidate =>
+      (!candidate.methods || candidate.methods.includes(req.method)) &&
+      matchPath(candidate.path, subPath)
+    );
+    if (rule) return rule.tier;
+  }
+  return ['GET', 'HEAD', 'OPTIONS'].includes(req.method) ? 'reads' : 'writes';
+};
+
+/**
+ * Create the tiered rate limiter
+ * Counts are kept in Redis so limits are shared across gateway replicas,
+ * keyed by API key, user id or IP, with one budget per tier (login, writes,
+ * reads) scaled by the caller's plan
+ * @param {RedisCache} redisCache - Shared Redis cache
+ * @param {Object} [config] - Tiers and plans (defaults to the route table's rateLimits)
+ * @returns {Function} Express middleware
+ */
+const createTieredRateLimiter = (redisCache, config = serviceRegistry.rateLimits) => {
+  const limiters = {};
+
+  Object.entries(config.tiers).forEach(([tier, options]) => {
+    limiters[tier] = createRateLimiter({
+      windowMs: options.windowMs,
+      max: (req) => Math.max(1, Math.floor(options.max * getPlanMultiplier(req, config))),
+      keyGenerator: getClientKey,
+      store: new RedisRateLimitStore(redisCache, `ratelimit:${tier}:`, logger),
+      message: 'Too many requests, please try again later'
+    });
+  });
+
+  return (req, res, next) => {
+    const tier = resolveTier(req);
+    return (limiters[tier] || limiters.reads)(req, res, next);
+  };
+};
 
-// More strict limiter for authentication endpoints
-const authLimiter = createRateLimiter({
-  windowMs: 60 * 60 * 1000, // 1 hour
-  max: 10, // 10 requests per hour
+/**
+ * Create the per-IP limiter applied before authentication
+ * Bounds what one address can send whatever its credentials, including health
+ * checks and requests that authentication rejects (invalid API keys, bad or
+ * missing tokens), which never reach the tiered limiter
+ * @param {RedisCache} redisCache - Shared Redis cache
+ * @param {Object} [config] - Rate limit config with `ip: { windowMs, max }` (defaults to the route table's rateLimits)
+ * @returns {Function} Express middleware
+ */
+const createIpRateLimiter = (redisCache, config = serviceRegistry.rateLimits) => createRateLimiter({
+  windowMs: config.ip.windowMs,
+  max: config.ip.max,
+  keyGenerator: (req) => `ip:${req.ip}`,
+  store: new RedisRateLimitStore(redisCache, 'ratelimit:ip:', logger)
 });
 
+/**
+ * Count a request against the per-IP limit outside Express (WebSocket
+ * upgrades), sharing the counts of createIpRateLimiter
+ * @param {RedisCache} redisCache - Shared Redis cache
+ * @param {Object} [config] - Rate limit config with `ip: { windowMs, max }` (defaults to the route table's rateLimits)
+ * @returns {Function} async (ip) => { allowed, retryAfter }, retryAfter in seconds
+ */
+const createIpRateCheck = (redisCache, config = serviceRegistry.rateLimits) => {
+  const store = new RedisRateLimitStore(redisCache, 'ratelimit:ip:', logger);
+  store.init({ windowMs: config.ip.windowMs });
+
+  return async (ip) => {
+    const { totalHits, resetTime } = await store.increment(`ip:${ip}`);
+    const retryAfter = Math.max(Math.ceil(((resetTime ? resetTime.getTime() : Date.now()) - Date.now()) / 1000), 1);
+    return { allowed: totalHits <= config.ip.max, retryAfter };
+  };
+};
+
 module.exports = {
-  apiLimiter,
-  authLimiter,
-  createRateLimiter
+  createRateLimiter,
+  createIpRateLimiter,
+  createIpRateCheck,
+  createTieredRateLimiter,
+  getClientKey
 };
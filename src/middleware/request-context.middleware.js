@@ -0,0 +1,50 @@
+const crypto = require('crypto');
+const { runWithContext } = require('../utils/request-context');
+const { startServerSpan } = require('../utils/tracing');
+
+// Accept client request ids made of safe characters only
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+/**
+ * Request context middleware
+ * Accepts or generates an X-Request-Id and a W3C trace context, starts the
+ * gateway span for the request and runs the rest of the chain inside the
+ * request context so logs and upstream calls carry both ids.
+ */
+function requestContextMiddleware(req, res, next) {
+  const incomingId = req.headers['x-request-id'];
+  const requestId = incomingId && REQUEST_ID_PATTERN.test(incomingId) ? incomingId : crypto.randomUUID();
+
+  const span = startServerSpan(`${req.method} gateway`, req.headers.traceparent, {
+    'http.method': req.method,
+    'http.target': req.originalUrl,
+    'http.client_ip': req.ip,
+    'request.id': requestId
+  });
+
+  req.requestId = requestId;
+  req.span = span;
+  res.setHeader('X-Request-Id', requestId);
+  res.setHeader('traceparent', span.traceparent);
+
+  // Error bodies carry the ids so clients can quote them in bug reports
+  const originalJson = res.json;
+  res.json = function (body) {
+    if (res.statusCode >= 400 && body && typeof body === 'object' && !Array.isArray(body) && !body.requestId) {
+      body = { ...body, requestId, traceId: span.traceId };
+    }
+    return originalJson.call(this, body);
+  };
+
+  res.on('finish', () => {
+    span.setAttribute('http.status_code', res.statusCode);
+    if (req.serviceRoute) {
+      span.setAttribute('gateway.route', req.serviceRoute.name);
+    }
+    span.end(res.statusCode >= 500 ? new Error(`HTTP ${res.statusCode}`) : undefined);
+  });
+
+  runWithContext({ requestId, span }, next);
+}
+
+module.exports = requestContextMiddleware;
@@ -0,0 +1,32 @@
+const express = require('express');
+const { requireRole } = require('../middleware/auth.middleware');
+const router = express.Router();
+
+/**
+ * Initialize admin routes with the admin controller
+ * @param {Object} adminController - Instance of AdminController
+ * @returns {Router} Express router
+ */
+function initAdminRoutes(adminController) {
+  // Every admin endpoint requires the admin role
+  router.use('/admin', requireRole('admin'));
+
+  // Revoke a token (jti) or all tokens of a user
+  router.post('/admin/tokens/revoke', (req, res) => adminController.revokeTokens(req, res));
+  
+  // API key management
+  router.post('/admin/api-keys', (req, res) => adminController.createApiKey(req, res));
+  router.get('/admin/api-keys', (req, res) => adminController.listApiKeys(req, res));
+  router.delete('/admin/api-keys/:id', (req, res) => adminController.revokeApiKey(req, res));
+
+  // Response cache inspection and purging
+  router.get('/admin/cache/entry', (req, res) => adminController.getCacheEntry(req, res));
+  router.get('/admin/cache/keys', (req, res) => adminController.listCacheKeys(req, res));
+  router.get('/admin/cache/stats', (req, res) => adminController.getCacheStats(req, res));
+  router.post('/admin/cache/purge', (req, res) => adminController.purgeCache(req, res));
+  router.delete('/admin/cache', (req, res) => adminController.flushCache(req, res));
+
+  return router;
+}
+
+module.exports = initAdminRoutes;
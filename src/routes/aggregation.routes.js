@@ -0,0 +1,23 @@
+const express = require('express');
+const serviceRegistry = require('../config/service-registry');
+const router = express.Router();
+
+/**
+ * Initialize aggregation routes with the aggregation controller
+ * @param {Object} aggregationController - Instance of AggregationController
+ * @returns {Router} Express router
+ */
+function initAggregationRoutes(aggregationController) {
+  // Serve each declared aggregation at its path
+  serviceRegistry.aggregations.forEach(aggregation => {
+    router.get(aggregation.path, (req, res, next) => {
+      req.aggregation = aggregation;
+      // Unexpected errors go to the error middleware instead of rejecting unhandled
+      aggregationController.aggregate(req, res).catch(next);
+    });
+  });
+
+  return router;
+}
+
+module.exports = initAggregationRoutes;
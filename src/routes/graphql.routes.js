@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+
+/**
+ * Initialize the GraphQL route with the GraphQL controller
+ * @param {Object} graphqlController - Instance of GraphqlController
+ * @returns {Router} Express router
+ */
+function initGraphqlRoutes(graphqlController) {
+  // Queries can be sent as POST bodies or GET query parameters
+  router.post('/graphql', (req, res) => graphqlController.handle(req, res));
+  router.get('/graphql', (req, res) => graphqlController.handle(req, res));
+
+  return router;
+}
+
+module.exports = initGraphqlRoutes;
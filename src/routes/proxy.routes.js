@@ -1,35 +1,37 @@
 const express = require('express');
+const serviceRegistry = require('../config/service-registry');
 const router = express.Router();
 
 /**
  * Initialize proxy routes with the proxy controller
  * @param {Object} proxyController - Instance of ProxyController
+ * @param {Object} liveController - Instance of LiveController, for SSE and WebSocket paths
  * @returns {Router} Express router
  */
-function initProxyRoutes(proxyController) {
-  // Handle all requests to /api/user and forward to user service
-  router.use('/api/user', (req, res) => {
-    req.serviceType = 'user';
-    proxyController.proxyRequest(req, res);
+function initProxyRoutes(proxyController, liveController) {
+  // Handle all requests under each declared prefix and forward to its service
+  serviceRegistry.routes.forEach(route => {
+    router.use(route.prefix, (req, res) => {
+      req.serviceType = route.name;
+      req.serviceRoute = route;
+      
+      const protocol = serviceRegistry.getLiveProtocol(req.baseUrl + req.path);
+      if (protocol === 'sse') {
+        return liveController.proxyEventStream(req, res);
+      }
+      // WebSocket upgrades are handled by the server's upgrade event, not Express
+      if (protocol === 'websocket') {
+        return res.status(426).set('Upgrade', 'websocket').json({ error: 'WebSocket upgrade required' });
+      }
+      proxyController.proxyRequest(req, res);
+    });
   });
 
-  // Handle all requests to /api/review and forward to review service
-  router.use('/api/review', (req, res) => {
-    req.serviceType = 'review';
-    proxyController.proxyRequest(req, res);
-  });
-
-  // Handle all requests to /api/watchlist and forward to watchlist service
-  router.use('/api/watchlist', (req, res) => {
-    req.serviceType = 'watchlist';
-    proxyController.proxyRequest(req, res);
-  });
-  
   // Fallback route for any other API requests
   router.use('/api', (req, res) => {
     res.status(404).json({ error: 'Service not found' });
   });
-  
+
   return router;
 }
 
@@ -1,10 +1,15 @@
 const createApp = require('./app');
 const logger = require('./utils/logger');
+const { jwtVerifier } = require('./middleware/auth.middleware');
+const tracing = require('./utils/tracing');
 
 /**
  * Start the server and handle graceful shutdown
  */
 async function startServer() {
+  // Refuse to start with an insecure JWT configuration
+  jwtVerifier.assertSecureConfig();
+  
   const app = createApp();
   const PORT = process.env.PORT || 3000;
   
@@ -14,7 +19,14 @@ async function startServer() {
     logger.info('Connected to Redis cache');
   } catch (error) {
     logger.warn(`Failed to connect to Redis: ${error.message}`);
-    logger.info('API Gateway will operate without caching');
+    logger.info('API Gateway will cache in memory only until Redis is reachable');
+  }
+  
+  // Apply cache purges published by services
+  try {
+    await app.cacheInvalidation.start();
+  } catch (error) {
+    logger.warn(`Failed to subscribe to cache invalidation events: ${error.message}`);
   }
   
   // Start the server
@@ -22,8 +34,14 @@ async function startServer() {
     logger.info(`API Gateway running on port ${PORT}`);
   });
   
+  // WebSocket upgrades on live routes bypass Express
+  server.on('upgrade', (req, socket, head) => app.liveController.handleUpgrade(req, socket, head));
+  
+  // Start probing upstream instances in the background
+  app.healthChecker.start();
+  
   // Handle graceful shutdown
-  setupGracefulShutdown(server, app.redisCache);
+  setupGracefulShutdown(server, app);
   
   return server;
 }
@@ -31,43 +49,64 @@ async function startServer() {
 /**
  * Set up handlers for graceful shutdown
  */
-function setupGracefulShutdown(server, redisCache) {
+function setupGracefulShutdown(server, app) {
   // Handle SIGTERM
   process.on('SIGTERM', async () => {
     logger.info('SIGTERM received, shutting down gracefully');
-    await gracefulShutdown(server, redisCache);
+    await gracefulShutdown(server, app);
   });
   
   // Handle SIGINT
   process.on('SIGINT', async () => {
     logger.info('SIGINT received, shutting down gracefully');
-    await gracefulShutdown(server, redisCache);
+    await gracefulShutdown(server, app);
   });
   
   // Handle uncaught exceptions
   process.on('uncaughtException', async (error) => {
     logger.error(`Uncaught exception: ${error.message}`, { stack: error.stack });
-    await gracefulShutdown(server, redisCache);
+    await gracefulShutdown(server, app);
   });
   
   // Handle unhandled promise rejections
   process.on('unhandledRejection', async (reason, promise) => {
     logger.error(`Unhandled promise rejection: ${reason}`);
-    await gracefulShutdown(server, redisCache);
+    await gracefulShutdown(server, app);
   });
 }
 
 /**
  * Perform graceful shutdown
  */
-async function gracefulShutdown(server, redisCache) {
+async function gracefulShutdown(server, app) {
+  const { redisCache, healthChecker, cacheInvalidation, liveController } = app;
+  
   // Close the HTTP server
   server.close(() => {
     logger.info('HTTP server closed');
   });
   
-  // Close Redis connection if it exists
-  if (redisCache && redisCache.connected) {
+  // End WebSocket and SSE connections, which would otherwise keep the server open
+  const closedConnections = liveController.closeAll();
+  if (closedConnections > 0) {
+    logger.info(`Closed ${closedConnections} live connections`);
+  }
+  
+  // Stop background health checks
+  healthChecker.stop();
+  
+  // Stop listening for cache invalidation events
+  try {
+    await cacheInvalidation.stop();
+  } catch (error) {
+    logger.warn(`Error unsubscribing from cache invalidation events: ${error.message}`);
+  }
+  
+  // Export any spans still queued
+  await tracing.flush();
+  
+  // Close the Redis connection, or stop reconnecting
+  if (redisCache && redisCache.client) {
     try {
       await redisCache.close();
       logger.info('Redis connection closed');
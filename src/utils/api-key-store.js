@@ -0,0 +1,193 @@
+const crypto = require('crypto');
+const { matchPath } = require('./path-matcher');
+
+const KEY_PREFIX = 'cr_';
+const RECORD_REFRESH_INTERVAL = 30000; // Re-read cached records from Redis after 30 seconds
+
+/**
+ * API Key Store
+ * Manages API keys for partner and internal clients. Only a SHA-256 hash of
+ * each key is stored, in Redis through RedisCache with an in-memory copy that
+ * is used when Redis is unavailable. Each key is scoped to route patterns and
+ * methods and can carry its own rate limit.
+ */
+class ApiKeyStore {
+  /**
+   * @param {RedisCache} redisCache - Shared Redis cache
+   * @param {Object} logger - Logger instance
+   */
+  constructor(redisCache, logger) {
+    this.redisCache = redisCache;
+    this.logger = logger;
+
+    // id -> { record, cachedAt }, hash -> id
+    this.records = new Map();
+    this.hashes = new Map();
+
+    // id -> { windowStart, count } for per-key rate limits
+    this.windows = new Map();
+  }
+
+  static hash(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+  }
+
+  recordKey(id) {
+    return `apikeys:id:${id}`;
+  }
+
+  hashKey(hash) {
+    return `apikeys:hash:${hash}`;
+  }
+
+  // Public view of a record: never exposes the hash
+  static toPublic(record) {
+    return Object.fromEntries(Object.entries(record).filter(([field]) => field !== 'hash'));
+  }
+
+  remember(record) {
+    this.records.set(record.id, { record, cachedAt: Date.now() });
+    if (record.revokedAt) {
+      this.hashes.delete(record.hash);
+    } else {
+      this.hashes.set(record.hash, record.id);
+    }
+  }
+
+  /**
+   * Create a key
+   * @param {Object} options
+   * @param {string} options.name - Owner or purpose of the key
+   * @param {Object[]} options.scopes - Allowed requests: [{ methods, path }]
+   * @param {Object} [options.rateLimit] - Per-key limit: { windowMs, max }
+   * @returns {Promise<Object>} The key record plus the plaintext `key`, which is only returned here
+   */
+  async create({ name, scopes, rateLimit = null }) {
+    const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+    const record = {
+      id: crypto.randomUUID(),
+      name,
+      hash: ApiKeyStore.hash(key),
+      scopes,
+      rateLimit,
+      createdAt: new Date().toISOString(),
+      revokedAt: null
+    };
+
+    this.remember(record);
+    await this.safe(async () => {
+      await this.redisCache.set(this.recordKey(record.id), record, null);
+      await this.redisCache.set(this.hashKey(record.hash), record.id, null);
+      await this.redisCache.addToSet('apikeys:index', record.id);
+    });
+
+    this.logger.info(`API key ${record.id} created for ${name}`);
+    return { ...ApiKeyStore.toPublic(record), key };
+  }
+
+  /**
+   * List all keys (without hashes)
+   */
+  async list() {
+    const ids = new Set(this.records.keys());
+    const storedIds = await this.safe(() => this.redisCache.getSetMembers('apikeys:index'));
+    (storedIds || []).forEach(id => ids.add(id));
+
+    const records = await Promise.all([...ids].map(id => this.getById(id)));
+    return records.filter(Boolean).map(ApiKeyStore.toPublic);
+  }
+
+  /**
+   * Revoke a key by id
+   * @returns {Promise<Object|null>} The revoked record, or null when unknown
+   */
+  async revoke(id) {
+    const record = await this.getById(id);
+    if (!record) return null;
+
+    const revoked = { ...record, revokedAt: new Date().toISOString() };
+    this.remember(revoked);
+    await this.safe(async () => {
+      await this.redisCache.set(this.recordKey(id), revoked, null);
+      await this.redisCache.del(this.hashKey(record.hash));
+    });
+
+    this.logger.info(`API key ${id} revoked`);
+    return ApiKeyStore.toPublic(revoked);
+  }
+
+  async getById(id) {
+    const cached = this.records.get(id);
+    if (cached && Date.now() - cached.cachedAt < RECORD_REFRESH_INTERVAL) {
+      return cached.record;
+    }
+
+    const stored = await this.safe(() => this.redisCache.get(this.recordKey(id)));
+    if (stored) {
+      this.remember(stored);
+      return stored;
+    }
+    return cached ? cached.record : null;
+  }
+
+  /**
+   * Find the active record for a plaintext key
+   * @returns {Promise<Object|null>} Record, or null when the key is unknown or revoked
+   */
+  async lookup(key) {
+    const hash = ApiKeyStore.hash(key);
+    let id = this.hashes.get(hash);
+    if (!id) {
+      id = await this.safe(() => this.redisCache.get(this.hashKey(hash)));
+    }
+    if (!id) return null;
+
+    const record = await this.getById(id);
+    if (!record || record.revokedAt || record.hash !== hash) return null;
+    return record;
+  }
+
+  /**
+   * Check whether a key's scopes allow a request
+   */
+  static isAllowed(record, method, path) {
+    return (record.scopes || []).some(scope =>
+      (!scope.methods || scope.methods.includes(method)) &&
+      (!scope.path || matchPath(scope.path, path))
+    );
+  }
+
+  /**
+   * Count a request against the key's rate limit
+   * @returns {{ allowed: boolean, retryAfter: number }} retryAfter in seconds
+   */
+  consume(record) {
+    if (!record.rateLimit) return { allowed: true, retryAfter: 0 };
+
+    const { windowMs, max } = record.rateLimit;
+    const now = Date.now();
+    let window = this.windows.get(record.id);
+    if (!window || now - window.windowStart >= windowMs) {
+      window = { windowStart: now, count: 0 };
+      this.windows.set(record.id, window);
+    }
+
+    window.count++;
+    return {
+      allowed: window.count <= max,
+      retryAfter: Math.ceil((window.windowStart + windowMs - now) / 1000)
+    };
+  }
+
+  // Redis failures fall back to the in-memory copy
+  async safe(operation) {
+    try {
+      return await operation();
+    } catch (error) {
+      this.logger.warn(`API key store Redis operation failed: ${error.message}`);
+      return null;
+    }
+  }
+}
+
+module.exports = ApiKeyStore;
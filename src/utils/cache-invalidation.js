@@ -0,0 +1,147 @@
+const { metrics } = require('../middleware/metrics.middleware');
+const { escapeGlob } = require('./glob');
+const { RESPONSE_KEY_PREFIX } = require('./http-cache');
+
+const DEFAULT_CHANNEL = 'api-gateway:cache-invalidation';
+
+const isStringList = (value) => Array.isArray(value) && value.every(item => typeof item === 'string' && item);
+
+const splitList = (value) => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+/**
+ * Cache Invalidation Subscriber
+ * Listens on a Redis pub/sub channel for purge events published by services
+ * whose data changes outside a gateway request (batch jobs, admin tools).
+ * Every gateway replica subscribes and applies each event, to Redis and to
+ * its local cache tier.
+ *
+ * Events are JSON messages:
+ *   { "tags": ["movie:123"], "keys": ["/api/review/movie/123"], "prefixes": ["/api/review/"],
+ *     "source": "rating-batch", "publishedAt": 1760000000000 }
+ * `publishedAt` (epoch ms or ISO date) is used to measure invalidation lag.
+ * Anyone who can publish on the channel picks `source`, so metrics label it
+ * only with known publishers and count the others as `other`.
+ */
+class CacheInvalidationSubscriber {
+  /**
+   * @param {RedisCache} redisCache - Shared Redis cache
+   * @param {Object} logger - Logger instance
+   * @param {string} [channel] - Pub/sub channel
+   * @param {string[]} [sources] - Publishers reported by name in metrics
+   */
+  constructor(
+    redisCache,
+    logger,
+    channel = process.env.CACHE_INVALIDATION_CHANNEL || DEFAULT_CHANNEL,
+    sources = splitList(process.env.CACHE_INVALIDATION_SOURCES)
+  ) {
+    this.redisCache = redisCache;
+    this.logger = logger;
+    this.channel = channel;
+    this.sources = new Set(sources);
+    this.subscribed = false;
+  }
+
+  /**
+   * Subscribe to the invalidation channel (no-op without Redis)
+   */
+  async start() {
+    this.subscribed = await this.redisCache.subscribe(this.channel, message => this.handleMessage(message));
+    if (this.subscribed) {
+      this.logger.info(`Listening for cache invalidation events on ${this.channel}`);
+    }
+    return this.subscribed;
+  }
+
+  async stop() {
+    if (this.subscribed) {
+      await this.redisCache.unsubscribe(this.channel);
+      this.subscribed = false;
+    }
+  }
+
+  /**
+   * Parse and validate an event
+   * @throws {Error} When the message is not a valid event
+   */
+  parse(message) {
+    const event = JSON.parse(message);
+    if (!event || typeof event !== 'object') {
+      throw new Error('event must be a JSON object');
+    }
+
+    const { tags = [], keys = [], prefixes = [] } = event;
+    if (![tags, keys, prefixes].every(isStringList)) {
+      throw new Error('tags, keys and prefixes must be lists of strings');
+    }
+    if (tags.length + keys.length + prefixes.length === 0) {
+      throw new Error('event names nothing to invalidate');
+    }
+
+    const publishedAt = typeof event.publishedAt === 'number' ? event.publishedAt : Date.parse(event.publishedAt);
+    return {
+      tags,
+      keys,
+      prefixes,
+      source: typeof event.source === 'string' ? event.source : 'unknown',
+      publishedAt: Number.isNaN(publishedAt) ? null : publishedAt
+    };
+  }
+
+  // Metric label for a publisher, bounded to the configured names
+  sourceLabel(source) {
+    if (source === 'unknown' || this.sources.has(source)) return source;
+    return 'other';
+  }
+
+  async handleMessage(message) {
+    let event;
+    try {
+      event = this.parse(message);
+    } catch (error) {
+      metrics.cacheInvalidationEvents.inc({ source: 'unknown', outcome: 'invalid' });
+      this.logger.warn(`Ignoring invalid cache invalidation event: ${error.message}`, { type: 'cache_invalidation' });
+      return;
+    }
+
+    const source = this.sourceLabel(event.source);
+    try {
+      const deleted = await this.apply(event);
+      metrics.cacheInvalidationEvents.inc({ source, outcome: 'applied' });
+      if (event.publishedAt) {
+        metrics.cacheInvalidationLag.observe({ source }, Math.max(Date.now() - event.publishedAt, 0) / 1000);
+      }
+      this.logger.info('Cache invalidation event applied', {
+        type: 'cache_invalidation',
+        source: event.source,
+        tags: event.tags,
+        keys: event.keys,
+        prefixes: event.prefixes,
+        deleted
+      });
+    } catch (error) {
+      metrics.cacheInvalidationEvents.inc({ source, outcome: 'failed' });
+      this.logger.error(`Cache invalidation event from ${event.source} failed: ${error.message}`, { type: 'cache_invalidation' });
+    }
+  }
+
+  /**
+   * Purge the tags, keys and key prefixes named by an event
+   * @returns {Promise<number>} Number of keys deleted
+   */
+  async apply({ tags, keys, prefixes }) {
+    // Every replica receives the event, so none needs to broadcast its local evictions
+    const options = { broadcast: false };
+    let deleted = await this.redisCache.invalidateTags(tags, options) || 0;
+    // Keys and prefixes are relative to the response cache namespace
+    for (const key of keys) {
+      deleted += await this.redisCache.del(`${RESPONSE_KEY_PREFIX}${key}`, options) || 0;
+    }
+    for (const prefix of prefixes) {
+      deleted += await this.redisCache.invalidateByPattern(`${RESPONSE_KEY_PREFIX}${escapeGlob(prefix)}*`, options) || 0;
+    }
+    return deleted;
+  }
+}
+
+module.exports = CacheInvalidationSubscriber;
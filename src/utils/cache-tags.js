@@ -0,0 +1,101 @@
+const { matchPath } = require('./path-matcher');
+
+/**
+ * Cache tags
+ * Cached GET responses are tagged with the resources they contain (e.g.
+ * `movie:123`), and writes invalidate tags instead of key patterns, so a
+ * change clears every cached copy of a resource whoever it was cached for.
+ *
+ * Tags come from:
+ * - built-in tags: `service:<route>`, plus `user:<id>` and `<route>:user:<id>`
+ *   for entries cached per user
+ * - the route's `cache.tags` rules for GETs and `cache.invalidate` rules for writes:
+ *   `{ "methods": [...], "path": "/movie/:movieId", "tags": ["movie:{movieId}"] }`
+ *   Templates can use path parameters, `{userId}` and `{body.<field>}`
+ * - the upstream `X-Cache-Tags` response header (comma or space separated)
+ */
+
+const TAG_HEADER = 'x-cache-tags';
+const PLACEHOLDER_PATTERN = /\{([\w.]+)\}/g;
+
+/**
+ * Parse an X-Cache-Tags header value
+ * @returns {string[]}
+ */
+function parseTagHeader(value) {
+  return String(value || '').split(/[,\s]+/).filter(Boolean);
+}
+
+// Fill a tag template; returns null when a placeholder has no value
+function renderTag(template, values) {
+  let complete = true;
+  const tag = template.replace(PLACEHOLDER_PATTERN, (placeholder, name) => {
+    const value = name.startsWith('body.')
+      ? values.body?.[name.slice('body.'.length)]
+      : values[name];
+    if (value === undefined || value === null || value === '' || typeof value === 'object') {
+      complete = false;
+      return placeholder;
+    }
+    return String(value);
+  });
+  return complete ? tag : null;
+}
+
+// Tags produced by the rules matching a request
+function applyRules(rules, req) {
+  const tags = [];
+  (rules || []).forEach(rule => {
+    if (rule.methods && !rule.methods.includes(req.method)) return;
+
+    const params = rule.path ? matchPath(rule.path, req.path) : {};
+    if (!params) return;
+
+    const values = { ...params, userId: req.user?.id, body: req.body };
+    rule.tags.forEach(template => {
+      const tag = renderTag(template, values);
+      if (tag) tags.push(tag);
+    });
+  });
+  return tags;
+}
+
+/**
+ * Tags for a cached GET response
+ * @param {Object} req - Express request (with serviceRoute)
+ * @param {Object} response - Upstream response
+ * @returns {string[]}
+ */
+function getEntryTags(req, response) {
+  const route = req.serviceRoute;
+  const tags = [`service:${route.name}`];
+  if (req.user?.id) {
+    tags.push(`user:${req.user.id}`, `${route.name}:user:${req.user.id}`);
+  }
+  tags.push(...applyRules(route.cache.tags, req));
+  tags.push(...parseTagHeader(response.headers?.[TAG_HEADER]));
+  return [...new Set(tags)];
+}
+
+/**
+ * Tags to invalidate after a write
+ * @param {Object} req - Express request (with serviceRoute)
+ * @param {Object} response - Upstream response
+ * @returns {string[]}
+ */
+function getInvalidationTags(req, response) {
+  const rules = (req.serviceRoute.cache.invalidate || []).filter(rule => typeof rule === 'object');
+  const tags = [
+    ...applyRules(rules, req),
+    ...parseTagHeader(response?.headers?.[TAG_HEADER])
+  ];
+  return [...new Set(tags)];
+}
+
+module.exports = {
+  getEntryTags,
+  getInvalidationTags,
+  parseTagHeader,
+  renderTag,
+  TAG_HEADER
+};
@@ -1,105 +1,199 @@
 const CircuitBreaker = require('opossum');
 const retry = require('async-retry');
 const axios = require('axios');
+const { startSpan } = require('./tracing');
+const { metrics, BREAKER_STATES } = require('../middleware/metrics.middleware');
+const { normalizeResilience } = require('../config/service-registry');
+
+// Axios error codes for a request that ran out of time
+const TIMEOUT_CODES = ['ECONNABORTED', 'ETIMEDOUT'];
+
+// Methods that can be sent again without changing the outcome (RFC 9110 section 9.2.2)
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+// Error codes of calls that failed before the request reached the upstream
+const NOT_SENT_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EOPENBREAKER'];
+
+/**
+ * Whether a request can be sent again after a failure
+ * Non-idempotent requests are only repeated when the client made them
+ * idempotent with an Idempotency-Key, or when they never reached the upstream
+ * @param {string} method - HTTP method
+ * @param {Error} err - Error of the failed call
+ * @param {Object} [options] - Request options ({ idempotent }); `idempotent` overrides the method's default
+ * @returns {boolean}
+ */
+function canResend(method, err, options = {}) {
+  const idempotent = options.idempotent ?? IDEMPOTENT_METHODS.includes(String(method).toUpperCase());
+  return idempotent || NOT_SENT_CODES.includes(err.code);
+}
 
 /**
  * Creates a circuit breaker for a specific service path
+ * The breaker's action sends a request with retries. Its timeouts, retries and
+ * backoff come from the request's resilience policy (`requestOptions.policy`,
+ * defaulting to the route settings), and every attempt has to fit before the
+ * request's deadline (`requestOptions.deadline`, in ms since the epoch)
  * @param {string} servicePath - The base path of the service (e.g., '/api/user')
  * @param {Object} logger - Logger instance
+ * @param {Object} [options] - Route options
+ * @param {Object} [options.fallback] - Fallback response ({ status, body }) used when the service is unavailable
+ * @param {string} [options.service] - Service name for metrics (defaults to servicePath)
+ * @param {string} [options.instance] - Instance id for the breaker state metric
+ * @param {Object} [options.resilience] - Normalized resilience settings of the route
+ * @param {RetryBudget} [options.retryBudget] - Budget retries are taken from, shared by the service's instances
  * @returns {CircuitBreaker} - Configured circuit breaker instance
  */
-function createCircuitBreaker(servicePath, logger) {
-  // Default retry options
-  const retryOptions = {
-    retries: 5,  // Increased from 3 to 5 retries
-    factor: 2,
-    minTimeout: 1000,
-    maxTimeout: 8000,  // Increased from 5000 to 8000 ms
-    randomize: true,
-    onRetry: (error, attempt) => {
-      logger.warn(`Retry attempt ${attempt} for ${servicePath} due to: ${error.message}`);
-    }
-  };
+function createCircuitBreaker(servicePath, logger, options = {}) {
+  const service = options.service || servicePath;
+  const stateLabels = { service, instance: options.instance || servicePath };
+  const resilience = options.resilience || normalizeResilience();
+  const retryBudget = options.retryBudget || null;
 
-  // Default circuit breaker options
+  // Circuit breaker options; requests are timed out by their own deadline instead of the breaker
   const circuitBreakerOptions = {
-    timeout: 10000, // Increased timeout to 10 seconds to match user service settings
-    errorThresholdPercentage: 50, // When 50% of requests fail, open the circuit
-    resetTimeout: 30000, // Time to wait before testing if service is available again
-    rollingCountTimeout: 60000, // Time window for error rate calculation
-    rollingCountBuckets: 10 // Number of buckets for error rate calculation
+    ...resilience.breaker,
+    timeout: false,
+    // Client errors (4xx) are passed back to the caller without counting as failures
+    errorFilter: (err) => Boolean(err.response && err.response.status >= 400 && err.response.status < 500)
   };
 
   // Create the circuit breaker
   const breaker = new CircuitBreaker(
-    async (url, method, data) => {
+    async (url, method, data, headers = {}, requestOptions = {}) => {
+      const policy = requestOptions.policy || resilience;
+      const deadline = requestOptions.deadline || Date.now() + policy.deadline;
+      // Streamed request bodies cannot be replayed, so streaming calls are never retried
+      const retries = requestOptions.stream ? 0 : policy.retries;
+      const { min, max, factor } = policy.backoff;
+      
+      // Whether a failed attempt may be retried: it must be safe to send again, start
+      // before the deadline after the longest backoff delay, and fit in the retry budget
+      const canRetry = (err, attempt) => {
+        if ((err.response && err.response.status >= 400 && err.response.status < 500) ||
+            !canResend(method, err, requestOptions) || attempt > retries) {
+          return false;
+        }
+        if (Date.now() + Math.min(2 * min * factor ** (attempt - 1), max) >= deadline) {
+          logger.warn(`No retry for ${servicePath}: the request deadline is too close`);
+          return false;
+        }
+        if (retryBudget && !retryBudget.tryRetry()) {
+          metrics.retryBudgetExhausted.inc({ service });
+          logger.warn(`No retry for ${servicePath}: retry budget exhausted`);
+          return false;
+        }
+        return true;
+      };
+      
       return await retry(async (bail, attempt) => {
+        // Each attempt is its own span, and the upstream sees it as the parent
+        const span = startSpan(`${method} ${servicePath}`, {
+          kind: 'client',
+          attributes: { 'http.method': method, 'http.url': url, 'retry.attempt': attempt }
+        });
+        const attemptHeaders = { ...headers, traceparent: span.traceparent };
+        
+        // The attempt timeout is shortened to what is left before the deadline. Axios'
+        // own timeout only fires while the socket is idle, so an upstream that keeps
+        // sending bytes slowly is cut off by aborting the attempt instead
+        const timeout = Math.max(Math.min(policy.timeout, deadline - Date.now()), 1);
+        const signal = AbortSignal.timeout(timeout);
+        
         try {
+          metrics.upstreamAttempts.inc({ service });
           logger.info(`Request attempt ${attempt} to ${url}`);
-          const response = await axios({
+          const response = await axios(requestOptions.stream ? {
             url,
             method,
             data,
-            timeout: 8000,  // Increased from 2500 to 8000 ms to match other timeout settings
+            headers: attemptHeaders,
+            timeout,
+            signal,
+            responseType: 'stream',
+            decompress: false, // Pass the upstream encoding through untouched
+            maxRedirects: 0,
+            maxBodyLength: Infinity,
+            maxContentLength: Infinity,
+            validateStatus: (status) => status < 500
+          } : {
+            url,
+            method,
+            data,
+            timeout,
+            signal,
             headers: {
+              ...attemptHeaders,
               'Content-Type': 'application/json'
             }
           });
+          span.setAttribute('http.status_code', response.status);
+          span.end();
           return response;
         } catch (err) {
-          if (err.response && err.response.status >= 400 && err.response.status < 500) {
+          if (err.response) {
+            span.setAttribute('http.status_code', err.response.status);
+          }
+          span.end(err);
+          if (TIMEOUT_CODES.includes(err.code) || signal.aborted) {
+            err.type = 'timeout';
+            metrics.upstreamTimeouts.inc({ service, scope: timeout < policy.timeout ? 'request' : 'attempt' });
+          }
+          if (!canRetry(err, attempt)) {
             bail(err);
             return;
           }
           throw err;
         }
-      }, retryOptions);
+      }, {
+        retries,
+        factor,
+        minTimeout: min,
+        maxTimeout: max,
+        randomize: true,
+        onRetry: (error, attempt) => {
+          metrics.upstreamRetries.inc({ service });
+          logger.warn(`Retry attempt ${attempt} for ${servicePath} due to: ${error.message}`);
+        }
+      });
     }, 
     circuitBreakerOptions
   );
 
-  // Configure fallbacks based on service type
-  if (servicePath === '/api/user') {
+  // Configure the fallback declared for the route
+  if (options.fallback) {
     breaker.fallback(() => {
       return {
-        status: 503,
-        data: { error: 'User service temporarily unavailable', fallback: true }
-      };
-    });
-  } else if (servicePath === '/api/review') {
-    breaker.fallback(() => {
-      return {
-        status: 503,
-        data: { reviews: [], fallback: true, message: 'Review service temporarily unavailable' }
-      };
-    });
-  } else if (servicePath === '/api/watchlist') {
-    breaker.fallback(() => {
-      return {
-        status: 503,
-        data: { watchlist: [], fallback: true, message: 'Watchlist service temporarily unavailable' }
+        status: options.fallback.status || 503,
+        data: options.fallback.body
       };
     });
   }
 
   // Set up event listeners
+  metrics.circuitBreakerState.set(stateLabels, BREAKER_STATES.closed);
+
   breaker.on('open', () => {
+    metrics.circuitBreakerState.set(stateLabels, BREAKER_STATES.open);
     logger.warn(`Circuit breaker for ${servicePath} is now OPEN`);
   });
 
   breaker.on('halfOpen', () => {
+    metrics.circuitBreakerState.set(stateLabels, BREAKER_STATES.halfOpen);
     logger.info(`Circuit breaker for ${servicePath} is now HALF-OPEN`);
   });
 
   breaker.on('close', () => {
+    metrics.circuitBreakerState.set(stateLabels, BREAKER_STATES.closed);
     logger.info(`Circuit breaker for ${servicePath} is now CLOSED`);
   });
 
   breaker.on('fallback', () => {
+    metrics.upstreamFallbacks.inc({ service });
     logger.warn(`Fallback triggered for ${servicePath}`);
   });
 
   return breaker;
 }
 
-module.exports = { createCircuitBreaker };
+module.exports = { createCircuitBreaker, canResend, IDEMPOTENT_METHODS };
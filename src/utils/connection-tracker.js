@@ -0,0 +1,74 @@
+const { metrics } = require('../middleware/metrics.middleware');
+
+/**
+ * Connection Tracker
+ * Counts the long-lived connections (WebSocket, SSE) the gateway holds open,
+ * per caller for connection limits, and keeps a lease on each so they can
+ * all be closed on shutdown. Counts are per replica.
+ */
+class ConnectionTracker {
+  constructor() {
+    // Limit key -> open connections
+    this.counts = new Map();
+    // Leases of open connections
+    this.leases = new Set();
+  }
+
+  /**
+   * Take a connection slot when the caller is under the limit
+   * Set `lease.close` once the connection is established, and call
+   * `lease.release()` when it ends.
+   * @param {string} key - Limit key (route and caller)
+   * @param {number} limit - Most connections open at once for the key
+   * @param {Object} labels - Metric labels: { service, protocol }
+   * @returns {Object|null} Lease, or null when the caller is at the limit
+   */
+  acquire(key, limit, labels) {
+    const count = this.counts.get(key) || 0;
+    if (count >= limit) {
+      return null;
+    }
+    this.counts.set(key, count + 1);
+    metrics.openConnections.inc(labels);
+
+    let released = false;
+    const lease = {
+      close: () => lease.release(),
+      release: () => {
+        if (released) return;
+        released = true;
+
+        const remaining = this.counts.get(key) - 1;
+        if (remaining > 0) {
+          this.counts.set(key, remaining);
+        } else {
+          this.counts.delete(key);
+        }
+        this.leases.delete(lease);
+        metrics.openConnections.dec(labels);
+      }
+    };
+    this.leases.add(lease);
+    return lease;
+  }
+
+  /**
+   * Open connections for a limit key
+   */
+  count(key) {
+    return this.counts.get(key) || 0;
+  }
+
+  get size() {
+    return this.leases.size;
+  }
+
+  /**
+   * Close every open connection
+   */
+  closeAll() {
+    [...this.leases].forEach(lease => lease.close());
+  }
+}
+
+module.exports = ConnectionTracker;
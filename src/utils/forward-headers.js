@@ -0,0 +1,136 @@
+/**
+ * Header forwarding
+ * Builds the headers sent to a downstream service from the client request,
+ * applying the route's allow/deny policy and adding the gateway's own
+ * forwarding and identity headers.
+ */
+
+// Hop-by-hop and framing headers never forwarded to a downstream service
+const HOP_BY_HOP_HEADERS = [
+  'connection',
+  'keep-alive',
+  'proxy-authenticate',
+  'proxy-authorization',
+  'proxy-connection',
+  'te',
+  'trailer',
+  'transfer-encoding',
+  'upgrade',
+  'host',
+  'content-length'
+];
+
+// Headers describing the request body, kept when the body is streamed through
+const BODY_HEADERS = ['content-type', 'content-length', 'content-encoding'];
+
+// Hop-by-hop headers never copied from a downstream response to the client
+const RESPONSE_HOP_BY_HOP_HEADERS = HOP_BY_HOP_HEADERS.filter(name => name !== 'content-length' && name !== 'host');
+
+// Identity headers set by the gateway; client-supplied copies are always stripped
+const IDENTITY_HEADERS = ['x-user-id', 'x-user-roles', 'x-api-key-id'];
+
+// Correlation headers set by the gateway for every upstream call
+const CORRELATION_HEADERS = ['x-request-id', 'traceparent'];
+
+// Gateway credentials that must never reach a downstream service
+const CREDENTIAL_HEADERS = ['x-api-key'];
+
+/**
+ * Get the roles claim of a verified JWT payload as an array
+ * @param {Object} user - Decoded JWT payload (req.user)
+ * @returns {string[]} Roles
+ */
+function getUserRoles(user) {
+  const roles = user.roles || user.role || [];
+  return Array.isArray(roles) ? roles : String(roles).split(',').map(role => role.trim()).filter(Boolean);
+}
+
+/**
+ * Build the headers to send upstream for a request
+ * @param {Object} req - Express request
+ * @param {Object} [policy] - Header policy ({ allow, deny }) declared for the route
+ * @param {Object} [options] - Forwarding options
+ * @param {boolean} [options.stream] - Keep the body headers because the raw body is streamed through
+ * @returns {Object} Headers for the upstream request
+ */
+function buildForwardHeaders(req, policy = {}, options = {}) {
+  const allow = policy.allow && policy.allow.length > 0
+    ? new Set(policy.allow.map(name => name.toLowerCase()))
+    : null;
+  const deny = new Set([
+    ...HOP_BY_HOP_HEADERS,
+    ...IDENTITY_HEADERS,
+    ...CREDENTIAL_HEADERS,
+    ...CORRELATION_HEADERS,
+    ...(policy.deny || []).map(name => name.toLowerCase())
+  ]);
+
+  const headers = {};
+  Object.entries(req.headers).forEach(([name, value]) => {
+    const headerName = name.toLowerCase();
+    if (deny.has(headerName) || (allow && !allow.has(headerName))) {
+      return;
+    }
+    headers[headerName] = value;
+  });
+
+  // The raw body is piped through, so its framing and type must be preserved
+  if (options.stream) {
+    BODY_HEADERS.forEach(name => {
+      if (req.headers[name] !== undefined) {
+        headers[name] = req.headers[name];
+      }
+    });
+  }
+
+  // Standard proxy headers
+  const clientIp = req.ip || req.socket?.remoteAddress;
+  const forwardedFor = req.headers['x-forwarded-for'];
+  headers['x-forwarded-for'] = forwardedFor ? `${forwardedFor}, ${clientIp}` : clientIp;
+  headers['x-forwarded-proto'] = req.protocol;
+  if (req.headers.host) {
+    headers['x-forwarded-host'] = req.headers.host;
+  }
+
+  // Correlation ids; the circuit breaker replaces traceparent for each upstream attempt
+  if (req.requestId) {
+    headers['x-request-id'] = req.requestId;
+  }
+  if (req.span) {
+    headers.traceparent = req.span.traceparent;
+  }
+
+  // Identity of the verified caller
+  if (req.user && req.user.id !== undefined) {
+    headers['x-user-id'] = String(req.user.id);
+    headers['x-user-roles'] = getUserRoles(req.user).join(',');
+  }
+  if (req.apiKey) {
+    headers['x-api-key-id'] = req.apiKey.id;
+  }
+
+  return headers;
+}
+
+/**
+ * Copy the end-to-end headers of a downstream response
+ * @param {Object} headers - Upstream response headers
+ * @returns {Object} Headers safe to send to the client
+ */
+function filterResponseHeaders(headers = {}) {
+  const filtered = {};
+  Object.entries(headers).forEach(([name, value]) => {
+    if (!RESPONSE_HOP_BY_HOP_HEADERS.includes(name.toLowerCase()) && value !== undefined) {
+      filtered[name] = value;
+    }
+  });
+  return filtered;
+}
+
+module.exports = {
+  buildForwardHeaders,
+  filterResponseHeaders,
+  getUserRoles,
+  HOP_BY_HOP_HEADERS,
+  IDENTITY_HEADERS
+};
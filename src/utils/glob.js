@@ -0,0 +1,36 @@
+/**
+ * Redis glob patterns
+ * Helpers for the MATCH patterns used to scan and invalidate keys, so the
+ * in-memory cache tier can apply the same patterns as Redis.
+ */
+
+// Escape Redis glob metacharacters so a value matches literally
+const escapeGlob = (value) => value.replace(/[*?[\]\\]/g, '\\$&');
+
+/**
+ * Regular expression equivalent of a Redis glob pattern (`*`, `?`, `[...]`, `\` escapes)
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+function globToRegExp(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '\\' && i + 1 < pattern.length) {
+      source += pattern[++i].replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    } else if (char === '*') {
+      source += '.*';
+    } else if (char === '?') {
+      source += '.';
+    } else if (char === '[' && pattern.indexOf(']', i + 1) > i + 1) {
+      const end = pattern.indexOf(']', i + 1);
+      source += `[${pattern.slice(i + 1, end).replace(/\\/g, '\\\\')}]`;
+      i = end;
+    } else {
+      source += char.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`, 's');
+}
+
+module.exports = { escapeGlob, globToRegExp };
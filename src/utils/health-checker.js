@@ -0,0 +1,175 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { startSpan } = require('./tracing');
+
+/**
+ * Health Checker
+ * Probes every upstream instance in the background and marks instances
+ * healthy or unhealthy once the route's thresholds are crossed. Upstream
+ * pools skip unhealthy instances when routing requests.
+ */
+class HealthChecker {
+  /**
+   * @param {Object} upstreamPools - Map of route prefix to UpstreamPool
+   * @param {Object} logger - Logger instance
+   */
+  constructor(upstreamPools, logger) {
+    this.upstreamPools = upstreamPools;
+    this.logger = logger;
+    this.timers = [];
+    this.running = false;
+
+    // Cached probe results, keyed by instance id
+    this.state = {};
+    Object.values(upstreamPools).forEach(pool => {
+      pool.instances.forEach(instance => {
+        this.state[instance.id] = {
+          status: 'UNKNOWN',
+          consecutiveSuccesses: 0,
+          consecutiveFailures: 0,
+          lastCheckedAt: null,
+          lastError: null,
+          details: null
+        };
+      });
+    });
+  }
+
+  /**
+   * Start probing every enabled route on its configured interval
+   */
+  start() {
+    if (this.running) return;
+    this.running = true;
+
+    Object.values(this.upstreamPools).forEach(pool => {
+      if (pool.route.healthCheck.enabled) {
+        this.schedule(pool, 0);
+      }
+    });
+  }
+
+  /**
+   * Stop all pending probes
+   */
+  stop() {
+    this.running = false;
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers = [];
+  }
+
+  // Run one probe round for a pool, then schedule the next one
+  schedule(pool, delay) {
+    const timer = setTimeout(async () => {
+      this.timers = this.timers.filter(pending => pending !== timer);
+      await this.checkPool(pool);
+      if (this.running) {
+        this.schedule(pool, pool.route.healthCheck.interval);
+      }
+    }, delay);
+
+    // Don't keep the process alive just for health checks
+    timer.unref();
+    this.timers.push(timer);
+  }
+
+  /**
+   * Probe all instances of a pool
+   */
+  async checkPool(pool) {
+    await Promise.all(pool.instances.map(instance => this.checkInstance(pool, instance)));
+  }
+
+  /**
+   * Probe a single instance and update its health state
+   */
+  async checkInstance(pool, instance) {
+    const { path, timeout, healthyThreshold, unhealthyThreshold } = pool.route.healthCheck;
+    const state = this.state[instance.id];
+    state.lastCheckedAt = new Date().toISOString();
+    
+    // Every probe is its own trace so it can be found in downstream logs
+    const span = startSpan(`health ${pool.prefix}`, {
+      kind: 'client',
+      attributes: { 'http.method': 'GET', 'http.url': `${instance.url}${path}` }
+    });
+
+    try {
+      // Call the instance directly: probes must not retry or trip user traffic breakers
+      const response = await axios.get(`${instance.url}${path}`, {
+        timeout,
+        validateStatus: () => true,
+        headers: {
+          'X-Request-Id': crypto.randomUUID(),
+          traceparent: span.traceparent
+        }
+      });
+      span.setAttribute('http.status_code', response.status);
+
+      if (response.status < 200 || response.status >= 300) {
+        throw new Error(`Health endpoint returned status ${response.status}`);
+      }
+
+      state.consecutiveSuccesses++;
+      state.consecutiveFailures = 0;
+      state.lastError = null;
+      state.details = response.data;
+
+      if (state.status !== 'UP' && state.consecutiveSuccesses >= healthyThreshold) {
+        this.setStatus(pool, instance, 'UP');
+      }
+      span.end();
+    } catch (error) {
+      span.end(error);
+      state.consecutiveFailures++;
+      state.consecutiveSuccesses = 0;
+      state.lastError = error.message;
+      state.details = null;
+
+      if (state.status !== 'DOWN' && state.consecutiveFailures >= unhealthyThreshold) {
+        this.setStatus(pool, instance, 'DOWN');
+      }
+    }
+  }
+
+  setStatus(pool, instance, status) {
+    const state = this.state[instance.id];
+    state.status = status;
+    instance.healthy = status !== 'DOWN';
+
+    if (status === 'DOWN') {
+      this.logger.warn(`Instance ${instance.url} of ${pool.prefix} is unhealthy: ${state.lastError}`);
+    } else {
+      this.logger.info(`Instance ${instance.url} of ${pool.prefix} is healthy`);
+    }
+  }
+
+  /**
+   * Cached health state of every service and instance
+   * @returns {Object} Map of service name to { status, instances }
+   */
+  getStatus() {
+    const services = {};
+
+    Object.values(this.upstreamPools).forEach(pool => {
+      const instances = pool.instances.map(instance => ({
+        url: instance.url,
+        ...this.state[instance.id]
+      }));
+
+      // A service is up while at least one of its instances is up
+      let status = 'UNKNOWN';
+      if (instances.some(instance => instance.status === 'UP')) {
+        status = 'UP';
+      } else if (instances.every(instance => instance.status === 'DOWN')) {
+        status = 'DOWN';
+      }
+
+      services[pool.route.name] = { status, instances };
+    });
+
+    return services;
+  }
+}
+
+module.exports = HealthChecker;
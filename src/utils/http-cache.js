@@ -0,0 +1,275 @@
+const crypto = require('crypto');
+
+/**
+ * HTTP cache semantics for the gateway response cache
+ * Decides whether and for how long an upstream response may be stored
+ * (Cache-Control, Expires, Age) and how long it may then be served stale,
+ * builds cache entries holding the status, selected headers and body,
+ * derives Vary-aware cache keys and evaluates conditional requests
+ * (If-None-Match / If-Modified-Since).
+ */
+
+// Namespace of response cache keys, keeping them apart from the other data
+// the gateway stores under its Redis prefix (API keys, revocations, rate limits)
+const RESPONSE_KEY_PREFIX = 'cache:';
+
+// Upstream response headers stored with the body and replayed on a HIT
+const STORED_HEADERS = [
+  'cache-control',
+  'content-language',
+  'content-type',
+  'etag',
+  'last-modified',
+  'link',
+  'location', // Redirects (301, 308) are cacheable
+  'vary'
+];
+
+// Headers sent with a 304 answer
+const NOT_MODIFIED_HEADERS = ['cache-control', 'etag', 'last-modified', 'vary'];
+
+// Conditional request headers; the gateway answers these itself for cached routes
+const CONDITIONAL_HEADERS = ['if-none-match', 'if-modified-since'];
+
+// Status codes cacheable by default (RFC 9110 section 15.1); 206 is excluded
+const CACHEABLE_STATUS_CODES = [200, 203, 204, 300, 301, 308, 404, 405, 410, 414, 501];
+
+/**
+ * Parse a Cache-Control header into a map of directives
+ * @param {string} header - Cache-Control header value
+ * @returns {Object} e.g. { 'max-age': 60, private: true }
+ */
+function parseCacheControl(header) {
+  const directives = {};
+  String(header || '').split(',').forEach(part => {
+    const [rawName, ...rawValue] = part.split('=');
+    const name = rawName.trim().toLowerCase();
+    if (!name) return;
+
+    const value = rawValue.join('=').trim().replace(/^"|"$/g, '');
+    if (!value) {
+      directives[name] = true;
+    } else {
+      const seconds = parseInt(value, 10);
+      directives[name] = Number.isNaN(seconds) ? value : seconds;
+    }
+  });
+  return directives;
+}
+
+/**
+ * Vary header as a list of lower-case request header names
+ */
+function parseVary(header) {
+  return String(header || '')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean)
+    .sort();
+}
+
+/**
+ * How long an upstream response may be stored
+ * @param {Object} response - Upstream response: { status, headers }
+ * @param {Object} options
+ * @param {number} options.defaultTtl - Route TTL in seconds, used when the upstream sets no freshness
+ * @param {boolean} options.perUser - Whether the entry is keyed to a single user
+ * @returns {number} TTL in seconds; 0 when the response must not be stored
+ */
+function getStorableTtl(response, { defaultTtl, perUser }) {
+  if (!CACHEABLE_STATUS_CODES.includes(response.status)) {
+    return 0;
+  }
+
+  const headers = response.headers || {};
+  const directives = parseCacheControl(headers['cache-control']);
+
+  // `no-cache` would require revalidating every HIT, which the gateway doesn't do
+  if (directives['no-store'] || directives['no-cache']) {
+    return 0;
+  }
+
+  // Private responses may only be stored in entries scoped to one user
+  if (directives.private && !perUser) {
+    return 0;
+  }
+
+  if (parseVary(headers.vary).includes('*')) {
+    return 0;
+  }
+
+  const age = parseInt(headers.age, 10) || 0;
+  const maxAge = directives['s-maxage'] ?? directives['max-age'];
+  if (typeof maxAge === 'number') {
+    return Math.max(maxAge - age, 0);
+  }
+
+  if (headers.expires) {
+    const expires = Date.parse(headers.expires);
+    const date = Date.parse(headers.date) || Date.now();
+    return Number.isNaN(expires) ? 0 : Math.max(Math.floor((expires - date) / 1000) - age, 0);
+  }
+
+  // Without explicit freshness only 200s are cached, for the route TTL
+  return response.status === 200 ? defaultTtl : 0;
+}
+
+/**
+ * How long a stored response may be served stale, in seconds (RFC 5861)
+ * Upstream `stale-while-revalidate` / `stale-if-error` directives override the
+ * route defaults, and `must-revalidate` disables stale serving
+ * @param {Object} response - Upstream response: { headers }
+ * @param {Object} defaults - Route cache config: { staleWhileRevalidate, staleIfError }
+ * @returns {{ staleWhileRevalidate: number, staleIfError: number }}
+ */
+function getStaleWindows(response, defaults) {
+  const directives = parseCacheControl((response.headers || {})['cache-control']);
+  if (directives['must-revalidate'] || directives['proxy-revalidate']) {
+    return { staleWhileRevalidate: 0, staleIfError: 0 };
+  }
+
+  const window = (name, fallback) => (typeof directives[name] === 'number' ? directives[name] : fallback || 0);
+  return {
+    staleWhileRevalidate: window('stale-while-revalidate', defaults.staleWhileRevalidate),
+    staleIfError: window('stale-if-error', defaults.staleIfError)
+  };
+}
+
+// Weak validator derived from the body, for upstreams that send no ETag
+function generateEtag(body) {
+  const payload = typeof body === 'string' || Buffer.isBuffer(body) ? body : JSON.stringify(body ?? '');
+  return `W/"${crypto.createHash('sha1').update(payload).digest('base64url')}"`;
+}
+
+/**
+ * Build the cache entry for an upstream response
+ * Every entry gets an ETag and Last-Modified so clients can revalidate
+ * @param {Object} response - Upstream response
+ * @param {Object} [lifetime] - Seconds: { ttl, staleWhileRevalidate, staleIfError }
+ * @returns {Object} { status, headers, body, storedAt, age, freshUntil, staleWhileRevalidateUntil, staleIfErrorUntil }
+ */
+function createEntry(response, { ttl = 0, staleWhileRevalidate = 0, staleIfError = 0 } = {}) {
+  const upstreamHeaders = response.headers || {};
+  const headers = {};
+  STORED_HEADERS.forEach(name => {
+    if (upstreamHeaders[name] !== undefined) {
+      headers[name] = upstreamHeaders[name];
+    }
+  });
+
+  const storedAt = Date.now();
+  headers.etag = headers.etag || generateEtag(response.data);
+  headers['last-modified'] = headers['last-modified'] || new Date(storedAt).toUTCString();
+
+  const freshUntil = storedAt + ttl * 1000;
+  return {
+    status: response.status,
+    headers,
+    body: response.data,
+    storedAt,
+    age: parseInt(upstreamHeaders.age, 10) || 0,
+    freshUntil,
+    staleWhileRevalidateUntil: freshUntil + staleWhileRevalidate * 1000,
+    staleIfErrorUntil: freshUntil + staleIfError * 1000
+  };
+}
+
+/**
+ * Freshness of a cache entry
+ * @returns {string} `fresh`, `stale-while-revalidate`, `stale-if-error` or `expired`
+ */
+function getFreshness(entry, now = Date.now()) {
+  // Entries stored without a lifetime stay fresh until Redis expires them
+  if (!entry.freshUntil || now < entry.freshUntil) return 'fresh';
+  if (now < entry.staleWhileRevalidateUntil) return 'stale-while-revalidate';
+  if (now < entry.staleIfErrorUntil) return 'stale-if-error';
+  return 'expired';
+}
+
+/**
+ * Current Age of a cache entry in seconds
+ */
+function getAge(entry, now = Date.now()) {
+  return entry.age + Math.max(Math.floor((now - entry.storedAt) / 1000), 0);
+}
+
+/**
+ * Cache key for a GET response: the request URL, scoped to a user for per-user entries
+ * @param {string} url - Original request URL (path and query)
+ * @param {string} [userId] - Caller, for entries cached per user
+ */
+function getResponseKey(url, userId) {
+  return `${RESPONSE_KEY_PREFIX}${userId ? `${userId}:` : ''}${url}`;
+}
+
+/**
+ * Cache key for a request, including the values of the headers the response varies on
+ * @param {string} baseKey - Key without Vary values
+ * @param {string[]} vary - Request header names from the response's Vary header
+ * @param {Object} requestHeaders - Incoming request headers
+ */
+function getVariantKey(baseKey, vary, requestHeaders) {
+  if (!vary || vary.length === 0) {
+    return baseKey;
+  }
+  const values = vary.map(name => `${name}=${requestHeaders[name] || ''}`).join('\n');
+  return `${baseKey}#vary:${crypto.createHash('sha1').update(values).digest('base64url')}`;
+}
+
+// Weak comparison of entity tags (RFC 9110 section 8.8.3.2)
+const opaqueTag = (tag) => tag.trim().replace(/^W\//, '');
+
+/**
+ * Whether a conditional GET can be answered with 304 Not Modified
+ * @param {Object} requestHeaders - Incoming request headers
+ * @param {Object} entry - Cache entry (or any { headers })
+ */
+function isNotModified(requestHeaders, entry) {
+  const ifNoneMatch = requestHeaders['if-none-match'];
+  if (ifNoneMatch) {
+    // If-Modified-Since is ignored when If-None-Match is present
+    const etag = entry.headers.etag;
+    return Boolean(etag) && (ifNoneMatch.trim() === '*' ||
+      ifNoneMatch.split(',').some(tag => opaqueTag(tag) === opaqueTag(etag)));
+  }
+
+  const ifModifiedSince = Date.parse(requestHeaders['if-modified-since']);
+  const lastModified = Date.parse(entry.headers['last-modified']);
+  return !Number.isNaN(ifModifiedSince) && !Number.isNaN(lastModified) && lastModified <= ifModifiedSince;
+}
+
+/**
+ * Headers to send for a 304 answer
+ */
+function getNotModifiedHeaders(entry) {
+  return Object.fromEntries(NOT_MODIFIED_HEADERS
+    .filter(name => entry.headers[name] !== undefined)
+    .map(name => [name, entry.headers[name]]));
+}
+
+/**
+ * Whether the client asked to skip stored responses (Cache-Control: no-cache or max-age=0)
+ */
+function bypassesCache(requestHeaders) {
+  const directives = parseCacheControl(requestHeaders['cache-control']);
+  return Boolean(directives['no-cache'] || directives['max-age'] === 0 || requestHeaders.pragma === 'no-cache');
+}
+
+module.exports = {
+  parseCacheControl,
+  parseVary,
+  getStorableTtl,
+  getStaleWindows,
+  createEntry,
+  getFreshness,
+  getAge,
+  generateEtag,
+  getResponseKey,
+  getVariantKey,
+  isNotModified,
+  getNotModifiedHeaders,
+  bypassesCache,
+  CONDITIONAL_HEADERS,
+  RESPONSE_KEY_PREFIX,
+  STORED_HEADERS
+};
@@ -0,0 +1,153 @@
+const crypto = require('crypto');
+const LruCache = require('./lru-cache');
+
+// How often a request waiting on an in-flight duplicate checks its record, in ms
+const POLL_INTERVAL = 50;
+
+/**
+ * Idempotency Store
+ * Records writes sent with an Idempotency-Key in Redis through RedisCache so
+ * that a repeated request is answered with the first response instead of
+ * being applied again, on every replica. The first request claims the key
+ * with a `processing` record, replaced by its response once it completes or
+ * deleted when it fails so the client can try again. Claims are made in
+ * memory, for this replica only, while Redis is unavailable.
+ */
+class IdempotencyStore {
+  /**
+   * @param {RedisCache} redisCache - Shared Redis cache
+   * @param {Object} logger - Logger instance
+   * @param {Object} [options]
+   * @param {number} [options.ttl] - Seconds a response is replayed for
+   * @param {number} [options.lockTtl] - Seconds a claim is held, freeing the key of requests that never complete
+   * @param {number} [options.wait] - Milliseconds a duplicate waits for the request in flight before giving up
+   */
+  constructor(redisCache, logger, options = {}) {
+    this.redisCache = redisCache;
+    this.logger = logger;
+    this.ttl = options.ttl || parseInt(process.env.IDEMPOTENCY_TTL, 10) || 24 * 3600; // 24 hours
+    this.lockTtl = options.lockTtl || parseInt(process.env.IDEMPOTENCY_LOCK_TTL, 10) || 60;
+    this.wait = options.wait ?? (parseInt(process.env.IDEMPOTENCY_WAIT, 10) || 5000);
+
+    // Records of keys claimed while Redis was unavailable
+    this.local = new LruCache({ maxEntries: 10000, maxTtl: this.ttl });
+  }
+
+  /**
+   * Fingerprint of a request, to tell a repeat from another request reusing its key
+   * @param {Object} req - Express request
+   * @returns {string}
+   */
+  static fingerprint(req) {
+    return crypto.createHash('sha256')
+      .update(JSON.stringify([req.method, req.originalUrl, req.body ?? null]))
+      .digest('hex');
+  }
+
+  /**
+   * Claim a key for a request, waiting while a duplicate is in flight
+   * @param {string} key - Record key (scope and Idempotency-Key)
+   * @param {string} fingerprint - Request fingerprint
+   * @returns {Promise<Object>} { outcome, record }, where outcome is
+   *   - `processed`: the key is claimed and the request should be sent
+   *   - `replayed`: the key holds the response of the same request
+   *   - `mismatch`: the key was used for a different request
+   *   - `in_flight`: the same request is still being processed
+   */
+  async claim(key, fingerprint) {
+    const claim = { state: 'processing', fingerprint, token: crypto.randomUUID() };
+    const deadline = Date.now() + this.wait;
+
+    for (;;) {
+      let claimed = await this.safeClaim(key, claim);
+      if (claimed === null) {
+        claimed = this.claimLocally(key, claim);
+      }
+      if (claimed) {
+        return { outcome: 'processed', record: claim };
+      }
+
+      // The record can expire or be released between the claim and this lookup
+      const record = await this.get(key);
+      if (record && record.fingerprint !== fingerprint) {
+        return { outcome: 'mismatch', record };
+      }
+      if (record && record.state === 'completed') {
+        return { outcome: 'replayed', record };
+      }
+      if (Date.now() >= deadline) {
+        return { outcome: 'in_flight', record };
+      }
+      await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL));
+    }
+  }
+
+  /**
+   * Store the response of a claimed request for replays
+   * @param {string} key - Record key
+   * @param {Object} claim - Record returned by claim()
+   * @param {Object} response - { status, body }
+   */
+  async complete(key, claim, response) {
+    const record = { state: 'completed', fingerprint: claim.fingerprint, response };
+    if (this.local.get(key)?.token === claim.token) {
+      this.local.set(key, record, { ttl: this.ttl });
+    }
+    await this.safeSet(key, record, this.ttl);
+  }
+
+  /**
+   * Free the key of a request that failed, so the client can send it again
+   * @param {string} key - Record key
+   * @param {Object} claim - Record returned by claim()
+   */
+  async release(key, claim) {
+    if (this.local.get(key)?.token === claim.token) {
+      this.local.delete(key);
+    }
+    try {
+      await this.redisCache.del(key);
+    } catch (error) {
+      this.logger.warn(`Idempotency release failed for ${key}: ${error.message}`);
+    }
+  }
+
+  async get(key) {
+    const local = this.local.get(key);
+    if (local) return local;
+
+    try {
+      return await this.redisCache.get(key);
+    } catch (error) {
+      this.logger.warn(`Idempotency lookup failed for ${key}: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Returns null when Redis is unavailable
+  async safeClaim(key, claim) {
+    try {
+      return await this.redisCache.setIfAbsent(key, claim, this.lockTtl);
+    } catch (error) {
+      this.logger.warn(`Idempotency claim failed for ${key}: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Checked and set synchronously, so concurrent requests on this replica can't both claim
+  claimLocally(key, claim) {
+    if (this.local.get(key)) return false;
+    this.local.set(key, claim, { ttl: this.lockTtl });
+    return true;
+  }
+
+  async safeSet(key, value, ttl) {
+    try {
+      await this.redisCache.set(key, value, ttl);
+    } catch (error) {
+      this.logger.warn(`Idempotency store failed for ${key}: ${error.message}`);
+    }
+  }
+}
+
+module.exports = IdempotencyStore;
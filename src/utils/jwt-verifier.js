@@ -0,0 +1,191 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+
+const DEFAULT_SECRET = 'your-secret-key';
+const HMAC_ALGORITHMS = ['HS256', 'HS384', 'HS512'];
+const ASYMMETRIC_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+const UNKNOWN_KID_REFRESH_INTERVAL = 30000; // Minimum time between refreshes triggered by an unknown kid
+
+// Split a comma-separated environment value into a list
+function splitList(value) {
+  return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * JWT Verifier
+ * Verifies tokens signed with any of the active HMAC secrets (to allow
+ * secret rotation) or with RS/PS/ES keys from a JWKS document loaded from a
+ * local file or URL. JWKS keys are cached and selected by `kid`.
+ */
+class JwtVerifier {
+  constructor(options = {}) {
+    this.secrets = options.secrets || [
+      ...splitList(process.env.JWT_SECRETS),
+      ...splitList(process.env.JWT_SECRET)
+    ];
+    this.jwksUri = options.jwksUri || process.env.JWKS_URI || null;
+    this.jwksFile = options.jwksFile || process.env.JWKS_FILE || null;
+    this.jwksCacheTtl = options.jwksCacheTtl || parseInt(process.env.JWKS_CACHE_TTL, 10) || 600000; // 10 minutes
+    this.issuer = options.issuer || process.env.JWT_ISSUER || undefined;
+    this.audience = options.audience || process.env.JWT_AUDIENCE || undefined;
+
+    // Fall back to the development secret when nothing is configured
+    this.usingDefaultSecret = this.secrets.length === 0 && !this.jwksUri && !this.jwksFile;
+    if (this.usingDefaultSecret) {
+      this.secrets = [DEFAULT_SECRET];
+    }
+
+    this.algorithms = options.algorithms || splitList(process.env.JWT_ALGORITHMS);
+    if (this.algorithms.length === 0) {
+      this.algorithms = [
+        ...(this.secrets.length > 0 ? ['HS256'] : []),
+        ...(this.jwksUri || this.jwksFile ? ['RS256', 'ES256'] : [])
+      ];
+    }
+
+    this.keys = new Map();
+    this.keysLoadedAt = 0;
+    this.lastUnknownKidRefresh = 0;
+    this.loading = null;
+  }
+
+  /**
+   * Refuse insecure configurations
+   * @throws {Error} When running in production with the default secret
+   */
+  assertSecureConfig() {
+    if (process.env.NODE_ENV === 'production' &&
+      (this.usingDefaultSecret || this.secrets.includes(DEFAULT_SECRET))) {
+      throw new Error('JWT_SECRET, JWT_SECRETS or a JWKS source must be configured in production');
+    }
+  }
+
+  /**
+   * Verify a token and return its payload
+   * @param {string} token - Encoded JWT
+   * @returns {Promise<Object>} Decoded payload
+   * @throws {JsonWebTokenError|TokenExpiredError} When the token is not valid
+   */
+  async verify(token) {
+    const decoded = jwt.decode(token, { complete: true });
+    if (!decoded || !decoded.header) {
+      throw new jwt.JsonWebTokenError('jwt malformed');
+    }
+
+    const { alg, kid } = decoded.header;
+    if (!this.algorithms.includes(alg)) {
+      throw new jwt.JsonWebTokenError(`algorithm ${alg} is not allowed`);
+    }
+
+    const verifyOptions = {
+      algorithms: [alg],
+      issuer: this.issuer,
+      audience: this.audience
+    };
+
+    if (HMAC_ALGORITHMS.includes(alg)) {
+      return this.verifyWithSecrets(token, verifyOptions);
+    }
+
+    if (ASYMMETRIC_ALGORITHMS.includes(alg)) {
+      const key = await this.getSigningKey(kid);
+      return jwt.verify(token, key, verifyOptions);
+    }
+
+    throw new jwt.JsonWebTokenError(`algorithm ${alg} is not supported`);
+  }
+
+  // Try every active secret; only a signature mismatch moves on to the next one
+  verifyWithSecrets(token, verifyOptions) {
+    let lastError = new jwt.JsonWebTokenError('no HMAC secret configured');
+
+    for (const secret of this.secrets) {
+      try {
+        return jwt.verify(token, secret, verifyOptions);
+      } catch (error) {
+        if (error.message !== 'invalid signature') {
+          throw error;
+        }
+        lastError = error;
+      }
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * Get the public key for a `kid`, refreshing the JWKS when it is stale
+   * or when an unknown `kid` appears (keys were rotated)
+   */
+  async getSigningKey(kid) {
+    const stale = Date.now() - this.keysLoadedAt > this.jwksCacheTtl;
+    const unknownKid = !this.findKey(kid);
+    const mayRefreshForKid = Date.now() - this.lastUnknownKidRefresh > UNKNOWN_KID_REFRESH_INTERVAL;
+
+    if (stale || (unknownKid && mayRefreshForKid)) {
+      if (unknownKid && !stale) {
+        this.lastUnknownKidRefresh = Date.now();
+      }
+      await this.loadKeys();
+    }
+
+    const key = this.findKey(kid);
+    if (!key) {
+      throw new jwt.JsonWebTokenError(`no signing key found for kid ${kid}`);
+    }
+    return key;
+  }
+
+  // Without a kid, a JWKS holding a single key is unambiguous
+  findKey(kid) {
+    if (kid) return this.keys.get(kid);
+    return this.keys.size === 1 ? this.keys.values().next().value : undefined;
+  }
+
+  /**
+   * Load the JWKS document from the configured file or URL
+   * Concurrent callers share one load
+   */
+  async loadKeys() {
+    if (!this.jwksUri && !this.jwksFile) return;
+
+    if (!this.loading) {
+      this.loading = this.fetchJwks()
+        .then(jwks => {
+          const keys = new Map();
+          (jwks.keys || [])
+            .filter(jwk => !jwk.use || jwk.use === 'sig')
+            .forEach((jwk, index) => {
+              keys.set(jwk.kid || `key-${index}`, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+            });
+          this.keys = keys;
+          this.keysLoadedAt = Date.now();
+        })
+        .finally(() => {
+          this.loading = null;
+        });
+    }
+
+    try {
+      await this.loading;
+    } catch (error) {
+      // Keep serving the previously cached keys when a refresh fails, and retry shortly
+      if (this.keys.size === 0) {
+        throw new jwt.JsonWebTokenError(`unable to load JWKS: ${error.message}`);
+      }
+      this.keysLoadedAt = Date.now() - this.jwksCacheTtl + UNKNOWN_KID_REFRESH_INTERVAL;
+    }
+  }
+
+  async fetchJwks() {
+    if (this.jwksFile) {
+      return JSON.parse(await fs.promises.readFile(this.jwksFile, 'utf8'));
+    }
+    const response = await axios.get(this.jwksUri, { timeout: 5000 });
+    return response.data;
+  }
+}
+
+module.exports = JwtVerifier;
@@ -1,47 +1,143 @@
+const path = require('path');
 const winston = require('winston');
+const { getContext } = require('./request-context');
+const { createRedactor, DEFAULT_FIELDS, REDACTED } = require('./redact');
+
+/**
+ * Logger
+ * Structured JSON logging shared by the whole gateway. Every line carries the
+ * ids of the request being handled, secrets are redacted before reaching a
+ * transport, and high-volume lines can be sampled.
+ *
+ * Configured through environment variables:
+ * - LOG_LEVEL - minimum level (default `info`)
+ * - LOG_TRANSPORTS - comma-separated `console` and/or `file`, or `none` (default `console`)
+ * - LOG_DIR - directory for the `file` transport (default `logs`)
+ * - LOG_FORMAT - console output, `json` or `pretty` (default `json` in production)
+ * - LOG_REDACT_FIELDS - extra field and query parameter names to redact, with `*` wildcards
+ * - LOG_SAMPLE_RATES - `type:rate` pairs, e.g. `cache_hit:0.1,cache_miss:0.1`
+ */
+
+const splitList = (value) => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+const redactor = createRedactor([...DEFAULT_FIELDS, ...splitList(process.env.LOG_REDACT_FIELDS)]);
+
+// Share of lines kept for each log `type`; types without a rate are always kept
+const sampleRates = Object.fromEntries(
+  splitList(process.env.LOG_SAMPLE_RATES ?? 'cache_hit:0.1,cache_miss:0.1')
+    .map(entry => entry.split(':'))
+    .map(([type, rate]) => [type.trim(), Math.min(Math.max(parseFloat(rate) || 0, 0), 1)])
+);
+
+// Drop a share of sampled lines; warnings and errors are never sampled
+const sampling = winston.format((info) => {
+  const rate = sampleRates[info.type];
+  if (rate === undefined || info.level === 'error' || info.level === 'warn') {
+    return info;
+  }
+  if (Math.random() >= rate) {
+    return false;
+  }
+  info.sampleRate = rate;
+  return info;
+});
+
+// Add the request id and trace ids of the request being handled
+const requestContext = winston.format((info) => {
+  const context = getContext();
+  if (context) {
+    info.requestId = context.requestId;
+    info.traceId = context.span?.traceId;
+    info.spanId = context.span?.spanId;
+  }
+  return info;
+});
+
+// Mask secrets in the message and metadata (symbol keys used by winston are untouched)
+const redact = winston.format((info) => {
+  Object.keys(info).forEach(key => {
+    if (key === 'level') return;
+    info[key] = redactor.isSensitive(key) ? REDACTED : redactor.redactValue(info[key]);
+  });
+  return info;
+});
 
 // Define log format
 const logFormat = winston.format.combine(
-  winston.format.timestamp(),
+  sampling(),
+  requestContext(),
   winston.format.errors({ stack: true }),
+  redact(),
+  winston.format.timestamp(),
   winston.format.json()
 );
 
+// Build the transports selected by LOG_TRANSPORTS (`none` disables logging)
+function createTransports() {
+  const transports = [];
+  const selected = splitList(process.env.LOG_TRANSPORTS || 'console');
+  const pretty = (process.env.LOG_FORMAT || (process.env.NODE_ENV === 'production' ? 'json' : 'pretty')) === 'pretty';
+
+  if (selected.includes('console')) {
+    transports.push(new winston.transports.Console({
+      format: pretty
+        ? winston.format.combine(winston.format.colorize(), winston.format.simple())
+        : winston.format.json()
+    }));
+  }
+
+  if (selected.includes('file')) {
+    const dir = process.env.LOG_DIR || 'logs';
+    transports.push(
+      // Write errors to error.log
+      new winston.transports.File({
+        filename: path.join(dir, 'error.log'),
+        level: 'error',
+        maxsize: 5242880, // 5MB
+        maxFiles: 5,
+      }),
+      // Write all logs to combined.log
+      new winston.transports.File({
+        filename: path.join(dir, 'combined.log'),
+        maxsize: 5242880, // 5MB
+        maxFiles: 5,
+      })
+    );
+  }
+
+  return transports;
+}
+
+const transports = createTransports();
+
 // Create the logger instance
 const logger = winston.createLogger({
   level: process.env.LOG_LEVEL || 'info',
   format: logFormat,
   defaultMeta: { service: 'api-gateway' },
-  transports: [
-    // Write logs to console
-    new winston.transports.Console({
-      format: winston.format.combine(
-        winston.format.colorize(),
-        winston.format.simple()
-      )
-    }),
-    // Write errors to error.log
-    new winston.transports.File({ 
-      filename: 'logs/error.log', 
-      level: 'error',
-      maxsize: 5242880, // 5MB
-      maxFiles: 5,
-    }),
-    // Write all logs to combined.log
-    new winston.transports.File({ 
-      filename: 'logs/combined.log',
-      maxsize: 5242880, // 5MB
-      maxFiles: 5,
-    })
-  ],
+  transports,
+  // Stay quiet instead of warning when every transport is disabled
+  silent: transports.length === 0,
   // Don't exit on uncaught exceptions
   exitOnError: false
 });
 
+/**
+ * Child logger for a request, carrying its route, caller and request id
+ * @param {Object} req - Express request
+ * @returns {Object} Logger
+ */
+logger.forRequest = (req) => logger.child({
+  requestId: req.requestId,
+  route: req.serviceRoute?.name,
+  userId: req.user?.id,
+  apiKeyId: req.apiKey?.id
+});
+
 // Create a stream object for Morgan integration
 logger.stream = {
   write: (message) => {
-    logger.info(message.trim());
+    logger.info(message.trim(), { type: 'access' });
   }
 };
 
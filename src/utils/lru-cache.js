@@ -0,0 +1,174 @@
+/**
+ * LRU Cache
+ * Bounded in-memory cache used as the local tier in front of Redis. Entries
+ * are evicted least recently used first once either the entry or the byte
+ * limit is reached, and each entry expires after its own TTL (capped by
+ * `maxTtl`). Keys can be tagged so tag invalidation reaches local copies too.
+ *
+ * Values are shared between callers and must not be mutated.
+ */
+class LruCache {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxEntries] - Maximum number of entries
+   * @param {number} [options.maxBytes] - Maximum total size of the entries, as measured by the caller
+   * @param {number} [options.maxTtl] - Longest time an entry is kept, in seconds
+   */
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries ?? 1000;
+    this.maxBytes = options.maxBytes ?? 50 * 1024 * 1024;
+    this.maxTtl = options.maxTtl ?? 30;
+
+    // key -> { value, size, expiresAt, tags }; Map order is recency order (oldest first)
+    this.entries = new Map();
+    // tag -> Set of keys
+    this.tags = new Map();
+    this.bytes = 0;
+
+    this.hits = 0;
+    this.misses = 0;
+    this.evictions = 0;
+  }
+
+  /**
+   * Get a value, or undefined when missing or expired
+   */
+  get(key, now = Date.now()) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      this.misses++;
+      return undefined;
+    }
+    if (entry.expiresAt <= now) {
+      this.delete(key);
+      this.misses++;
+      return undefined;
+    }
+
+    // Move to the most recently used end
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.hits++;
+    return entry.value;
+  }
+
+  /**
+   * Store a value
+   * @param {string} key
+   * @param {*} value
+   * @param {Object} [options]
+   * @param {number|null} [options.ttl] - Seconds; capped by maxTtl, null means maxTtl
+   * @param {number} [options.size] - Size in bytes, counted against maxBytes
+   * @returns {boolean} Whether the value was stored
+   */
+  set(key, value, { ttl = null, size = 0 } = {}) {
+    this.delete(key);
+
+    const seconds = ttl === null ? this.maxTtl : Math.min(ttl, this.maxTtl);
+    if (seconds <= 0 || this.maxEntries <= 0 || size > this.maxBytes) {
+      return false;
+    }
+
+    this.entries.set(key, { value, size, expiresAt: Date.now() + seconds * 1000, tags: new Set() });
+    this.bytes += size;
+
+    while (this.entries.size > this.maxEntries || this.bytes > this.maxBytes) {
+      this.delete(this.entries.keys().next().value);
+      this.evictions++;
+    }
+    return true;
+  }
+
+  /**
+   * Record keys under tags; keys that are not cached locally are ignored
+   */
+  tag(keys, tags) {
+    keys.forEach(key => {
+      const entry = this.entries.get(key);
+      if (!entry) return;
+      tags.forEach(tag => {
+        entry.tags.add(tag);
+        if (!this.tags.has(tag)) this.tags.set(tag, new Set());
+        this.tags.get(tag).add(key);
+      });
+    });
+  }
+
+  /**
+   * Remove an entry
+   * @returns {boolean} Whether an entry was removed
+   */
+  delete(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return false;
+
+    this.entries.delete(key);
+    this.bytes -= entry.size;
+    entry.tags.forEach(tag => {
+      const keys = this.tags.get(tag);
+      keys.delete(key);
+      if (keys.size === 0) this.tags.delete(tag);
+    });
+    return true;
+  }
+
+  /**
+   * Remove every entry recorded under the given tags
+   * @returns {number} Number of entries removed
+   */
+  deleteTags(tags) {
+    let deleted = 0;
+    tags.forEach(tag => {
+      [...(this.tags.get(tag) || [])].forEach(key => {
+        if (this.delete(key)) deleted++;
+      });
+    });
+    return deleted;
+  }
+
+  /**
+   * Remove every entry whose key matches a pattern
+   * @param {RegExp} pattern
+   * @returns {number} Number of entries removed
+   */
+  deleteMatching(pattern) {
+    let deleted = 0;
+    [...this.entries.keys()].forEach(key => {
+      if (pattern.test(key) && this.delete(key)) deleted++;
+    });
+    return deleted;
+  }
+
+  clear() {
+    this.entries.clear();
+    this.tags.clear();
+    this.bytes = 0;
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  keys() {
+    return [...this.entries.keys()];
+  }
+
+  countTagged(tag) {
+    return this.tags.get(tag)?.size || 0;
+  }
+
+  stats() {
+    return {
+      entries: this.entries.size,
+      bytes: this.bytes,
+      maxEntries: this.maxEntries,
+      maxBytes: this.maxBytes,
+      maxTtl: this.maxTtl,
+      hits: this.hits,
+      misses: this.misses,
+      evictions: this.evictions
+    };
+  }
+}
+
+module.exports = LruCache;
@@ -0,0 +1,136 @@
+/**
+ * Path matching for route-relative patterns such as `/movie/:movieId` or `/admin/*`
+ * `:name` matches one path segment and `*` matches the rest of the path.
+ * Matching is case-insensitive, like Express routing.
+ */
+
+const compiled = new Map();
+
+// Ids the gateway places in upstream paths; dots are excluded so no id can read as `.` or `..`
+const IDENTIFIER_PATTERN = /^[\w-]+$/;
+
+// Escape regular expression metacharacters in a literal path piece
+function escapeRegExp(value) {
+  return value.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Decode a path segment, keeping it as-is when it is not valid URI encoding
+function safeDecode(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+}
+
+/**
+ * Compile a path pattern into a regular expression and its parameter names
+ * @param {string} pattern - Path pattern
+ * @returns {{ regexp: RegExp, keys: string[] }}
+ */
+function compilePath(pattern) {
+  if (compiled.has(pattern)) {
+    return compiled.get(pattern);
+  }
+
+  const keys = [];
+  const source = pattern
+    .split('/')
+    .map(segment => {
+      if (segment === '*') {
+        keys.push('wildcard');
+        return '(.*)';
+      }
+      if (segment.startsWith(':')) {
+        keys.push(segment.slice(1));
+        return '([^/]+)';
+      }
+      return escapeRegExp(segment);
+    })
+    .join('/');
+
+  // A trailing `/*` also matches the bare parent path
+  const result = {
+    regexp: new RegExp(`^${source.replace(/\/\(\.\*\)$/, '(?:/(.*))?')}/?$`, 'i'),
+    keys
+  };
+  compiled.set(pattern, result);
+  return result;
+}
+
+/**
+ * Match a path against a pattern
+ * @param {string} pattern - Path pattern
+ * @param {string} path - Request path (without query string)
+ * @returns {Object|null} Matched parameters, or null when the path does not match
+ */
+function matchPath(pattern, path) {
+  const { regexp, keys } = compilePath(pattern);
+  const match = regexp.exec(path);
+  if (!match) return null;
+
+  const params = {};
+  keys.forEach((key, index) => {
+    if (match[index + 1] !== undefined) {
+      params[key] = safeDecode(match[index + 1]);
+    }
+  });
+  return params;
+}
+
+// Segment with percent-encoded dots decoded, to spot `.` and `..`
+const decodeDots = (segment) => segment.replace(/%2e/gi, '.');
+
+/**
+ * Collapse repeated slashes and resolve `.` and `..` segments (also percent-encoded),
+ * as the upstream URL will be, so `/api/review//123` and `/api/review/x/../123`
+ * are checked and routed as `/api/review/123`
+ * @param {string} path - Request path, optionally with a query string
+ * @returns {string}
+ */
+function normalizePath(path) {
+  const queryStart = path.indexOf('?');
+  const pathname = queryStart === -1 ? path : path.substring(0, queryStart);
+
+  // URL parsers read backslashes as slashes in http URLs
+  const segments = pathname.replace(/\\/g, '/').replace(/\/{2,}/g, '/').split('/').slice(1);
+  const resolved = [];
+  segments.forEach((segment, index) => {
+    const dots = decodeDots(segment);
+    if (dots !== '.' && dots !== '..') {
+      resolved.push(segment);
+      return;
+    }
+    if (dots === '..') resolved.pop();
+    // A dot segment at the end leaves a trailing slash
+    if (index === segments.length - 1) resolved.push('');
+  });
+
+  const normalized = `/${resolved.join('/')}`.replace(/\/{2,}/g, '/');
+  return normalized + (queryStart === -1 ? '' : path.substring(queryStart));
+}
+
+/**
+ * Check whether a path is a prefix path or below it, comparing whole segments
+ * so that `/test` covers `/test/1` but not `/testimonials`
+ * @param {string} path - Request path (without query string)
+ * @param {string} prefix - Path prefix; `/` and prefixes ending in `/` cover everything below them
+ * @returns {boolean}
+ */
+function isPathWithin(path, prefix) {
+  if (prefix.endsWith('/')) {
+    return path.startsWith(prefix) || path === prefix.slice(0, -1);
+  }
+  return path === prefix || path.startsWith(`${prefix}/`);
+}
+
+/**
+ * Check whether a value can be used as one segment of an upstream path
+ * @param {*} value - Id from a request, a query argument or an upstream response
+ * @returns {boolean}
+ */
+function isPathIdentifier(value) {
+  return (typeof value === 'string' || typeof value === 'number') && IDENTIFIER_PATTERN.test(String(value));
+}
+
+module.exports = { compilePath, matchPath, normalizePath, isPathWithin, isPathIdentifier };
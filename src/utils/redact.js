@@ -0,0 +1,84 @@
+/**
+ * Log redaction
+ * Masks secrets before they reach a log transport: fields with sensitive
+ * names in logged objects (request bodies, headers), matching query
+ * parameters in URLs and bearer tokens in free text.
+ */
+
+const REDACTED = '[REDACTED]';
+const MAX_DEPTH = 10;
+
+// `*` matches any part of a name, so `*password*` covers `newPassword` and `password_confirm`
+const DEFAULT_FIELDS = [
+  '*password*',
+  '*passwd*',
+  '*secret*',
+  '*token*',
+  'authorization',
+  'cookie',
+  'set-cookie',
+  'api_key',
+  'x-api-key'
+];
+
+// Field names are compared without case, dashes or underscores, so
+// `accessToken`, `access_token` and `Access-Token` all match
+const normalizeName = (name) => String(name).toLowerCase().replace(/[-_]/g, '');
+
+const toPattern = (field) => new RegExp(`^${normalizeName(field)
+  .split('*')
+  .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+  .join('.*')}$`);
+
+const QUERY_PARAM_PATTERN = /([?&;])([^=&#\s"']+)=([^&#\s"']*)/g;
+const BEARER_PATTERN = /\b(Bearer\s+)[\w.~+/-]+=*/gi;
+
+/**
+ * Create a redactor
+ * @param {string[]} [fields] - Sensitive field and query parameter names, with `*` wildcards
+ * @returns {{ redactString: Function, redactValue: Function, isSensitive: Function }}
+ */
+function createRedactor(fields = DEFAULT_FIELDS) {
+  const names = new Set(fields.filter(field => !field.includes('*')).map(normalizeName));
+  const patterns = fields.filter(field => field.includes('*')).map(toPattern);
+  const isSensitive = (name) => {
+    const normalized = normalizeName(name);
+    return names.has(normalized) || patterns.some(pattern => pattern.test(normalized));
+  };
+
+  function redactString(value) {
+    return value
+      .replace(QUERY_PARAM_PATTERN, (match, separator, name) =>
+        isSensitive(name) ? `${separator}${name}=${REDACTED}` : match)
+      .replace(BEARER_PATTERN, `$1${REDACTED}`);
+  }
+
+  function redactValue(value, depth = 0, seen = new WeakSet()) {
+    if (typeof value === 'string') {
+      return redactString(value);
+    }
+    if (!value || typeof value !== 'object' || value instanceof Error || depth >= MAX_DEPTH) {
+      return value;
+    }
+    if (seen.has(value)) {
+      return '[Circular]';
+    }
+    seen.add(value);
+
+    if (Array.isArray(value)) {
+      return value.map(item => redactValue(item, depth + 1, seen));
+    }
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+      key,
+      isSensitive(key) ? REDACTED : redactValue(item, depth + 1, seen)
+    ]));
+  }
+
+  return { redactString, redactValue, isSensitive };
+}
+
+module.exports = {
+  createRedactor,
+  DEFAULT_FIELDS,
+  REDACTED
+};
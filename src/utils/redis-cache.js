@@ -1,61 +1,147 @@
+const crypto = require('crypto');
 const { createClient } = require('redis');
 const CircuitBreaker = require('opossum');
+const defaultLogger = require('./logger');
+const { metrics, BREAKER_STATES } = require('../middleware/metrics.middleware');
+const LruCache = require('./lru-cache');
+const { escapeGlob, globToRegExp } = require('./glob');
+const { getResponseKey, RESPONSE_KEY_PREFIX } = require('./http-cache');
+
+// Local tier from options or the CACHE_L1_* variables; null when disabled
+function createLocalCache(options) {
+  if (options === false) return null;
+  
+  const setting = (name, fallback) => {
+    const value = parseInt(process.env[name], 10);
+    return Number.isNaN(value) ? fallback : value;
+  };
+  const config = {
+    maxEntries: setting('CACHE_L1_MAX_ENTRIES', 1000),
+    maxBytes: setting('CACHE_L1_MAX_BYTES', 50 * 1024 * 1024),
+    maxTtl: setting('CACHE_L1_MAX_TTL', 30),
+    ...options
+  };
+  return config.maxEntries > 0 && config.maxBytes > 0 && config.maxTtl > 0 ? new LruCache(config) : null;
+}
 
+/**
+ * Redis Cache
+ * Shared cache used for responses, API keys, token revocations, rate limits
+ * and locks. Reads are served from a bounded in-process LRU tier first (see
+ * LruCache) and fall back to Redis; writes go to both. Local copies expire
+ * before their Redis key and every delete or invalidation is published to
+ * the other replicas so they drop their copies too. While Redis is down the
+ * local tier keeps working as the only cache.
+ *
+ * The local tier is configured through environment variables:
+ * - CACHE_L1_MAX_ENTRIES - maximum number of entries (default 1000, 0 disables the tier)
+ * - CACHE_L1_MAX_BYTES - maximum total size of the serialized values (default 50 MiB)
+ * - CACHE_L1_MAX_TTL - longest time a value is kept locally, in seconds (default 30)
+ */
 class RedisCache {
   constructor(options = {}) {
     this.ttl = options.ttl || 3600; // Default TTL: 1 hour
     this.prefix = options.prefix || 'api-gateway:';
+    this.logger = options.logger || defaultLogger;
     this.client = null;
     this.connected = false;
     this.circuitBreaker = null;
     this.redisUrl = process.env.REDIS_URL || 'redis://redis:6379';
+    this.connectTimeout = options.connectTimeout || parseInt(process.env.REDIS_CONNECT_TIMEOUT, 10) || 5000;
     this.testMode = process.env.NODE_ENV === 'test';
     
+    // Local tier; other replicas are told to drop their copies over the eviction channel
+    this.local = createLocalCache(options.local);
+    this.instanceId = crypto.randomUUID();
+    this.evictionChannel = options.evictionChannel || `${this.prefix}l1-evict`;
+    
     // Initialize circuit breaker for Redis operations
     this.initCircuitBreaker();
   }
 
+  // Whether responses can be cached at all: in Redis, or at least locally
+  get available() {
+    return this.connected || Boolean(this.local);
+  }
+
   async connect() {
     if (this.connected) return;
     
     // Skip actual Redis connection in test mode
     if (this.testMode) {
-      console.log('Running in test mode - skipping Redis connection');
+      this.logger.debug('Running in test mode - skipping Redis connection');
       return;
     }
 
-    try {
+    if (!this.client) {
       this.client = createClient({
         url: this.redisUrl
       });
 
       // Set up event handlers
       this.client.on('error', (err) => {
-        console.error('Redis error:', err);
+        this.logger.warn(`Redis error: ${err.message}`, { type: 'redis_error', code: err.code });
       });
 
       this.client.on('connect', () => {
-        console.log('Connected to Redis');
+        this.logger.info('Connected to Redis');
       });
 
+      this.client.on('ready', () => this.handleReady());
+
       this.client.on('reconnecting', () => {
-        console.log('Reconnecting to Redis...');
+        this.connected = false;
+        this.logger.info('Reconnecting to Redis...');
       });
 
-      // Connect to Redis (the 'connect' event will log the success)
-      await this.client.connect();
-      this.connected = true;
+      this.client.on('end', () => {
+        this.connected = false;
+      });
 
       // Promisify Redis methods
       this.getAsync = this.client.get.bind(this.client);
       this.setAsync = this.client.set.bind(this.client);
       this.delAsync = this.client.del.bind(this.client);
       this.expireAsync = this.client.expire.bind(this.client);
-      this.flushAsync = this.client.flushAll.bind(this.client);
+
+      // The client keeps retrying in the background until Redis is reachable
+      // ('ready' marks the cache connected whenever that happens)
+      this.connecting = this.client.connect().catch(() => {});
+    }
+
+    // Don't hold up callers (e.g. server start) while Redis is unreachable
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`not reachable within ${this.connectTimeout}ms`)), this.connectTimeout);
+    });
+    try {
+      await Promise.race([this.connecting, timeout]);
+      if (!this.client.isReady) {
+        throw new Error('connection closed');
+      }
+      this.connected = true;
     } catch (error) {
-      console.error('Failed to connect to Redis:', error);
+      this.logger.error(`Failed to connect to Redis: ${error.message}`);
       this.connected = false;
       throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // Called on the first connection and after every reconnect
+  handleReady() {
+    this.connected = true;
+    if (!this.local) return;
+    
+    // Evictions published while this replica was disconnected were missed
+    this.local.clear();
+    if (!this.evictionSubscription) {
+      this.evictionSubscription = this.subscribe(this.evictionChannel, message => this.handleEviction(message))
+        .catch((error) => {
+          this.evictionSubscription = null;
+          this.logger.warn(`Failed to subscribe to local cache evictions: ${error.message}`);
+        });
     }
   }
 
@@ -69,25 +155,34 @@ class RedisCache {
 
     this.circuitBreaker = new CircuitBreaker(async (operation) => {
       if (!this.connected) {
+        // Fail fast while the client is reconnecting in the background
+        if (this.client) {
+          throw new Error('Redis is not connected');
+        }
         await this.connect();
       }
       return await operation();
     }, options);
 
+    metrics.redisCircuitBreakerState.set(BREAKER_STATES.closed);
+
     this.circuitBreaker.on('open', () => {
-      console.log('Redis circuit breaker opened');
+      metrics.redisCircuitBreakerState.set(BREAKER_STATES.open);
+      this.logger.warn('Redis circuit breaker opened');
     });
 
     this.circuitBreaker.on('close', () => {
-      console.log('Redis circuit breaker closed');
+      metrics.redisCircuitBreakerState.set(BREAKER_STATES.closed);
+      this.logger.info('Redis circuit breaker closed');
     });
 
     this.circuitBreaker.on('halfOpen', () => {
-      console.log('Redis circuit breaker half-open');
+      metrics.redisCircuitBreakerState.set(BREAKER_STATES.halfOpen);
+      this.logger.info('Redis circuit breaker half-open');
     });
 
     this.circuitBreaker.fallback(() => {
-      console.log('Redis fallback triggered');
+      this.logger.debug('Redis fallback triggered');
       return null; // Return null when Redis is unavailable
     });
   }
@@ -97,62 +192,286 @@ class RedisCache {
   }
 
   async get(key) {
+    const local = this.local?.get(key);
+    if (local !== undefined) return local;
+    
     if (this.testMode) return null;
     
     return this.circuitBreaker.fire(async () => {
       if (!this.connected || !this.client) return null;
       
-      const value = await this.getAsync(this.getKey(key));
+      const redisKey = this.getKey(key);
+      const [value, ttlMs] = await Promise.all([this.getAsync(redisKey), this.client.pTTL(redisKey)]);
       if (value) {
+        let parsed;
         try {
-          return JSON.parse(value);
+          parsed = JSON.parse(value);
         } catch (e) {
-          return value; // Return as-is if not JSON
+          parsed = value; // Return as-is if not JSON
         }
+        // Keep the local copy no longer than the Redis key lives (-1: no expiry)
+        this.local?.set(key, parsed, { ttl: ttlMs >= 0 ? Math.floor(ttlMs / 1000) : null, size: Buffer.byteLength(value) });
+        return parsed;
       }
       return null;
     });
   }
 
   async set(key, value, ttl = this.ttl) {
+    const stringValue = typeof value === 'object' ? JSON.stringify(value) : value;
+    if (this.local) {
+      // Store a copy so later changes to `value` don't leak into the cache
+      const copy = typeof value === 'object' ? JSON.parse(stringValue) : value;
+      this.local.set(key, copy, { ttl, size: Buffer.byteLength(String(stringValue)) });
+      this.publishEviction({ keys: [key] });
+    }
+    
     if (this.testMode) return 'OK';
     
     return this.circuitBreaker.fire(async () => {
       if (!this.connected || !this.client) return 'OK';
       
-      const stringValue = typeof value === 'object' ? JSON.stringify(value) : value;
-      return await this.setAsync(this.getKey(key), stringValue, {
+      // A null TTL stores the value without expiry
+      return await this.setAsync(this.getKey(key), stringValue, ttl === null ? {} : {
         EX: ttl
       });
     });
   }
 
-  async del(key) {
+  // Store a value unless the key exists, in Redis only so that replicas agree on the winner
+  // Returns true when stored, false when the key exists, null when Redis is unavailable
+  async setIfAbsent(key, value, ttl = this.ttl) {
+    if (this.testMode) return null;
+    
+    return this.circuitBreaker.fire(async () => {
+      if (!this.connected || !this.client) return null;
+      
+      const result = await this.client.set(this.getKey(key), JSON.stringify(value), {
+        condition: 'NX',
+        expiration: { type: 'EX', value: ttl }
+      });
+      return result === 'OK';
+    });
+  }
+
+  /**
+   * Delete a key
+   * @param {string} key
+   * @param {Object} [options]
+   * @param {boolean} [options.broadcast=true] - Tell other replicas to drop their local copy;
+   *   not needed when every replica applies the delete itself (invalidation events)
+   */
+  async del(key, { broadcast = true } = {}) {
+    const deletedLocally = this.local?.delete(key) ? 1 : 0;
+    if (broadcast) this.publishEviction({ keys: [key] });
+    
     if (this.testMode) return 1;
     
     return this.circuitBreaker.fire(async () => {
-      if (!this.connected || !this.client) return 1;
+      if (!this.connected || !this.client) return deletedLocally;
       
       return await this.delAsync(this.getKey(key));
     });
   }
 
-  async flush() {
-    if (this.testMode) return 'OK';
+  // Increment a counter, starting its expiry window on the first hit
+  // Returns { totalHits, resetTime } or null when Redis is unavailable
+  async increment(key, windowMs) {
+    if (this.testMode) return null;
     
     return this.circuitBreaker.fire(async () => {
-      if (!this.connected || !this.client) return 'OK';
+      if (!this.connected || !this.client) return null;
+      
+      const [totalHits, ttl] = await this.client.eval(
+        `local hits = redis.call('INCR', KEYS[1])
+        if hits == 1 then redis.call('PEXPIRE', KEYS[1], ARGV[1]) end
+        return { hits, redis.call('PTTL', KEYS[1]) }`,
+        { keys: [this.getKey(key)], arguments: [String(windowMs)] }
+      );
+      return { totalHits, resetTime: new Date(Date.now() + Math.max(ttl, 0)) };
+    });
+  }
+
+  // Decrement a counter created by increment()
+  async decrement(key) {
+    if (this.testMode) return null;
+    
+    return this.circuitBreaker.fire(async () => {
+      if (!this.connected || !this.client) return null;
+      
+      return await this.client.decr(this.getKey(key));
+    });
+  }
+
+  // Take a short-lived lock
+  // Returns a token when acquired, false when another holder has it, null when Redis is unavailable
+  async acquireLock(key, ttlMs) {
+    if (this.testMode) return null;
+    
+    return this.circuitBreaker.fire(async () => {
+      if (!this.connected || !this.client) return null;
       
-      return await this.flushAsync();
+      const token = crypto.randomUUID();
+      const result = await this.client.set(this.getKey(key), token, {
+        condition: 'NX',
+        expiration: { type: 'PX', value: ttlMs }
+      });
+      return result === 'OK' ? token : false;
+    });
+  }
+
+  // Release a lock, only if it is still held with the given token
+  async releaseLock(key, token) {
+    if (this.testMode || !token) return 0;
+    
+    return this.circuitBreaker.fire(async () => {
+      if (!this.connected || !this.client) return 0;
+      
+      return await this.client.eval(
+        `if redis.call('GET', KEYS[1]) == ARGV[1] then return redis.call('DEL', KEYS[1]) end
+        return 0`,
+        { keys: [this.getKey(key)], arguments: [token] }
+      );
+    });
+  }
+
+  // Add members to a set
+  async addToSet(key, ...members) {
+    if (this.testMode) return members.length;
+    
+    return this.circuitBreaker.fire(async () => {
+      if (!this.connected || !this.client) return 0;
+      
+      return await this.client.sAdd(this.getKey(key), members.map(String));
     });
   }
 
+  // Get all members of a set
+  async getSetMembers(key) {
+    if (this.testMode) return [];
+    
+    return this.circuitBreaker.fire(async () => {
+      if (!this.connected || !this.client) return [];
+      
+      return await this.client.sMembers(this.getKey(key));
+    });
+  }
+
+  // Remove members from a set
+  async removeFromSet(key, ...members) {
+    if (this.testMode) return members.length;
+    
+    return this.circuitBreaker.fire(async () => {
+      if (!this.connected || !this.client) return 0;
+      
+      return await this.client.sRem(this.getKey(key), members.map(String));
+    });
+  }
+
+  // Delete every key under the cache prefix, or only those under `prefix` within it;
+  // other data in a shared Redis is never touched
+  async flush(prefix = '') {
+    return this.invalidateByPattern(`${escapeGlob(prefix)}*`);
+  }
+
+  // One page of keys matching a pattern, walked with SCAN
+  // Returns { keys, cursor } with keys relative to the cache prefix; cursor '0' means done.
+  // Lists the local tier when Redis is unavailable
+  async scanKeys(pattern, cursor = '0', count = 100) {
+    const localKeys = () => {
+      const matcher = globToRegExp(pattern);
+      return { keys: this.local ? this.local.keys().filter(key => matcher.test(key)) : [], cursor: '0' };
+    };
+    if (this.testMode) return localKeys();
+    
+    const page = await this.circuitBreaker.fire(async () => {
+      if (!this.connected || !this.client) return null;
+      
+      const result = await this.client.scan(String(cursor), { MATCH: `${this.prefix}${pattern}`, COUNT: count });
+      return {
+        keys: result.keys.map(key => key.slice(this.prefix.length)),
+        cursor: String(result.cursor)
+      };
+    });
+    return page || localKeys();
+  }
+
+  // Number of unexpired keys recorded under a tag
+  async countTagged(tag) {
+    const localCount = () => this.local?.countTagged(tag) || 0;
+    if (this.testMode) return localCount();
+    
+    const count = await this.circuitBreaker.fire(async () => {
+      if (!this.connected || !this.client) return null;
+      
+      return await this.client.zCount(this.getKey(this.tagKey(tag)), Date.now(), '+inf');
+    });
+    return count ?? localCount();
+  }
+
+  // Subscribe to a pub/sub channel on a dedicated connection
+  // (a subscribed connection cannot run other commands); resubscribes after reconnects
+  async subscribe(channel, listener) {
+    if (this.testMode || !this.connected || !this.client) return false;
+    
+    if (!this.subscriber) {
+      this.subscriber = this.client.duplicate();
+      this.subscriber.on('error', (err) => {
+        this.logger.warn(`Redis subscriber error: ${err.message}`, { type: 'redis_error', code: err.code });
+      });
+      await this.subscriber.connect();
+    }
+    await this.subscriber.subscribe(channel, listener);
+    return true;
+  }
+
+  async unsubscribe(channel) {
+    if (this.subscriber) {
+      await this.subscriber.unsubscribe(channel);
+    }
+  }
+
   async close() {
+    if (this.subscriber) {
+      await this.subscriber.quit();
+      this.subscriber = null;
+    }
     if (this.client && this.connected) {
       await this.client.quit();
       this.connected = false;
       // Let the shutdown handler log the closure
+    } else if (this.client) {
+      // Stop reconnecting to an unreachable Redis
+      this.client.destroy();
     }
+    this.client = null;
+    this.evictionSubscription = null;
+  }
+
+  // Tell the other replicas to drop local copies; this replica has already dropped its own
+  publishEviction(event) {
+    if (!this.local || this.testMode || !this.connected || !this.client) return;
+    
+    this.client.publish(this.evictionChannel, JSON.stringify({ origin: this.instanceId, ...event }))
+      .catch((error) => {
+        this.logger.warn(`Failed to publish local cache eviction: ${error.message}`, { type: 'redis_error' });
+      });
+  }
+
+  // Apply an eviction published by another replica
+  handleEviction(message) {
+    let event;
+    try {
+      event = JSON.parse(message);
+    } catch (error) {
+      this.logger.warn(`Ignoring invalid local cache eviction: ${error.message}`, { type: 'cache_invalidation' });
+      return;
+    }
+    if (!event || event.origin === this.instanceId) return;
+    
+    (event.keys || []).forEach(key => this.local.delete(key));
+    this.local.deleteTags(event.tags || []);
+    (event.patterns || []).forEach(pattern => this.local.deleteMatching(globToRegExp(pattern)));
   }
 
   // Cache middleware for Express routes
@@ -165,17 +484,17 @@ class RedisCache {
 
       // Skip caching for authenticated routes that are user-specific
       if (req.user && req.user.id) {
-        const key = `${req.user.id}:${req.originalUrl}`;
+        const key = getResponseKey(req.originalUrl, req.user.id);
         try {
           const cachedData = await this.get(key);
           
           if (cachedData) {
-            console.log(`Cache hit for ${key}`);
+            this.logger.info(`Cache hit for ${key}`, { type: 'cache_hit' });
             res.setHeader('X-Cache', 'HIT');
             return res.json(cachedData);
           }
 
-          console.log(`Cache miss for ${key}`);
+          this.logger.info(`Cache miss for ${key}`, { type: 'cache_miss' });
           res.setHeader('X-Cache', 'MISS');
 
           // Store original res.json method
@@ -192,23 +511,23 @@ class RedisCache {
 
           next();
         } catch (error) {
-          console.error('Cache middleware error:', error);
+          this.logger.error(`Cache middleware error: ${error.message}`);
           next(); // Continue without caching on error
         }
       } else {
         // For public routes
-        const key = `${req.originalUrl}`;
+        const key = getResponseKey(req.originalUrl);
         
         try {
           const cachedData = await this.get(key);
           
           if (cachedData) {
-            console.log(`Cache hit for ${key}`);
+            this.logger.info(`Cache hit for ${key}`, { type: 'cache_hit' });
             res.setHeader('X-Cache', 'HIT');
             return res.json(cachedData);
           }
 
-          console.log(`Cache miss for ${key}`);
+          this.logger.info(`Cache miss for ${key}`, { type: 'cache_miss' });
           res.setHeader('X-Cache', 'MISS');
 
           // Store original res.json method
@@ -225,7 +544,7 @@ class RedisCache {
 
           next();
         } catch (error) {
-          console.error('Cache middleware error:', error);
+          this.logger.error(`Cache middleware error: ${error.message}`);
           next(); // Continue without caching on error
         }
       }
@@ -233,24 +552,94 @@ class RedisCache {
   }
 
   // Helper to invalidate cache by pattern
-  async invalidateByPattern(pattern) {
+  // Walks the keyspace with SCAN in batches so Redis is never blocked (unlike KEYS);
+  // prefer tags for invalidation on hot paths
+  async invalidateByPattern(pattern, { broadcast = true } = {}) {
+    const deletedLocally = this.local?.deleteMatching(globToRegExp(pattern)) || 0;
+    if (broadcast) this.publishEviction({ patterns: [pattern] });
+    
     if (this.testMode) return 0;
     
+    return this.circuitBreaker.fire(async () => {
+      if (!this.connected || !this.client) return deletedLocally;
+      
+      let deleted = 0;
+      // scanIterator yields batches of keys
+      for await (const keys of this.client.scanIterator({ MATCH: `${this.prefix}${pattern}`, COUNT: 500 })) {
+        if (keys.length > 0) {
+          deleted += await this.client.del(keys);
+        }
+      }
+      return deleted;
+    });
+  }
+
+  // Tag sets are sorted sets (the `tags:` sets of earlier versions were plain sets)
+  tagKey(tag) {
+    return `tagset:${tag}`;
+  }
+
+  // Record cached keys under each of their tags
+  // Keys are scored by when they expire and expired ones are pruned on every
+  // write, so tags shared by many entries (`service:<name>`, `user:<id>`) only
+  // list live keys. Tag sets expire with the longest-lived key they reference
+  async tagKeys(keys, tags, ttl) {
+    this.local?.tag(keys, tags);
+    
+    if (this.testMode || keys.length === 0 || tags.length === 0) return 0;
+    
     return this.circuitBreaker.fire(async () => {
       if (!this.connected || !this.client) return 0;
       
-      const keys = await this.client.keys(`${this.prefix}${pattern}`);
-      if (keys.length > 0) {
-        return await this.client.del(keys);
+      const multi = this.client.multi();
+      tags.forEach(tag => {
+        multi.eval(
+          `local time = redis.call('TIME')
+          local now = time[1] * 1000 + math.floor(time[2] / 1000)
+          local ttl = tonumber(ARGV[1]) * 1000
+          redis.call('ZREMRANGEBYSCORE', KEYS[1], '-inf', now)
+          for i = 2, #ARGV do redis.call('ZADD', KEYS[1], now + ttl, ARGV[i]) end
+          if redis.call('PTTL', KEYS[1]) < ttl then redis.call('PEXPIRE', KEYS[1], ttl) end
+          return 1`,
+          { keys: [this.getKey(this.tagKey(tag))], arguments: [String(ttl), ...keys] }
+        );
+      });
+      await multi.exec();
+      return tags.length;
+    });
+  }
+
+  // Delete every key recorded under the given tags, and the tag sets themselves
+  // (`broadcast` as for del()). Keys are read with ZSCAN and unlinked in batches,
+  // so a large tag never blocks Redis
+  async invalidateTags(tags, { broadcast = true } = {}) {
+    if (tags.length === 0) return 0;
+    
+    const deletedLocally = this.local?.deleteTags(tags) || 0;
+    if (broadcast) this.publishEviction({ tags });
+    
+    if (this.testMode) return 0;
+    
+    return this.circuitBreaker.fire(async () => {
+      if (!this.connected || !this.client) return deletedLocally;
+      
+      let deleted = 0;
+      for (const tag of tags) {
+        const tagKey = this.getKey(this.tagKey(tag));
+        for await (const members of this.client.zScanIterator(tagKey, { COUNT: 500 })) {
+          if (members.length > 0) {
+            deleted += await this.client.unlink(members.map(({ value }) => this.getKey(value)));
+          }
+        }
+        deleted += await this.client.unlink(tagKey);
       }
-      return 0;
+      return deleted;
     });
   }
 
   // Helper to invalidate user-specific cache
   async invalidateUserCache(userId) {
-    if (this.testMode) return 0;
-    return this.invalidateByPattern(`${userId}:*`);
+    return this.invalidateByPattern(`${RESPONSE_KEY_PREFIX}${escapeGlob(String(userId))}:*`);
   }
 }
 
@@ -0,0 +1,77 @@
+const { MemoryStore } = require('express-rate-limit');
+
+/**
+ * Redis store for express-rate-limit
+ * Keeps hit counts in Redis through RedisCache so limits are shared by every
+ * gateway replica and survive restarts. While Redis is unavailable the
+ * counts are kept in a local in-memory store instead.
+ */
+class RedisRateLimitStore {
+  /**
+   * @param {RedisCache} redisCache - Shared Redis cache
+   * @param {string} prefix - Key prefix, unique per limiter
+   * @param {Object} logger - Logger instance
+   */
+  constructor(redisCache, prefix, logger) {
+    this.redisCache = redisCache;
+    this.prefix = prefix;
+    this.logger = logger;
+    this.localKeys = false;
+    this.fallbackStore = new MemoryStore();
+    this.usingFallback = false;
+  }
+
+  init(options) {
+    this.windowMs = options.windowMs;
+    this.fallbackStore.init(options);
+  }
+
+  async increment(key) {
+    try {
+      const result = await this.redisCache.increment(`${this.prefix}${key}`, this.windowMs);
+      if (result) {
+        this.setFallback(false);
+        return result;
+      }
+    } catch (error) {
+      this.logger.warn(`Rate limit store error: ${error.message}`);
+    }
+
+    this.setFallback(true);
+    return this.fallbackStore.increment(key);
+  }
+
+  async decrement(key) {
+    if (this.usingFallback) {
+      return this.fallbackStore.decrement(key);
+    }
+    try {
+      await this.redisCache.decrement(`${this.prefix}${key}`);
+    } catch (error) {
+      this.logger.warn(`Rate limit store error: ${error.message}`);
+    }
+  }
+
+  async resetKey(key) {
+    await this.fallbackStore.resetKey(key);
+    try {
+      await this.redisCache.del(`${this.prefix}${key}`);
+    } catch (error) {
+      this.logger.warn(`Rate limit store error: ${error.message}`);
+    }
+  }
+
+  // Log transitions between the Redis and in-memory stores once
+  setFallback(usingFallback) {
+    if (usingFallback !== this.usingFallback) {
+      this.usingFallback = usingFallback;
+      if (usingFallback) {
+        this.logger.warn(`Rate limiter ${this.prefix} falling back to in-memory counts`);
+      } else {
+        this.logger.info(`Rate limiter ${this.prefix} using Redis counts again`);
+      }
+    }
+  }
+}
+
+module.exports = RedisRateLimitStore;
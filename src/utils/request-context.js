@@ -0,0 +1,28 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Request context
+ * Carries the request id and current trace span through every async call
+ * made while handling a request, so loggers and upstream calls can read
+ * them without threading them through every function.
+ */
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a function inside a request context
+ * @param {Object} context - { requestId, span }
+ * @param {Function} fn - Function to run
+ */
+function runWithContext(context, fn) {
+  return storage.run(context, fn);
+}
+
+/**
+ * Get the context of the request being handled, if any
+ * @returns {Object|undefined}
+ */
+function getContext() {
+  return storage.getStore();
+}
+
+module.exports = { runWithContext, getContext };
@@ -0,0 +1,69 @@
+/**
+ * Retry Budget
+ * Caps the retries sent to a service at a share of its live traffic over a
+ * sliding window, so retries can't multiply the load on a service that is
+ * already failing. A few retries per second are always allowed, so that a
+ * service with little traffic can still be retried. Counts are per replica.
+ */
+class RetryBudget {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.ratio] - Retries allowed per request sent
+   * @param {number} [options.minPerSecond] - Retries allowed whatever the traffic
+   * @param {number} [options.window] - Window traffic is counted over, in ms
+   * @param {number} [options.buckets] - Number of buckets the window slides by
+   */
+  constructor({ ratio = 0.2, minPerSecond = 10, window = 10000, buckets = 10 } = {}) {
+    this.ratio = ratio;
+    this.minRetries = minPerSecond * window / 1000;
+    this.bucketDuration = window / buckets;
+
+    // Oldest bucket first: { start, requests, retries }
+    this.buckets = [];
+    this.size = buckets;
+  }
+
+  /**
+   * Count a request sent to the service
+   */
+  recordRequest(now = Date.now()) {
+    this.currentBucket(now).requests++;
+  }
+
+  /**
+   * Take a retry from the budget
+   * @returns {boolean} Whether the retry may be sent
+   */
+  tryRetry(now = Date.now()) {
+    const bucket = this.currentBucket(now);
+    const { requests, retries } = this.totals();
+    if (retries >= this.minRetries + requests * this.ratio) {
+      return false;
+    }
+    bucket.retries++;
+    return true;
+  }
+
+  totals() {
+    return this.buckets.reduce((sum, bucket) => ({
+      requests: sum.requests + bucket.requests,
+      retries: sum.retries + bucket.retries
+    }), { requests: 0, retries: 0 });
+  }
+
+  // Bucket for the current time, dropping those that left the window
+  currentBucket(now) {
+    const start = now - (now % this.bucketDuration);
+    const windowStart = start - (this.size - 1) * this.bucketDuration;
+    this.buckets = this.buckets.filter(bucket => bucket.start >= windowStart);
+
+    let bucket = this.buckets[this.buckets.length - 1];
+    if (!bucket || bucket.start !== start) {
+      bucket = { start, requests: 0, retries: 0 };
+      this.buckets.push(bucket);
+    }
+    return bucket;
+  }
+}
+
+module.exports = RetryBudget;
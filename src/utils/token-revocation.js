@@ -0,0 +1,126 @@
+/**
+ * Token Revocation Store
+ * Tracks revoked token ids (`jti`) and per-user "tokens issued before"
+ * timestamps in Redis through RedisCache, so logouts and bans take effect on
+ * every gateway replica. Revocations are mirrored in memory and that copy is
+ * used when Redis is unavailable.
+ */
+class TokenRevocationStore {
+  /**
+   * @param {RedisCache} redisCache - Shared Redis cache
+   * @param {Object} logger - Logger instance
+   * @param {Object} [options]
+   * @param {number} [options.userRevocationTtl] - Seconds a user revocation is kept; must outlive the longest token lifetime
+   */
+  constructor(redisCache, logger, options = {}) {
+    this.redisCache = redisCache;
+    this.logger = logger;
+    this.userRevocationTtl = options.userRevocationTtl ||
+      parseInt(process.env.TOKEN_REVOCATION_USER_TTL, 10) || 30 * 24 * 3600; // 30 days
+
+    // In-memory copies: jti -> expiry (ms), userId -> { before (s), expiresAt (ms) }
+    this.revokedTokens = new Map();
+    this.revokedUsers = new Map();
+  }
+
+  tokenKey(jti) {
+    return `auth:revoked:jti:${jti}`;
+  }
+
+  userKey(userId) {
+    return `auth:revoked:user:${userId}`;
+  }
+
+  /**
+   * Revoke a single token
+   * @param {string} jti - Token id
+   * @param {number} [exp] - Token expiry (seconds since epoch); the revocation is kept until then
+   */
+  async revokeToken(jti, exp) {
+    const now = Math.floor(Date.now() / 1000);
+    const ttl = Math.max((exp || now + this.userRevocationTtl) - now, 1);
+
+    this.revokedTokens.set(String(jti), Date.now() + ttl * 1000);
+    await this.safeSet(this.tokenKey(jti), { revokedAt: now }, ttl);
+    this.logger.info(`Token ${jti} revoked`);
+  }
+
+  /**
+   * Revoke every token of a user issued before a point in time
+   * @param {string} userId - User id
+   * @param {number} [before] - Cut-off (seconds since epoch), defaults to now
+   */
+  async revokeUser(userId, before = Math.floor(Date.now() / 1000)) {
+    this.revokedUsers.set(String(userId), {
+      before,
+      expiresAt: Date.now() + this.userRevocationTtl * 1000
+    });
+    await this.safeSet(this.userKey(userId), { before }, this.userRevocationTtl);
+    this.logger.info(`Tokens of user ${userId} issued before ${before} revoked`);
+  }
+
+  /**
+   * Check whether a verified token has been revoked
+   * @param {Object} payload - Decoded JWT payload
+   * @returns {Promise<boolean>}
+   */
+  async isRevoked(payload) {
+    this.pruneExpired();
+
+    if (payload.jti !== undefined) {
+      if (this.revokedTokens.has(String(payload.jti))) {
+        return true;
+      }
+      if (await this.safeGet(this.tokenKey(payload.jti))) {
+        return true;
+      }
+    }
+
+    const userId = payload.id !== undefined ? payload.id : payload.sub;
+    if (userId !== undefined) {
+      const issuedAt = payload.iat || 0;
+      const local = this.revokedUsers.get(String(userId));
+      if (local && issuedAt < local.before) {
+        return true;
+      }
+
+      const remote = await this.safeGet(this.userKey(userId));
+      if (remote && issuedAt < remote.before) {
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  // Drop in-memory revocations that have outlived their tokens
+  pruneExpired() {
+    const now = Date.now();
+    this.revokedTokens.forEach((expiresAt, jti) => {
+      if (expiresAt <= now) this.revokedTokens.delete(jti);
+    });
+    this.revokedUsers.forEach((entry, userId) => {
+      if (entry.expiresAt <= now) this.revokedUsers.delete(userId);
+    });
+  }
+
+  // Redis errors must not fail authentication; the in-memory copy still applies
+  async safeGet(key) {
+    try {
+      return await this.redisCache.get(key);
+    } catch (error) {
+      this.logger.warn(`Revocation lookup failed for ${key}: ${error.message}`);
+      return null;
+    }
+  }
+
+  async safeSet(key, value, ttl) {
+    try {
+      await this.redisCache.set(key, value, ttl);
+    } catch (error) {
+      this.logger.warn(`Revocation store failed for ${key}: ${error.message}`);
+    }
+  }
+}
+
+module.exports = TokenRevocationStore;
@@ -0,0 +1,203 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const logger = require('./logger');
+const { getContext } = require('./request-context');
+
+/**
+ * Tracing
+ * Minimal W3C trace context support: parses and generates `traceparent`
+ * headers, records spans for gateway handling, cache lookups and upstream
+ * attempts, and exports them in OTLP/HTTP JSON format to a collector when
+ * OTEL_EXPORTER_OTLP_ENDPOINT (or OTEL_EXPORTER_OTLP_TRACES_ENDPOINT) is set.
+ */
+
+const SPAN_KIND = { internal: 1, server: 2, client: 3 };
+const STATUS_CODE = { ok: 1, error: 2 };
+const TRACEPARENT_PATTERN = /^00-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+const MAX_BATCH_SIZE = 512;
+const EXPORT_INTERVAL = 5000;
+
+const tracesEndpoint = process.env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT ||
+  (process.env.OTEL_EXPORTER_OTLP_ENDPOINT
+    ? `${process.env.OTEL_EXPORTER_OTLP_ENDPOINT.replace(/\/+$/, '')}/v1/traces`
+    : null);
+const serviceName = process.env.OTEL_SERVICE_NAME || 'api-gateway';
+
+let pending = [];
+let exportTimer = null;
+
+const randomHex = (bytes) => crypto.randomBytes(bytes).toString('hex');
+
+/**
+ * Parse a traceparent header
+ * @param {string} header - traceparent header value
+ * @returns {Object|null} { traceId, spanId, flags }, or null when invalid
+ */
+function parseTraceparent(header) {
+  const match = TRACEPARENT_PATTERN.exec(String(header || '').trim().toLowerCase());
+  if (!match || /^0+$/.test(match[1]) || /^0+$/.test(match[2])) {
+    return null;
+  }
+  return { traceId: match[1], spanId: match[2], flags: match[3] };
+}
+
+// Offset between the monotonic clock and the epoch, so span times keep nanosecond precision
+const epochOffsetNano = BigInt(Date.now()) * 1000000n - process.hrtime.bigint();
+
+// Current time in nanoseconds since the epoch, as a string (OTLP uses 64-bit integers)
+function nowUnixNano() {
+  return (epochOffsetNano + process.hrtime.bigint()).toString();
+}
+
+// Convert span attributes to OTLP key/value pairs
+function toOtlpAttributes(attributes) {
+  return Object.entries(attributes)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => {
+      if (typeof value === 'number') {
+        return { key, value: Number.isInteger(value) ? { intValue: String(value) } : { doubleValue: value } };
+      }
+      if (typeof value === 'boolean') {
+        return { key, value: { boolValue: value } };
+      }
+      return { key, value: { stringValue: String(value) } };
+    });
+}
+
+class Span {
+  constructor(name, { kind = 'internal', attributes = {}, traceId, parentSpanId, flags = '01' } = {}) {
+    this.name = name;
+    this.kind = kind;
+    this.attributes = { ...attributes };
+    this.traceId = traceId || randomHex(16);
+    this.spanId = randomHex(8);
+    this.parentSpanId = parentSpanId || null;
+    this.flags = flags;
+    this.startTimeUnixNano = nowUnixNano();
+    this.endTimeUnixNano = null;
+    this.status = { code: STATUS_CODE.ok };
+  }
+
+  // traceparent header identifying this span as the parent of a downstream call
+  get traceparent() {
+    return `00-${this.traceId}-${this.spanId}-${this.flags}`;
+  }
+
+  setAttribute(key, value) {
+    this.attributes[key] = value;
+    return this;
+  }
+
+  /**
+   * End the span and queue it for export
+   * @param {Error} [error] - Marks the span as failed
+   */
+  end(error) {
+    if (this.endTimeUnixNano) return;
+    this.endTimeUnixNano = nowUnixNano();
+    if (error) {
+      this.status = { code: STATUS_CODE.error, message: error.message || String(error) };
+    }
+    record(this);
+  }
+
+  toOtlp() {
+    return {
+      traceId: this.traceId,
+      spanId: this.spanId,
+      ...(this.parentSpanId ? { parentSpanId: this.parentSpanId } : {}),
+      name: this.name,
+      kind: SPAN_KIND[this.kind] || SPAN_KIND.internal,
+      startTimeUnixNano: this.startTimeUnixNano,
+      endTimeUnixNano: this.endTimeUnixNano,
+      attributes: toOtlpAttributes(this.attributes),
+      status: this.status
+    };
+  }
+}
+
+/**
+ * Start a span, as a child of the current request's span when there is one
+ * @param {string} name - Span name
+ * @param {Object} [options] - { kind, attributes, parent }
+ * @returns {Span}
+ */
+function startSpan(name, options = {}) {
+  const parent = options.parent || getContext()?.span;
+  return new Span(name, {
+    kind: options.kind,
+    attributes: options.attributes,
+    traceId: parent?.traceId,
+    parentSpanId: parent?.spanId,
+    flags: parent?.flags
+  });
+}
+
+/**
+ * Start the server span for an incoming request, continuing the caller's trace
+ * @param {string} name - Span name
+ * @param {string} [traceparent] - Incoming traceparent header
+ * @param {Object} [attributes]
+ * @returns {Span}
+ */
+function startServerSpan(name, traceparent, attributes) {
+  const parent = parseTraceparent(traceparent);
+  return new Span(name, {
+    kind: 'server',
+    attributes,
+    traceId: parent?.traceId,
+    parentSpanId: parent?.spanId,
+    flags: parent?.flags
+  });
+}
+
+// Queue a finished span; only sampled spans are exported
+function record(span) {
+  if (!tracesEndpoint || !(parseInt(span.flags, 16) & 1)) return;
+
+  pending.push(span);
+  if (pending.length >= MAX_BATCH_SIZE) {
+    flush();
+  } else if (!exportTimer) {
+    exportTimer = setTimeout(flush, EXPORT_INTERVAL);
+    exportTimer.unref();
+  }
+}
+
+/**
+ * Export queued spans to the OTLP collector
+ */
+async function flush() {
+  if (exportTimer) {
+    clearTimeout(exportTimer);
+    exportTimer = null;
+  }
+  if (pending.length === 0) return;
+
+  const spans = pending;
+  pending = [];
+
+  try {
+    await axios.post(tracesEndpoint, {
+      resourceSpans: [{
+        resource: { attributes: toOtlpAttributes({ 'service.name': serviceName }) },
+        scopeSpans: [{
+          scope: { name: 'api-gateway' },
+          spans: spans.map(span => span.toOtlp())
+        }]
+      }]
+    }, { timeout: 5000 });
+  } catch (error) {
+    // Tracing must never affect request handling; drop the batch
+    logger.warn(`Failed to export ${spans.length} spans: ${error.message}`);
+  }
+}
+
+module.exports = {
+  Span,
+  startSpan,
+  startServerSpan,
+  parseTraceparent,
+  flush,
+  enabled: Boolean(tracesEndpoint)
+};
@@ -0,0 +1,236 @@
+const { createCircuitBreaker, canResend } = require('./circuit-breaker');
+const RetryBudget = require('./retry-budget');
+const { matchPath } = require('./path-matcher');
+const { metrics } = require('../middleware/metrics.middleware');
+const { normalizeResilience } = require('../config/service-registry');
+
+// Close a failed streamed response that won't be passed on, freeing its socket
+const discardResponse = (err) => {
+  const response = err && err.response;
+  if (response && response.data && typeof response.data.destroy === 'function') {
+    response.data.destroy();
+    // The body stream may wrap the socket's, so end the request itself too
+    if (response.request && typeof response.request.destroy === 'function') {
+      response.request.destroy();
+    }
+  }
+};
+
+/**
+ * Upstream Pool
+ * Load balances requests for one route across its upstream instances.
+ * Every instance has its own circuit breaker, so a failing instance is
+ * ejected while the remaining instances keep serving the route. Retries and
+ * failovers of all instances are taken from one retry budget, and each
+ * request has a deadline from the route's resilience settings.
+ */
+class UpstreamPool {
+  /**
+   * @param {Object} route - Normalized route entry from the service registry
+   * @param {Object} logger - Logger instance
+   */
+  constructor(route, logger) {
+    this.route = route;
+    this.prefix = route.prefix;
+    this.strategy = route.loadBalancing || 'round-robin';
+    this.fallback = route.fallback || null;
+    this.resilience = route.resilience || normalizeResilience({}, {}, route.prefix);
+    this.retryBudget = new RetryBudget(this.resilience.retryBudget);
+    this.logger = logger;
+    this.cursor = 0;
+
+    this.instances = route.instances.map((instance, index) => {
+      const id = `${route.name}-${index}`;
+      return {
+        id,
+        url: instance.url,
+        weight: instance.weight,
+        currentWeight: 0,
+        outstanding: 0,
+        healthy: true, // Updated by the background health checker
+        breaker: createCircuitBreaker(`${route.prefix} (${instance.url})`, logger, {
+          service: route.name,
+          instance: id,
+          resilience: this.resilience,
+          retryBudget: this.retryBudget
+        })
+      };
+    });
+  }
+
+  /**
+   * Instances that pass health checks and whose circuit breaker is not open
+   */
+  getAvailableInstances(exclude = new Set()) {
+    return this.instances.filter(instance =>
+      instance.healthy && !instance.breaker.opened && !exclude.has(instance)
+    );
+  }
+
+  /**
+   * Choose an instance using the route's load balancing strategy
+   * @param {Set} [exclude] - Instances already tried for this request
+   * @returns {Object|null} Selected instance, or null when none are available
+   */
+  pick(exclude) {
+    const candidates = this.getAvailableInstances(exclude);
+    if (candidates.length === 0) return null;
+
+    if (this.strategy === 'weighted') {
+      return this.pickWeighted(candidates);
+    }
+
+    if (this.strategy === 'least-outstanding') {
+      const fewest = Math.min(...candidates.map(instance => instance.outstanding));
+      return this.pickRoundRobin(candidates.filter(instance => instance.outstanding === fewest));
+    }
+
+    return this.pickRoundRobin(candidates);
+  }
+
+  pickRoundRobin(candidates) {
+    const instance = candidates[this.cursor % candidates.length];
+    this.cursor = (this.cursor + 1) % Number.MAX_SAFE_INTEGER;
+    return instance;
+  }
+
+  // Smooth weighted round-robin, as used by nginx
+  pickWeighted(candidates) {
+    const totalWeight = candidates.reduce((sum, instance) => sum + instance.weight, 0);
+    let selected = candidates[0];
+
+    candidates.forEach(instance => {
+      instance.currentWeight += instance.weight;
+      if (instance.currentWeight > selected.currentWeight) {
+        selected = instance;
+      }
+    });
+
+    selected.currentWeight -= totalWeight;
+    return selected;
+  }
+
+  /**
+   * Timeouts, retries and fallback for a request: the route's resilience
+   * settings, overridden by the first rule matching the method and path
+   * @param {string} method - HTTP method
+   * @param {string} pathSuffix - Path (and query) after the route prefix
+   * @returns {Object} { timeout, deadline, retries, backoff, fallback }
+   */
+  getPolicy(method, pathSuffix) {
+    const subPath = pathSuffix.split('?')[0] || '/';
+    const rule = this.resilience.rules.find(candidate =>
+      (!candidate.methods || candidate.methods.includes(method)) &&
+      (!candidate.path || matchPath(candidate.path, subPath))
+    );
+    
+    const { timeout, deadline, retries, backoff, fallback } = { ...this.resilience, fallback: this.fallback, ...rule };
+    return { timeout, deadline, retries, backoff, fallback };
+  }
+
+  /**
+   * Send a request to the route, failing over to other instances when one
+   * is unavailable and using the route fallback when none can answer
+   * The request, failover included, must complete within its deadline.
+   * Streamed requests get no fallback: the last instance's error response is
+   * rejected with its body stream still open, to be passed on to the client
+   * @param {string} pathSuffix - Path (and query) after the route prefix
+   * @param {string} method - HTTP method
+   * @param {*} data - Request body
+   * @param {Object} [headers] - Headers to send upstream
+   * @param {Object} [options] - Request options ({ stream, idempotent })
+   * @returns {Promise<Object>} Axios response or fallback response
+   */
+  async fire(pathSuffix, method, data, headers, options = {}) {
+    const policy = this.getPolicy(method, pathSuffix);
+    const requestOptions = { ...options, policy, deadline: Date.now() + policy.deadline };
+    const tried = new Set();
+    let lastError = null;
+    
+    this.retryBudget.recordRequest();
+
+    for (let instance = this.pick(tried); instance; instance = this.pick(tried)) {
+      // Failing over sends the request again, so it must fit in the deadline and the retry budget
+      if (tried.size > 0 && !this.canFailOver(requestOptions.deadline)) {
+        break;
+      }
+      tried.add(instance);
+      instance.outstanding++;
+
+      try {
+        const response = await instance.breaker.fire(instance.url + pathSuffix, method, data, headers, requestOptions);
+        discardResponse(lastError);
+        return response;
+      } catch (err) {
+        // Client errors are the caller's answer, not an instance failure
+        if (err.response && err.response.status < 500) {
+          discardResponse(lastError);
+          throw err;
+        }
+        discardResponse(lastError);
+        lastError = err;
+        this.logger.warn(`Instance ${instance.url} of ${this.prefix} failed: ${err.message}`);
+        
+        // A streamed request body has already been consumed and cannot be sent again
+        if (data && typeof data.pipe === 'function') {
+          break;
+        }
+        
+        // Another instance must not repeat a write the failed one may have applied
+        if (!canResend(method, err, options)) {
+          break;
+        }
+      } finally {
+        instance.outstanding--;
+      }
+    }
+
+    if (policy.fallback && !options.stream) {
+      discardResponse(lastError);
+      metrics.upstreamFallbacks.inc({ service: this.route.name });
+      this.logger.warn(`Fallback triggered for ${this.prefix}`);
+      return {
+        status: policy.fallback.status || 503,
+        data: policy.fallback.body
+      };
+    }
+
+    if (lastError) {
+      throw lastError;
+    }
+
+    const error = new Error(`No available instances for ${this.prefix}`);
+    error.type = 'open';
+    throw error;
+  }
+
+  // Whether a failed request may be sent to another instance
+  canFailOver(deadline) {
+    if (Date.now() >= deadline) {
+      this.logger.warn(`No failover for ${this.prefix}: the request deadline has passed`);
+      return false;
+    }
+    if (!this.retryBudget.tryRetry()) {
+      metrics.retryBudgetExhausted.inc({ service: this.route.name });
+      this.logger.warn(`No failover for ${this.prefix}: retry budget exhausted`);
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Current state of each instance, for health and config endpoints
+   */
+  get status() {
+    return this.instances.map(instance => ({
+      id: instance.id,
+      url: instance.url,
+      weight: instance.weight,
+      outstanding: instance.outstanding,
+      healthy: instance.healthy,
+      state: instance.breaker.opened ? 'open' : instance.breaker.halfOpen ? 'half-open' : 'closed'
+    }));
+  }
+}
+
+module.exports = UpstreamPool;
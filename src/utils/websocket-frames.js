@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+
+/**
+ * WebSocket frames (RFC 6455 section 5.2)
+ * The gateway relays WebSocket bytes without decoding them, but it needs to
+ * know where frames end to send a close frame of its own on shutdown
+ * without cutting into a frame being relayed.
+ */
+
+// Longest frame header: 2 bytes, 8 bytes of extended length and a 4 byte mask
+const MAX_HEADER_LENGTH = 14;
+
+// Close codes (RFC 6455 section 7.4.1)
+const CLOSE_CODES = {
+  goingAway: 1001
+};
+
+// Header and payload length of a frame, or null while the header is incomplete
+function readHeader(header) {
+  if (header.length < 2) return null;
+
+  const length = header[1] & 0x7f;
+  const extendedLength = length === 126 ? 2 : length === 127 ? 8 : 0;
+  const headerLength = 2 + extendedLength + (header[1] & 0x80 ? 4 : 0);
+  if (header.length < headerLength) return null;
+
+  let payloadLength = length;
+  if (extendedLength === 2) {
+    payloadLength = header.readUInt16BE(2);
+  } else if (extendedLength === 8) {
+    payloadLength = Number(header.readBigUInt64BE(2));
+  }
+  return { headerLength, payloadLength };
+}
+
+/**
+ * Follows the frames of one direction of a WebSocket connection
+ */
+class FrameTracker {
+  constructor() {
+    // Header bytes of a frame split across chunks
+    this.header = Buffer.alloc(0);
+    // Payload bytes of the current frame still to come
+    this.remaining = 0;
+  }
+
+  /**
+   * Whether every frame seen so far is complete
+   */
+  get atBoundary() {
+    return this.remaining === 0 && this.header.length === 0;
+  }
+
+  /**
+   * Account for a chunk of relayed bytes
+   * @param {Buffer} chunk
+   */
+  update(chunk) {
+    let offset = 0;
+    while (offset < chunk.length) {
+      if (this.remaining > 0) {
+        const skipped = Math.min(this.remaining, chunk.length - offset);
+        this.remaining -= skipped;
+        offset += skipped;
+        continue;
+      }
+
+      // 14 bytes always hold a complete header, so an incomplete one ends the chunk
+      const taken = Math.min(MAX_HEADER_LENGTH - this.header.length, chunk.length - offset);
+      const header = Buffer.concat([this.header, chunk.subarray(offset, offset + taken)]);
+      const frame = readHeader(header);
+      if (!frame) {
+        this.header = header;
+        offset += taken;
+        continue;
+      }
+
+      offset += frame.headerLength - this.header.length;
+      this.header = Buffer.alloc(0);
+      this.remaining = frame.payloadLength;
+    }
+  }
+}
+
+/**
+ * Build a close frame
+ * @param {number} code - Close code
+ * @param {Object} [options]
+ * @param {boolean} [options.masked] - Mask the payload, as required for frames sent to a server
+ * @returns {Buffer}
+ */
+function createCloseFrame(code, { masked = false } = {}) {
+  const payload = Buffer.alloc(2);
+  payload.writeUInt16BE(code);
+
+  if (!masked) {
+    return Buffer.concat([Buffer.from([0x88, payload.length]), payload]);
+  }
+
+  const mask = crypto.randomBytes(4);
+  const maskedPayload = payload.map((byte, index) => byte ^ mask[index % 4]);
+  return Buffer.concat([Buffer.from([0x88, 0x80 | payload.length]), mask, maskedPayload]);
+}
+
+module.exports = { FrameTracker, createCloseFrame, CLOSE_CODES };
@@ -0,0 +1,190 @@
+process.env.NODE_ENV = 'test';
+process.env.LOG_TRANSPORTS = 'none';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const serviceRegistry = require('../src/config/service-registry');
+const ProxyController = require('../src/controllers/proxy.controller');
+const AggregationController = require('../src/controllers/aggregation.controller');
+const initAggregationRoutes = require('../src/routes/aggregation.routes');
+const errorMiddleware = require('../src/middleware/error.middleware');
+const { register } = require('../src/middleware/metrics.middleware');
+
+// Redis cache backed by a Map
+function createCache() {
+  const store = new Map();
+  return {
+    store,
+    connected: true,
+    available: true,
+    get: jest.fn(async (key) => (store.has(key) ? JSON.parse(store.get(key)) : null)),
+    set: jest.fn(async (key, value) => store.set(key, JSON.stringify(value))),
+    tagKeys: jest.fn(async () => 0)
+  };
+}
+
+const moviePage = serviceRegistry.aggregations.find(aggregation => aggregation.name === 'movie-page');
+
+function createApp(pools, cache = createCache(), aggregation = moviePage) {
+  const controller = new AggregationController(new ProxyController(pools, cache));
+  const app = express();
+  app.get(aggregation.path, (req, res) => {
+    req.aggregation = aggregation;
+    if (req.headers['x-test-user']) {
+      req.user = { id: req.headers['x-test-user'] };
+    }
+    if (req.headers['x-test-scope']) {
+      req.apiKey = { id: 'k1', name: 'partner', scopes: [{ methods: ['GET'], path: req.headers['x-test-scope'] }] };
+    }
+    controller.aggregate(req, res);
+  });
+  return app;
+}
+
+const ok = (data) => ({ status: 200, headers: { 'content-type': 'application/json' }, data });
+
+function createPools() {
+  return {
+    '/api/review': {
+      fire: jest.fn(async () => ok({ reviews: [{ id: 'r1', userId: 'u1' }, { id: 'r2', userId: 'u2' }, { id: 'r3', userId: 'u1' }] }))
+    },
+    '/api/watchlist': { fire: jest.fn(async () => ok({ watchlist: [{ movieId: '1' }] })) },
+    '/api/user': { fire: jest.fn(async (pathSuffix) => ok({ id: pathSuffix.slice(1) })) }
+  };
+}
+
+describe('AggregationController', () => {
+  test('merges sections and caches each sub-call under the direct call key', async () => {
+    const pools = createPools();
+    const cache = createCache();
+    const app = createApp(pools, cache);
+
+    const res = await request(app).get('/api/pages/movie/1').set('X-Test-User', 'u9');
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['x-aggregation-partial']).toBeUndefined();
+    expect(res.body.watchlist).toEqual({ watchlist: [{ movieId: '1' }] });
+    expect(res.body.reviewers).toEqual({ u1: { id: 'u1' }, u2: { id: 'u2' } });
+    expect(pools['/api/review'].fire).toHaveBeenCalledWith('/movie/1', 'GET', undefined, expect.any(Object), {});
+    expect(cache.store.has('cache:u9:/api/review/movie/1')).toBe(true);
+
+    await request(app).get('/api/pages/movie/1').set('X-Test-User', 'u9');
+    expect(pools['/api/review'].fire).toHaveBeenCalledTimes(1);
+    expect(pools['/api/user'].fire).toHaveBeenCalledTimes(2);
+  });
+
+  test('omits sections the anonymous caller may not see', async () => {
+    const pools = createPools();
+    const res = await request(createApp(pools)).get('/api/pages/movie/1');
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).not.toHaveProperty('watchlist');
+    expect(res.headers['x-aggregation-partial']).toBe('watchlist');
+    expect(pools['/api/watchlist'].fire).not.toHaveBeenCalled();
+  });
+
+  test('omits sections outside the scopes of the caller\'s API key', async () => {
+    const pools = createPools();
+    const res = await request(createApp(pools)).get('/api/pages/movie/1').set('X-Test-Scope', '/api/review/*');
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.reviews).toBeDefined();
+    expect(res.headers['x-aggregation-partial']).toBe('watchlist, reviewers');
+    expect(pools['/api/watchlist'].fire).not.toHaveBeenCalled();
+    expect(pools['/api/user'].fire).not.toHaveBeenCalled();
+  });
+
+  test('uses the route fallback and omits failed items following the section policy', async () => {
+    const pools = createPools();
+    const reviewFallback = serviceRegistry.getRouteByName('review').fallback;
+    pools['/api/review'].fire.mockResolvedValueOnce({ status: 503, data: reviewFallback.body });
+
+    const fallback = await request(createApp(pools)).get('/api/pages/movie/1').set('X-Test-User', 'u9');
+    expect(fallback.statusCode).toBe(200);
+    expect(fallback.body.reviews).toEqual(reviewFallback.body);
+    expect(fallback.body.reviewers).toEqual({});
+    expect(fallback.headers['x-aggregation-partial']).toBe('reviews');
+
+    pools['/api/user'].fire.mockImplementation(async (pathSuffix) => {
+      if (pathSuffix === '/u2') {
+        throw Object.assign(new Error('Not found'), { response: { status: 404, data: { error: 'Not found' } } });
+      }
+      return ok({ id: pathSuffix.slice(1) });
+    });
+    const omitted = await request(createApp(pools)).get('/api/pages/movie/2').set('X-Test-User', 'u9');
+    expect(omitted.body.reviewers).toEqual({ u1: { id: 'u1' } });
+    expect(omitted.headers['x-aggregation-partial']).toBe('reviewers');
+  });
+
+  test('does not call upstreams with ids that are not plain identifiers', async () => {
+    const pools = createPools();
+    pools['/api/review'].fire.mockResolvedValue(ok({ reviews: [{ id: 'r1', userId: 'u1' }, { id: 'r2', userId: '..' }] }));
+    const app = createApp(pools);
+
+    const res = await request(app).get('/api/pages/movie/1').set('X-Test-User', 'u9');
+    expect(res.statusCode).toBe(200);
+    expect(res.body.reviewers).toEqual({ u1: { id: 'u1' } });
+    expect(res.headers['x-aggregation-partial']).toBe('reviewers');
+    expect(pools['/api/user'].fire).toHaveBeenCalledTimes(1);
+
+    const movie = await request(app).get('/api/pages/movie/%2e%2e').set('X-Test-User', 'u9');
+    expect(movie.body.reviews).toEqual(serviceRegistry.getRouteByName('review').fallback.body);
+    expect(pools['/api/review'].fire).toHaveBeenCalledTimes(1);
+  });
+
+  test('fails the whole response when a fail section fails', async () => {
+    const strict = {
+      name: 'strict-page',
+      path: '/api/pages/strict/:movieId',
+      sections: [{ name: 'reviews', service: 'review', path: '/movie/{movieId}', onError: 'fail', forEach: null }]
+    };
+    const pools = createPools();
+    pools['/api/review'].fire
+      .mockRejectedValueOnce(Object.assign(new Error('Timed out'), { type: 'timeout' }))
+      .mockRejectedValueOnce(Object.assign(new Error('Not found'), { response: { status: 404, data: { error: 'Unknown movie' } } }));
+    const app = createApp(pools, createCache(), strict);
+
+    const timeout = await request(app).get('/api/pages/strict/1');
+    expect(timeout.statusCode).toBe(504);
+    expect(timeout.body.error).toBe('Section reviews is unavailable');
+
+    const notFound = await request(app).get('/api/pages/strict/2');
+    expect(notFound.statusCode).toBe(404);
+    expect(notFound.body).toEqual({ error: 'Unknown movie' });
+
+    const sections = await register.getSingleMetric('api_gateway_aggregation_sections_total').get();
+    expect(sections.values.find(value =>
+      value.labels.aggregation === 'strict-page' && value.labels.outcome === 'failed'
+    ).value).toBe(2);
+  });
+
+  test('passes unexpected errors to the error middleware', async () => {
+    const proxyController = { fetchAsCaller: jest.fn(async () => { throw new TypeError('Cannot read properties of undefined'); }) };
+    const app = express();
+    app.use(initAggregationRoutes(new AggregationController(proxyController)));
+    app.use(errorMiddleware);
+
+    const res = await request(app).get('/api/pages/movie/1');
+    expect(res.statusCode).toBe(500);
+    expect(res.body.error.message).toBe('Cannot read properties of undefined');
+  });
+
+  test('rejects aggregations that reference unknown services or later sections', () => {
+    const file = path.join(os.tmpdir(), `routes-${process.pid}.json`);
+    const routes = [{ name: 'review', prefix: '/api/review', upstream: 'http://localhost:3002' }];
+    const load = (sections) => {
+      fs.writeFileSync(file, JSON.stringify({ routes, aggregations: [{ path: '/api/pages/test', sections }] }));
+      return () => serviceRegistry.loadRoutes(file);
+    };
+
+    try {
+      expect(load([{ name: 'a', service: 'user', path: '/' }])).toThrow("unknown service 'user'");
+      expect(load([{ name: 'a', service: 'review', path: '/', onError: 'fallback' }])).toThrow('declares no fallback');
+      expect(load([{ name: 'a', service: 'review', path: '/', forEach: { section: 'b' } }])).toThrow('earlier section');
+    } finally {
+      fs.unlinkSync(file);
+    }
+  });
+});
@@ -1,16 +1,8 @@
 // Set NODE_ENV to 'test' before importing any modules
 process.env.NODE_ENV = 'test';
 
-// Mock express-jwt
-jest.mock('express-jwt', () => ({
-  expressjwt: () => {
-    const mw = (req, res, next) => next();
-    mw.unless = () => mw;
-    return mw;
-  }
-}));
-
 const request = require('supertest');
+const jwt = require('jsonwebtoken');
 const createApp = require('../src/app');
 
 // Create a test app instance
@@ -21,11 +13,23 @@ jest.mock('../src/utils/redis-cache', () => {
   return jest.fn().mockImplementation(() => ({
     connect: jest.fn().mockResolvedValue(),
     connected: true,
+    available: true,
     get: jest.fn().mockResolvedValue(null),
     set: jest.fn().mockResolvedValue('OK'),
     del: jest.fn().mockResolvedValue(1),
     close: jest.fn().mockResolvedValue(),
-    invalidateByPattern: jest.fn().mockResolvedValue(0)
+    invalidateByPattern: jest.fn().mockResolvedValue(0),
+    tagKeys: jest.fn().mockResolvedValue(0),
+    invalidateTags: jest.fn().mockResolvedValue(0),
+    addToSet: jest.fn().mockResolvedValue(1),
+    getSetMembers: jest.fn().mockResolvedValue([]),
+    removeFromSet: jest.fn().mockResolvedValue(1),
+    scanKeys: jest.fn().mockResolvedValue({ keys: ['cache:/api/review/movie/1'], cursor: '0' }),
+    countTagged: jest.fn().mockResolvedValue(3),
+    invalidateUserCache: jest.fn().mockResolvedValue(2),
+    flush: jest.fn().mockResolvedValue(4),
+    tagKey: jest.fn(tag => `tags:${tag}`),
+    local: null
   }));
 });
 
@@ -62,4 +66,157 @@ describe('API Gateway', () => {
     expect(res.statusCode).toBe(404);
     expect(res.body).toHaveProperty('error', 'Service not found');
   });
+
+  test('GET /health/config should list services from the route table', async () => {
+    const res = await request(server).get('/health/config');
+    expect(res.statusCode).toBe(200);
+    expect(Object.keys(res.body.services)).toEqual(['/api/user', '/api/review', '/api/watchlist']);
+  });
+
+  test('GET on a required-auth route without a token should return 401', async () => {
+    const res = await request(server).get('/api/watchlist/mine');
+    expect(res.statusCode).toBe(401);
+    expect(res.body).toHaveProperty('error', 'Authentication required');
+  });
+
+  test('DELETE on a role-restricted review path without a token should return 401', async () => {
+    const res = await request(server).delete('/api/review/123');
+    expect(res.statusCode).toBe(401);
+  });
+
+  test('auth rules should apply whatever the case and slashes of the path', async () => {
+    const mixedCase = await request(server).delete('/API/REVIEW/123');
+    expect(mixedCase.statusCode).toBe(401);
+
+    const required = await request(server).get('/Api/Watchlist/mine');
+    expect(required.statusCode).toBe(401);
+
+    const doubleSlash = await request(server).delete('/api/review//123');
+    expect(doubleSlash.statusCode).toBe(401);
+
+    const leadingSlashes = await request(server).get('//api///watchlist/mine');
+    expect(leadingSlashes.statusCode).toBe(401);
+  });
+
+  test('auth rules should apply to paths with dot segments', async () => {
+    const dotDot = await request(server).delete('/api/review/test/../123');
+    expect(dotDot.statusCode).toBe(401);
+
+    const encoded = await request(server).delete('/api/review/test/%2e%2E/123');
+    expect(encoded.statusCode).toBe(401);
+
+    const required = await request(server).get('/api/watchlist/test/./../mine');
+    expect(required.statusCode).toBe(401);
+  });
+
+  test('public paths should only cover whole path segments', async () => {
+    const res = await request(server).get('/api/watchlist/testimonials');
+    expect(res.statusCode).toBe(401);
+  });
+
+  test('POST /admin/tokens/revoke should require the admin role', async () => {
+    const userToken = jwt.sign({ id: 'user-1', roles: ['user'] }, 'your-secret-key');
+    const res = await request(server)
+      .post('/admin/tokens/revoke')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ userId: 'user-1' });
+    expect(res.statusCode).toBe(403);
+  });
+
+  test('revoked tokens should be rejected on required-auth routes', async () => {
+    const adminToken = jwt.sign({ id: 'admin-1', roles: ['admin'] }, 'your-secret-key');
+    const userToken = jwt.sign({ id: 'user-2', jti: 'token-2' }, 'your-secret-key');
+
+    const revoke = await request(server)
+      .post('/admin/tokens/revoke')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ jti: 'token-2', exp: Math.floor(Date.now() / 1000) + 60 });
+    expect(revoke.statusCode).toBe(200);
+
+    const res = await request(server)
+      .get('/api/watchlist/mine')
+      .set('Authorization', `Bearer ${userToken}`);
+    expect(res.statusCode).toBe(401);
+    expect(res.body).toHaveProperty('error', 'Token revoked');
+  });
+
+  test('API keys should be created by admins and limited to their scopes', async () => {
+    const adminToken = jwt.sign({ id: 'admin-1', roles: ['admin'] }, 'your-secret-key');
+
+    const created = await request(server)
+      .post('/admin/api-keys')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'partner', scopes: [{ methods: ['GET'], path: '/api/review/*' }] });
+    expect(created.statusCode).toBe(201);
+    expect(created.body).toHaveProperty('key');
+    expect(created.body).not.toHaveProperty('hash');
+
+    const outOfScope = await request(server)
+      .get('/api/watchlist/mine')
+      .set('X-API-Key', created.body.key);
+    expect(outOfScope.statusCode).toBe(403);
+
+    const unknown = await request(server)
+      .get('/api/review/movie/1')
+      .set('X-API-Key', 'cr_unknown');
+    expect(unknown.statusCode).toBe(401);
+
+    const revoked = await request(server)
+      .delete(`/admin/api-keys/${created.body.id}`)
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(revoked.statusCode).toBe(200);
+    expect(revoked.body.revokedAt).toBeTruthy();
+  });
+
+  test('admins should inspect and purge the response cache', async () => {
+    const adminToken = jwt.sign({ id: 'admin-1', roles: ['admin'] }, 'your-secret-key');
+    const admin = (req) => req.set('Authorization', `Bearer ${adminToken}`);
+
+    const missing = await admin(request(server).get('/admin/cache/entry?url=/api/review/movie/1&userId=42'));
+    expect(missing.statusCode).toBe(404);
+    expect(missing.body.key).toBe('42:/api/review/movie/1');
+
+    const keys = await admin(request(server).get('/admin/cache/keys?prefix=/api/review/&count=50'));
+    expect(keys.body).toEqual({ keys: ['/api/review/movie/1'], cursor: '0' });
+    expect(app.redisCache.scanKeys).toHaveBeenCalledWith('cache:/api/review/*', '0', 50);
+
+    const purged = await admin(request(server).post('/admin/cache/purge'))
+      .send({ keys: ['/api/review/movie/1'], services: ['review'], users: ['42'] });
+    expect(purged.statusCode).toBe(200);
+    expect(app.redisCache.invalidateTags).toHaveBeenCalledWith(['service:review']);
+    expect(app.redisCache.del).toHaveBeenCalledWith('cache:/api/review/movie/1');
+    expect(app.redisCache.invalidateUserCache).toHaveBeenCalledWith('42');
+
+    const unknownService = await admin(request(server).post('/admin/cache/purge')).send({ services: ['billing'] });
+    expect(unknownService.statusCode).toBe(400);
+
+    const flushed = await admin(request(server).delete('/admin/cache'));
+    expect(flushed.statusCode).toBe(200);
+    expect(app.redisCache.flush).toHaveBeenCalledWith('cache:');
+    expect(app.redisCache.flush).toHaveBeenCalledWith('tags:');
+
+    const stats = await admin(request(server).get('/admin/cache/stats'));
+    expect(stats.body.services.review).toMatchObject({ hits: 0, misses: 0, keys: 3 });
+
+    const forbidden = await request(server).get('/admin/cache/stats')
+      .set('Authorization', `Bearer ${jwt.sign({ id: 'user-1' }, 'your-secret-key')}`);
+    expect(forbidden.statusCode).toBe(403);
+  });
+
+  test('requests should carry an X-Request-Id and continue the caller trace', async () => {
+    const traceparent = '00-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-01';
+    const res = await request(server)
+      .get('/api/unknown')
+      .set('X-Request-Id', 'client-req-1')
+      .set('traceparent', traceparent);
+
+    expect(res.headers['x-request-id']).toBe('client-req-1');
+    expect(res.headers.traceparent).toMatch(/^00-0af7651916cd43dd8448eb211c80319c-[0-9a-f]{16}-01$/);
+    expect(res.body).toHaveProperty('requestId', 'client-req-1');
+    expect(res.body).toHaveProperty('traceId', '0af7651916cd43dd8448eb211c80319c');
+
+    const generated = await request(server).get('/health');
+    expect(generated.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+  });
 });
+
@@ -0,0 +1,67 @@
+process.env.NODE_ENV = 'test';
+
+const CacheInvalidationSubscriber = require('../src/utils/cache-invalidation');
+const { register } = require('../src/middleware/metrics.middleware');
+
+const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+function createSubscriber() {
+  const redisCache = {
+    subscribe: jest.fn(async () => true),
+    unsubscribe: jest.fn(async () => {}),
+    invalidateTags: jest.fn(async (tags) => tags.length),
+    del: jest.fn(async () => 1),
+    invalidateByPattern: jest.fn(async () => 2)
+  };
+  return { redisCache, subscriber: new CacheInvalidationSubscriber(redisCache, logger, 'purge', ['rating-batch']) };
+}
+
+describe('CacheInvalidationSubscriber', () => {
+  test('subscribes to the channel and applies tags, keys and prefixes', async () => {
+    const { redisCache, subscriber } = createSubscriber();
+    await subscriber.start();
+    expect(redisCache.subscribe).toHaveBeenCalledWith('purge', expect.any(Function));
+
+    const listener = redisCache.subscribe.mock.calls[0][1];
+    await listener(JSON.stringify({
+      tags: ['movie:123'],
+      keys: ['/api/review/movie/123'],
+      prefixes: ['/api/review/top*'],
+      source: 'rating-batch',
+      publishedAt: Date.now() - 250
+    }));
+
+    expect(redisCache.invalidateTags).toHaveBeenCalledWith(['movie:123'], { broadcast: false });
+    expect(redisCache.del).toHaveBeenCalledWith('cache:/api/review/movie/123', { broadcast: false });
+    expect(redisCache.invalidateByPattern).toHaveBeenCalledWith('cache:/api/review/top\\**', { broadcast: false });
+
+    const lag = await register.getSingleMetric('api_gateway_cache_invalidation_lag_seconds').get();
+    const count = lag.values.find(value => value.metricName.endsWith('_count') && value.labels.source === 'rating-batch');
+    expect(count.value).toBe(1);
+  });
+
+  test('labels metrics with unlisted sources as other', async () => {
+    const { redisCache, subscriber } = createSubscriber();
+
+    await subscriber.handleMessage(JSON.stringify({ tags: ['movie:1'], source: 'made-up-1' }));
+    await subscriber.handleMessage(JSON.stringify({ tags: ['movie:2'], source: 'made-up-2' }));
+    expect(redisCache.invalidateTags).toHaveBeenCalledTimes(2);
+
+    const events = await register.getSingleMetric('api_gateway_cache_invalidation_events_total').get();
+    const sources = events.values.map(value => value.labels.source);
+    expect(sources).toContain('other');
+    expect(sources).not.toContain('made-up-1');
+    expect(sources).not.toContain('made-up-2');
+  });
+
+  test('ignores malformed events', async () => {
+    const { redisCache, subscriber } = createSubscriber();
+
+    await subscriber.handleMessage('not json');
+    await subscriber.handleMessage(JSON.stringify({ tags: 'movie:1' }));
+    await subscriber.handleMessage(JSON.stringify({ source: 'empty' }));
+
+    expect(redisCache.invalidateTags).not.toHaveBeenCalled();
+    expect(logger.warn).toHaveBeenCalledTimes(3);
+  });
+});
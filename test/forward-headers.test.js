@@ -0,0 +1,72 @@
+const { buildForwardHeaders, filterResponseHeaders } = require('../src/utils/forward-headers');
+
+describe('buildForwardHeaders', () => {
+  const req = {
+    ip: '10.0.0.7',
+    protocol: 'https',
+    headers: {
+      host: 'gateway.cinerate.local',
+      authorization: 'Bearer abc',
+      'accept-language': 'fr',
+      connection: 'keep-alive',
+      'x-internal-debug': '1',
+      'x-user-id': 'spoofed',
+      'x-forwarded-for': '203.0.113.5'
+    }
+  };
+
+  test('applies the allow/deny policy and adds proxy headers', () => {
+    const headers = buildForwardHeaders(req, { allow: ['authorization', 'accept-language', 'x-user-id'], deny: [] });
+
+    expect(headers).toEqual({
+      authorization: 'Bearer abc',
+      'accept-language': 'fr',
+      'x-forwarded-for': '203.0.113.5, 10.0.0.7',
+      'x-forwarded-proto': 'https',
+      'x-forwarded-host': 'gateway.cinerate.local'
+    });
+  });
+
+  test('injects identity headers from the verified user', () => {
+    const headers = buildForwardHeaders({ ...req, user: { id: 42, roles: ['user', 'admin'] } }, { deny: ['x-internal-debug'] });
+
+    expect(headers['x-user-id']).toBe('42');
+    expect(headers['x-user-roles']).toBe('user,admin');
+    expect(headers).not.toHaveProperty('x-internal-debug');
+    expect(headers).not.toHaveProperty('connection');
+  });
+
+  test('replaces client correlation headers with the gateway request id and span', () => {
+    const headers = buildForwardHeaders({
+      ...req,
+      headers: { ...req.headers, 'x-request-id': 'client-id', traceparent: 'spoofed' },
+      requestId: 'req-1',
+      span: { traceparent: '00-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-01' }
+    }, { deny: [] });
+
+    expect(headers['x-request-id']).toBe('req-1');
+    expect(headers.traceparent).toBe('00-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-01');
+  });
+
+  test('keeps the body headers of streamed requests', () => {
+    const upload = { ...req, headers: { ...req.headers, 'content-type': 'application/octet-stream', 'content-length': '1048576' } };
+
+    expect(buildForwardHeaders(upload, { deny: [] })).not.toHaveProperty('content-length');
+
+    const headers = buildForwardHeaders(upload, { deny: [] }, { stream: true });
+    expect(headers['content-type']).toBe('application/octet-stream');
+    expect(headers['content-length']).toBe('1048576');
+  });
+});
+
+describe('filterResponseHeaders', () => {
+  test('drops hop-by-hop headers but keeps the response framing', () => {
+    expect(filterResponseHeaders({
+      'content-type': 'video/mp4',
+      'content-length': '2048',
+      connection: 'keep-alive',
+      'transfer-encoding': 'chunked',
+      etag: '"v1"'
+    })).toEqual({ 'content-type': 'video/mp4', 'content-length': '2048', etag: '"v1"' });
+  });
+});
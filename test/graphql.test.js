@@ -0,0 +1,150 @@
+process.env.NODE_ENV = 'test';
+process.env.LOG_TRANSPORTS = 'none';
+
+const express = require('express');
+const request = require('supertest');
+const ProxyController = require('../src/controllers/proxy.controller');
+const GraphqlController = require('../src/controllers/graphql.controller');
+
+// Redis cache backed by a Map
+function createCache() {
+  const store = new Map();
+  return {
+    store,
+    connected: true,
+    available: true,
+    get: jest.fn(async (key) => (store.has(key) ? JSON.parse(store.get(key)) : null)),
+    set: jest.fn(async (key, value) => store.set(key, JSON.stringify(value))),
+    tagKeys: jest.fn(async () => 0)
+  };
+}
+
+function createApp(pools, limits) {
+  const controller = new GraphqlController(new ProxyController(pools, createCache()), limits);
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    if (req.headers['x-test-user']) {
+      req.user = { id: req.headers['x-test-user'] };
+    }
+    next();
+  });
+  app.post('/graphql', (req, res) => controller.handle(req, res));
+  app.get('/graphql', (req, res) => controller.handle(req, res));
+  return app;
+}
+
+const ok = (data) => ({ status: 200, headers: { 'content-type': 'application/json' }, data });
+
+function createPools() {
+  return {
+    '/api/review': {
+      fire: jest.fn(async () => ok({
+        reviews: [{ id: 'r1', userId: 'u1', rating: 4 }, { id: 'r2', userId: 'u2', rating: 5 }, { id: 'r3', userId: 'u1', rating: 3 }]
+      }))
+    },
+    '/api/user': {
+      fire: jest.fn(async (pathSuffix) => ok(pathSuffix === '/profile' ? { id: 'u9', name: 'Me' } : { id: pathSuffix.slice(1), name: `User ${pathSuffix.slice(1)}` }))
+    },
+    '/api/watchlist': { fire: jest.fn(async () => ok({ watchlist: [{ id: 'w1', movieId: '1' }] })) }
+  };
+}
+
+const notFound = () => Object.assign(new Error('Not found'), { response: { status: 404, data: { error: 'Not found' } } });
+
+describe('GraphqlController', () => {
+  test('resolves nested fields with one upstream call per distinct path', async () => {
+    const pools = createPools();
+    const res = await request(createApp(pools))
+      .post('/graphql')
+      .send({ query: '{ movie(id: "1") { reviews { rating user { name } } } }' });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.movie.reviews).toEqual([
+      { rating: 4, user: { name: 'User u1' } },
+      { rating: 5, user: { name: 'User u2' } },
+      { rating: 3, user: { name: 'User u1' } }
+    ]);
+    expect(pools['/api/review'].fire).toHaveBeenCalledTimes(1);
+    expect(pools['/api/user'].fire).toHaveBeenCalledTimes(2);
+  });
+
+  test('passes the caller identity to resolvers and upstreams', async () => {
+    const pools = createPools();
+    const app = createApp(pools);
+    const query = 'query { me { name } myWatchlist { movieId } }';
+
+    const anonymous = await request(app).get('/graphql').query({ query });
+    expect(anonymous.body.data).toBeNull();
+    expect(anonymous.body.errors[0].extensions.code).toBe('UNAUTHENTICATED');
+
+    const res = await request(app).get('/graphql').query({ query }).set('X-Test-User', 'u9');
+    expect(res.body.data).toEqual({ me: { name: 'Me' }, myWatchlist: [{ movieId: '1' }] });
+    expect(pools['/api/watchlist'].fire).toHaveBeenCalledWith('/mine', 'GET', undefined, expect.objectContaining({ 'x-user-id': 'u9' }), {});
+  });
+
+  test('reports upstream failures per field and resolves missing resources to null', async () => {
+    const pools = createPools();
+    pools['/api/review'].fire.mockResolvedValue({ status: 503, data: { reviews: [], fallback: true } });
+    pools['/api/user'].fire.mockRejectedValue(notFound());
+
+    const res = await request(createApp(pools))
+      .post('/graphql')
+      .send({ query: 'query Page($id: ID!) { user(id: "u404") { name } movie(id: $id) { reviews { rating } } }', variables: { id: '1' } });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data).toEqual({ user: null, movie: null });
+    expect(res.body.errors).toHaveLength(1);
+    expect(res.body.errors[0].extensions).toMatchObject({ code: 'SERVICE_UNAVAILABLE', service: 'review' });
+  });
+
+  test('rejects ids that are not plain identifiers before calling upstreams', async () => {
+    const pools = createPools();
+    pools['/api/review'].fire.mockResolvedValue(ok({ reviews: [{ id: 'r1', userId: '..', rating: 4 }] }));
+
+    const res = await request(createApp(pools))
+      .post('/graphql')
+      .send({ query: '{ user(id: "..") { name } review(id: "%2e%2e") { id } movie(id: "1") { reviews { rating user { name } } } }' });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data).toEqual({ user: null, review: null, movie: { reviews: [{ rating: 4, user: null }] } });
+    expect(res.body.errors.map(error => error.extensions.code)).toEqual(['BAD_USER_INPUT', 'BAD_USER_INPUT', 'BAD_USER_INPUT']);
+    expect(pools['/api/user'].fire).not.toHaveBeenCalled();
+    expect(pools['/api/review'].fire).toHaveBeenCalledTimes(1);
+  });
+
+  test('rejects queries over the depth and complexity limits before calling upstreams', async () => {
+    const pools = createPools();
+    const deep = await request(createApp(pools, { maxDepth: 3 }))
+      .post('/graphql')
+      .send({ query: '{ movie(id: "1") { reviews { user { reviews { rating } } } } }' });
+    expect(deep.statusCode).toBe(400);
+    expect(deep.body.errors[0].extensions.code).toBe('QUERY_TOO_DEEP');
+
+    const complex = await request(createApp(pools, { maxComplexity: 20 }))
+      .post('/graphql')
+      .send({ query: 'fragment R on Review { rating user { name } } { movie(id: "1") { reviews { ...R } } }' });
+    expect(complex.statusCode).toBe(400);
+    expect(complex.body.errors[0].extensions.code).toBe('QUERY_TOO_COMPLEX');
+
+    const invalid = await request(createApp(pools)).post('/graphql').send({ query: '{ movie { id }' });
+    expect(invalid.statusCode).toBe(400);
+    expect(pools['/api/review'].fire).not.toHaveBeenCalled();
+  });
+
+  test('bounds list sizes and upstream calls while the query runs', async () => {
+    const pools = createPools();
+    const query = '{ movie(id: "1") { reviews { rating user { name } } } }';
+
+    const truncated = await request(createApp(pools, { maxListSize: 2 })).post('/graphql').send({ query });
+    expect(truncated.body.data.movie.reviews.map(review => review.rating)).toEqual([4, 5]);
+
+    pools['/api/user'].fire.mockClear();
+    const limited = await request(createApp(pools, { maxUpstreamCalls: 2 })).post('/graphql').send({ query });
+    expect(limited.statusCode).toBe(200);
+    expect(limited.body.data.movie.reviews[0].user).toEqual({ name: 'User u1' });
+    expect(limited.body.data.movie.reviews[1].user).toBeNull();
+    expect(limited.body.errors[0].extensions.code).toBe('TOO_MANY_UPSTREAM_CALLS');
+    expect(pools['/api/user'].fire).toHaveBeenCalledTimes(1);
+  });
+});
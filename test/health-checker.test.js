@@ -0,0 +1,46 @@
+process.env.NODE_ENV = 'test';
+
+jest.mock('axios');
+
+const axios = require('axios');
+const HealthChecker = require('../src/utils/health-checker');
+
+const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+// A pool with a single instance and the given thresholds
+function createPools() {
+  const instance = { id: 'review-0', url: 'http://review:3002', healthy: true };
+  return {
+    '/api/review': {
+      prefix: '/api/review',
+      route: {
+        name: 'review',
+        healthCheck: { enabled: true, path: '/health', interval: 1000, timeout: 100, healthyThreshold: 2, unhealthyThreshold: 2 }
+      },
+      instances: [instance]
+    }
+  };
+}
+
+describe('HealthChecker', () => {
+  test('marks an instance DOWN and UP only after crossing the thresholds', async () => {
+    const pools = createPools();
+    const pool = pools['/api/review'];
+    const [instance] = pool.instances;
+    const checker = new HealthChecker(pools, logger);
+
+    axios.get.mockRejectedValue(new Error('ECONNREFUSED'));
+    await checker.checkPool(pool);
+    expect(instance.healthy).toBe(true);
+    await checker.checkPool(pool);
+    expect(instance.healthy).toBe(false);
+    expect(checker.getStatus().review.status).toBe('DOWN');
+
+    axios.get.mockResolvedValue({ status: 200, data: { status: 'UP' } });
+    await checker.checkPool(pool);
+    expect(instance.healthy).toBe(false);
+    await checker.checkPool(pool);
+    expect(instance.healthy).toBe(true);
+    expect(checker.getStatus().review.status).toBe('UP');
+  });
+});
@@ -0,0 +1,64 @@
+const httpCache = require('../src/utils/http-cache');
+
+describe('http cache', () => {
+  const ok = (headers = {}) => ({ status: 200, headers, data: { id: 1 } });
+
+  test('parses Cache-Control directives', () => {
+    expect(httpCache.parseCacheControl('public, max-age=60, s-maxage="120", no-transform'))
+      .toEqual({ public: true, 'max-age': 60, 's-maxage': 120, 'no-transform': true });
+  });
+
+  test('honours upstream freshness and storage directives', () => {
+    const options = { defaultTtl: 900, perUser: false };
+
+    expect(httpCache.getStorableTtl(ok(), options)).toBe(900);
+    expect(httpCache.getStorableTtl(ok({ 'cache-control': 'max-age=60', age: '10' }), options)).toBe(50);
+    expect(httpCache.getStorableTtl(ok({ 'cache-control': 'max-age=60, s-maxage=300' }), options)).toBe(300);
+    expect(httpCache.getStorableTtl(ok({ 'cache-control': 'no-store' }), options)).toBe(0);
+    expect(httpCache.getStorableTtl(ok({ 'cache-control': 'no-cache' }), options)).toBe(0);
+    expect(httpCache.getStorableTtl(ok({ vary: '*' }), options)).toBe(0);
+    expect(httpCache.getStorableTtl({ ...ok(), status: 206 }, options)).toBe(0);
+
+    // Private responses are only stored per user
+    expect(httpCache.getStorableTtl(ok({ 'cache-control': 'private, max-age=30' }), options)).toBe(0);
+    expect(httpCache.getStorableTtl(ok({ 'cache-control': 'private, max-age=30' }), { ...options, perUser: true })).toBe(30);
+  });
+
+  test('stores status and selected headers and adds validators', () => {
+    const entry = httpCache.createEntry(ok({ 'content-type': 'application/json', 'set-cookie': ['a=1'], 'x-internal': '1' }));
+
+    expect(entry.status).toBe(200);
+    expect(entry.body).toEqual({ id: 1 });
+    expect(entry.headers['content-type']).toBe('application/json');
+    expect(entry.headers).not.toHaveProperty('set-cookie');
+    expect(entry.headers).not.toHaveProperty('x-internal');
+    expect(entry.headers.etag).toMatch(/^W\/".+"$/);
+    expect(entry.headers['last-modified']).toBeTruthy();
+
+    // A cached redirect is replayed with its target
+    const redirect = httpCache.createEntry({ status: 301, headers: { location: '/api/review/r2' }, data: '' });
+    expect(redirect.headers.location).toBe('/api/review/r2');
+  });
+
+  test('evaluates conditional requests', () => {
+    const entry = { headers: { etag: '"v1"', 'last-modified': 'Tue, 01 Sep 2026 10:00:00 GMT' } };
+
+    expect(httpCache.isNotModified({ 'if-none-match': 'W/"v1"' }, entry)).toBe(true);
+    expect(httpCache.isNotModified({ 'if-none-match': '"v0", "v1"' }, entry)).toBe(true);
+    expect(httpCache.isNotModified({ 'if-none-match': '"v2"', 'if-modified-since': 'Wed, 02 Sep 2026 10:00:00 GMT' }, entry)).toBe(false);
+    expect(httpCache.isNotModified({ 'if-modified-since': 'Wed, 02 Sep 2026 10:00:00 GMT' }, entry)).toBe(true);
+    expect(httpCache.isNotModified({ 'if-modified-since': 'Mon, 31 Aug 2026 10:00:00 GMT' }, entry)).toBe(false);
+    expect(httpCache.isNotModified({}, entry)).toBe(false);
+  });
+
+  test('builds variant keys from the headers a response varies on', () => {
+    const vary = httpCache.parseVary('Accept-Language, Accept');
+    const fr = httpCache.getVariantKey('/api/review/1', vary, { 'accept-language': 'fr', accept: 'application/json' });
+    const en = httpCache.getVariantKey('/api/review/1', vary, { 'accept-language': 'en', accept: 'application/json' });
+
+    expect(vary).toEqual(['accept', 'accept-language']);
+    expect(fr).toMatch(/^\/api\/review\/1#vary:/);
+    expect(fr).not.toBe(en);
+    expect(httpCache.getVariantKey('/api/review/1', [], {})).toBe('/api/review/1');
+  });
+});
@@ -0,0 +1,129 @@
+process.env.NODE_ENV = 'test';
+process.env.LOG_TRANSPORTS = 'none';
+
+const express = require('express');
+const request = require('supertest');
+const ProxyController = require('../src/controllers/proxy.controller');
+const IdempotencyStore = require('../src/utils/idempotency-store');
+const { register } = require('../src/middleware/metrics.middleware');
+
+const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+// Redis cache backed by a Map; `connected: false` makes claims fall back to memory
+function createCache({ connected = true } = {}) {
+  const store = new Map();
+  return {
+    store,
+    connected,
+    available: true,
+    get: jest.fn(async (key) => (store.has(key) ? JSON.parse(store.get(key)) : null)),
+    set: jest.fn(async (key, value) => store.set(key, JSON.stringify(value))),
+    del: jest.fn(async key => store.delete(key)),
+    setIfAbsent: jest.fn(async (key, value) => {
+      if (!connected) return null;
+      if (store.has(key)) return false;
+      store.set(key, JSON.stringify(value));
+      return true;
+    }),
+    invalidateByPattern: jest.fn(async () => 0),
+    invalidateTags: jest.fn(async () => 0)
+  };
+}
+
+const route = {
+  name: 'review',
+  prefix: '/api/review',
+  headers: { allow: [], deny: [] },
+  cache: { ttl: 60, tags: [], invalidate: [], coalesce: true, lock: null }
+};
+
+function createApp(pool, cache, options = {}) {
+  const store = new IdempotencyStore(cache, logger, options);
+  const controller = new ProxyController({ '/api/review': pool }, cache, store);
+  const app = express();
+  app.use(express.json());
+  app.use('/api/review', (req, res) => {
+    req.serviceRoute = route;
+    req.user = { id: 'u1' };
+    controller.proxyRequest(req, res);
+  });
+  return app;
+}
+
+const created = { status: 201, headers: {}, data: { id: 'r1', rating: 5 } };
+
+describe('Idempotency-Key', () => {
+  test('sends the first request and replays its response for repeats', async () => {
+    const pool = { fire: jest.fn(async () => created) };
+    const app = createApp(pool, createCache());
+
+    const first = await request(app).post('/api/review/').set('Idempotency-Key', 'k1').send({ rating: 5 });
+    expect(first.status).toBe(201);
+    expect(first.headers['idempotent-replayed']).toBeUndefined();
+    expect(pool.fire).toHaveBeenCalledWith('/', 'POST', { rating: 5 }, expect.objectContaining({ 'idempotency-key': 'k1' }), { idempotent: true });
+
+    const repeat = await request(app).post('/api/review/').set('Idempotency-Key', 'k1').send({ rating: 5 });
+    expect(repeat.status).toBe(201);
+    expect(repeat.headers['idempotent-replayed']).toBe('true');
+    expect(repeat.body).toEqual({ id: 'r1', rating: 5 });
+    expect(pool.fire).toHaveBeenCalledTimes(1);
+
+    const outcomes = await register.getSingleMetric('api_gateway_idempotent_requests_total').get();
+    expect(outcomes.values.find(value => value.labels.outcome === 'replayed').value).toBeGreaterThanOrEqual(1);
+  });
+
+  test('rejects a key reused with a different payload', async () => {
+    const pool = { fire: jest.fn(async () => created) };
+    const app = createApp(pool, createCache());
+
+    await request(app).post('/api/review/').set('Idempotency-Key', 'k2').send({ rating: 5 });
+    const reused = await request(app).post('/api/review/').set('Idempotency-Key', 'k2').send({ rating: 1 });
+    expect(reused.status).toBe(422);
+    expect(pool.fire).toHaveBeenCalledTimes(1);
+  });
+
+  test('frees the key when the request fails', async () => {
+    const pool = {
+      fire: jest.fn()
+        .mockRejectedValueOnce(Object.assign(new Error('Request failed with status code 503'), { response: { status: 503, data: {} } }))
+        .mockResolvedValueOnce(created)
+    };
+    const app = createApp(pool, createCache());
+
+    const failed = await request(app).post('/api/review/').set('Idempotency-Key', 'k3').send({ rating: 5 });
+    expect(failed.status).toBe(503);
+
+    const retried = await request(app).post('/api/review/').set('Idempotency-Key', 'k3').send({ rating: 5 });
+    expect(retried.status).toBe(201);
+    expect(pool.fire).toHaveBeenCalledTimes(2);
+  });
+
+  test('holds concurrent duplicates until the first request completes', async () => {
+    let answer;
+    const pool = { fire: jest.fn(() => new Promise((resolve) => { answer = resolve; })) };
+    // Without Redis, claims are held in memory
+    const app = createApp(pool, createCache({ connected: false }), { wait: 1000 });
+
+    // Supertest requests start when awaited, so start them with then()
+    const send = () => request(app).post('/api/review/').set('Idempotency-Key', 'k4').send({ rating: 5 }).then(res => res);
+    const first = send();
+    const duplicate = send();
+    await new Promise(resolve => setTimeout(resolve, 100));
+    answer(created);
+
+    const [a, b] = await Promise.all([first, duplicate]);
+    expect([a.status, b.status]).toEqual([201, 201]);
+    expect(b.headers['idempotent-replayed']).toBe('true');
+    expect(pool.fire).toHaveBeenCalledTimes(1);
+
+    // Duplicates give up with a 409 once the wait is over
+    const slowPool = { fire: jest.fn(() => new Promise(resolve => setTimeout(() => resolve(created), 300))) };
+    const slowApp = createApp(slowPool, createCache(), { wait: 100 });
+    const slow = request(slowApp).post('/api/review/').set('Idempotency-Key', 'k5').send({}).then(res => res);
+    const busy = await new Promise(resolve => setTimeout(resolve, 50))
+      .then(() => request(slowApp).post('/api/review/').set('Idempotency-Key', 'k5').send({}));
+    expect(busy.status).toBe(409);
+    expect(busy.headers['retry-after']).toBe('1');
+    expect((await slow).status).toBe(201);
+  });
+});
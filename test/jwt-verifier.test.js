@@ -0,0 +1,44 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const JwtVerifier = require('../src/utils/jwt-verifier');
+
+describe('JwtVerifier', () => {
+  test('accepts tokens signed with any active HMAC secret', async () => {
+    const verifier = new JwtVerifier({ secrets: ['new-secret', 'old-secret'] });
+
+    await expect(verifier.verify(jwt.sign({ id: 1 }, 'old-secret'))).resolves.toMatchObject({ id: 1 });
+    await expect(verifier.verify(jwt.sign({ id: 1 }, 'other-secret'))).rejects.toThrow('invalid signature');
+  });
+
+  test('verifies RS256 tokens against a JWKS file by kid', async () => {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const jwksFile = path.join(os.tmpdir(), `jwks-${process.pid}.json`);
+    fs.writeFileSync(jwksFile, JSON.stringify({
+      keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'key-1', use: 'sig' }]
+    }));
+
+    try {
+      const verifier = new JwtVerifier({ secrets: [], jwksFile });
+      const token = jwt.sign({ id: 7 }, privateKey, { algorithm: 'RS256', keyid: 'key-1' });
+      const unknownKid = jwt.sign({ id: 7 }, privateKey, { algorithm: 'RS256', keyid: 'key-2' });
+
+      await expect(verifier.verify(token)).resolves.toMatchObject({ id: 7 });
+      await expect(verifier.verify(unknownKid)).rejects.toThrow('no signing key found for kid key-2');
+    } finally {
+      fs.unlinkSync(jwksFile);
+    }
+  });
+
+  test('refuses the default secret in production', () => {
+    const nodeEnv = process.env.NODE_ENV;
+    process.env.NODE_ENV = 'production';
+    try {
+      expect(() => new JwtVerifier({ secrets: [] }).assertSecureConfig()).toThrow();
+    } finally {
+      process.env.NODE_ENV = nodeEnv;
+    }
+  });
+});
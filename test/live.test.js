@@ -0,0 +1,259 @@
+process.env.NODE_ENV = 'test';
+process.env.LOG_TRANSPORTS = 'none';
+
+const http = require('http');
+const express = require('express');
+const LiveController = require('../src/controllers/live.controller');
+const serviceRegistry = require('../src/config/service-registry');
+const { FrameTracker, createCloseFrame, CLOSE_CODES } = require('../src/utils/websocket-frames');
+const { register } = require('../src/middleware/metrics.middleware');
+
+const listen = (server) => new Promise(resolve => server.listen(0, () => resolve(server.address().port)));
+
+const close = (server) => new Promise(resolve => {
+  server.closeAllConnections();
+  server.close(resolve);
+});
+
+// Pool with a single instance
+const createPool = (port) => {
+  const instance = { id: 'test-0', url: `http://127.0.0.1:${port}`, outstanding: 0 };
+  return { instance, pick: (tried) => (tried.has(instance) ? null : instance) };
+};
+
+const openConnections = async (service, protocol) => {
+  const gauge = await register.getSingleMetric('api_gateway_open_connections').get();
+  return gauge.values.find(value => value.labels.service === service && value.labels.protocol === protocol)?.value || 0;
+};
+
+const nextTick = () => new Promise(resolve => setTimeout(resolve, 20));
+
+describe('FrameTracker', () => {
+  test('follows frame boundaries across chunks', () => {
+    const tracker = new FrameTracker();
+    const frame = Buffer.concat([Buffer.from([0x81, 126, 0x01, 0x00]), Buffer.alloc(256, 'a')]);
+
+    tracker.update(frame.subarray(0, 3));
+    expect(tracker.atBoundary).toBe(false);
+    tracker.update(frame.subarray(3, 100));
+    expect(tracker.atBoundary).toBe(false);
+    tracker.update(Buffer.concat([frame.subarray(100), createCloseFrame(CLOSE_CODES.goingAway, { masked: true })]));
+    expect(tracker.atBoundary).toBe(true);
+  });
+});
+
+describe('Live paths', () => {
+  test('are matched on whole segments, whatever the case and slashes of the path', () => {
+    expect(serviceRegistry.getLiveProtocol('/api/watchlist/events')).toBe('sse');
+    expect(serviceRegistry.getLiveProtocol('/api/watchlist/EVENTS')).toBe('sse');
+    expect(serviceRegistry.getLiveProtocol('/API/Watchlist//events/')).toBe('sse');
+    expect(serviceRegistry.getLiveProtocol('/api/review/Live')).toBe('websocket');
+    expect(serviceRegistry.getLiveProtocol('/api/watchlist/eventsummary')).toBeNull();
+  });
+});
+
+describe('LiveController event streams', () => {
+  const route = {
+    name: 'watchlist',
+    prefix: '/api/watchlist',
+    headers: { allow: [], deny: [] },
+    live: { websocket: [], sse: ['/events'], maxConnectionsPerUser: 1, idleTimeout: 300 }
+  };
+  let upstream;
+  let gateway;
+  let live;
+  let port;
+
+  beforeAll(async () => {
+    upstream = http.createServer((req, res) => {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+      res.write(`id: 1\ndata: {"user":"${req.headers['x-user-id']}","lastEventId":"${req.headers['last-event-id']}","url":"${req.url}"}\n\n`);
+    });
+    const pool = createPool(await listen(upstream));
+
+    live = new LiveController({ '/api/watchlist': pool });
+    const app = express();
+    app.use('/api/watchlist', (req, res) => {
+      req.serviceRoute = route;
+      req.user = { id: req.headers['x-test-user'] };
+      live.proxyEventStream(req, res);
+    });
+    gateway = http.createServer(app);
+    port = await listen(gateway);
+  });
+
+  afterAll(async () => {
+    await close(gateway);
+    await close(upstream);
+  });
+
+  const subscribe = (user, path = '/api/watchlist/events') => new Promise((resolve, reject) => {
+    http.get({ port, path, headers: { 'X-Test-User': user, 'Last-Event-ID': '7' } }, resolve)
+      .on('error', reject);
+  });
+
+  test('streams events, limits connections per user and closes them on shutdown', async () => {
+    const res = await subscribe('u1');
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['content-type']).toMatch(/^text\/event-stream/);
+    const event = await new Promise(resolve => res.once('data', resolve));
+    expect(event.toString()).toContain('{"user":"u1","lastEventId":"7",');
+
+    const second = await subscribe('u1');
+    expect(second.statusCode).toBe(429);
+    second.resume();
+    expect(await openConnections('watchlist', 'sse')).toBe(1);
+
+    const ended = new Promise(resolve => res.on('end', resolve));
+    res.resume();
+    expect(live.closeAll()).toBe(1);
+    await ended;
+    expect(await openConnections('watchlist', 'sse')).toBe(0);
+  });
+
+  test('does not forward the token query parameter', async () => {
+    const res = await subscribe('u3', '/api/watchlist/events?token=eyJ.secret.sig&since=5');
+    const event = await new Promise(resolve => res.once('data', resolve));
+    expect(event.toString()).toContain('"url":"/events?since=5"');
+    res.destroy();
+  });
+
+  test('closes idle streams', async () => {
+    const res = await subscribe('u2');
+    const started = Date.now();
+    res.resume();
+    await new Promise(resolve => res.on('end', resolve));
+
+    expect(Date.now() - started).toBeGreaterThanOrEqual(250);
+    expect(live.connections.size).toBe(0);
+  });
+});
+
+describe('LiveController WebSocket upgrades', () => {
+  let upstream;
+  let gateway;
+  let live;
+  let port;
+  const upstreamData = [];
+  const upstreamUrls = [];
+  const ipRateCheck = jest.fn(async () => ({ allowed: true, retryAfter: 0 }));
+  const apiKeyStore = {
+    lookup: jest.fn(async key => (key === 'cr_live' ? { id: 'k1', name: 'partner', scopes: [{ path: '/api/review/*' }] } : null)),
+    consume: jest.fn(() => ({ allowed: true, retryAfter: 0 }))
+  };
+
+  beforeAll(async () => {
+    // Echo server
+    upstream = http.createServer();
+    upstream.on('upgrade', (req, socket) => {
+      upstreamUrls.push(req.url);
+      socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `X-Upstream-Key: ${req.headers['sec-websocket-key']}`,
+        '',
+        ''
+      ].join('\r\n'));
+      socket.on('data', (chunk) => {
+        upstreamData.push(chunk);
+        socket.write(chunk);
+      });
+      socket.on('end', () => socket.end());
+      socket.on('error', () => {});
+    });
+    const pool = createPool(await listen(upstream));
+
+    live = new LiveController({ '/api/review': pool }, { apiKeyStore, ipRateCheck });
+    gateway = http.createServer();
+    gateway.on('upgrade', (req, socket, head) => live.handleUpgrade(req, socket, head));
+    port = await listen(gateway);
+  });
+
+  afterAll(async () => {
+    await close(gateway);
+    await close(upstream);
+  });
+
+  const connect = (path, extraHeaders = {}) => new Promise((resolve, reject) => {
+    const req = http.request({
+      port,
+      path,
+      agent: false,
+      headers: { Connection: 'Upgrade', Upgrade: 'websocket', 'Sec-WebSocket-Key': 'dGhlIHNhbXBsZSBub25jZQ==', 'Sec-WebSocket-Version': '13', ...extraHeaders }
+    });
+    req.on('upgrade', (res, socket) => resolve({ res, socket }));
+    req.on('response', (res) => {
+      res.resume();
+      resolve({ res });
+    });
+    req.on('error', reject);
+    req.end();
+  });
+
+  test('relays frames and sends close frames to both sides on shutdown', async () => {
+    const { res, socket } = await connect('/api/review/live');
+    expect(res.statusCode).toBe(101);
+    expect(res.headers['x-upstream-key']).toBe('dGhlIHNhbXBsZSBub25jZQ==');
+
+    const received = [];
+    socket.on('data', chunk => received.push(chunk));
+    const ended = new Promise(resolve => socket.on('end', resolve));
+
+    // Masked text frame "hi"
+    const frame = Buffer.from([0x81, 0x82, 1, 2, 3, 4, 'h'.charCodeAt(0) ^ 1, 'i'.charCodeAt(0) ^ 2]);
+    socket.write(frame);
+    await nextTick();
+    expect(Buffer.concat(received)).toEqual(frame);
+    expect(await openConnections('review', 'websocket')).toBe(1);
+
+    live.closeAll();
+    await ended;
+    socket.destroy();
+
+    expect(Buffer.concat(received).subarray(frame.length)).toEqual(createCloseFrame(CLOSE_CODES.goingAway));
+    // The upstream gets a masked close frame after the relayed one
+    expect(Buffer.concat(upstreamData).subarray(frame.length, frame.length + 2)).toEqual(Buffer.from([0x88, 0x82]));
+    await nextTick();
+    expect(await openConnections('review', 'websocket')).toBe(0);
+  });
+
+  test('checks the token and the live paths at upgrade time', async () => {
+    const invalid = await connect('/api/review/live?token=not-a-jwt');
+    expect(invalid.res.statusCode).toBe(401);
+
+    const notLive = await connect('/api/review/movie/1');
+    expect(notLive.res.statusCode).toBe(404);
+  });
+
+  test('applies API keys and the IP rate limit to upgrades', async () => {
+    const invalid = await connect('/api/review/live', { 'X-API-Key': 'cr_unknown' });
+    expect(invalid.res.statusCode).toBe(401);
+
+    // The API key authenticates the upgrade and the token stays at the gateway
+    const { res, socket } = await connect('/api/review/live?room=1&token=ignored', { 'X-API-Key': 'cr_live' });
+    expect(res.statusCode).toBe(101);
+    expect(upstreamUrls[upstreamUrls.length - 1]).toBe('/live?room=1');
+
+    // A client that drops the connection closes the upstream side too
+    socket.destroy();
+    await nextTick();
+    expect(await openConnections('review', 'websocket')).toBe(0);
+
+    ipRateCheck.mockResolvedValueOnce({ allowed: false, retryAfter: 30 });
+    const limited = await connect('/api/review/live', { 'X-API-Key': 'cr_live' });
+    expect(limited.res.statusCode).toBe(429);
+    expect(limited.res.headers['retry-after']).toBe('30');
+  });
+
+  test('answers 503 when an upgrade check fails unexpectedly', async () => {
+    ipRateCheck.mockRejectedValueOnce(new Error('Redis connection lost'));
+    const failed = await connect('/api/review/live');
+    expect(failed.res.statusCode).toBe(503);
+
+    const { res, socket } = await connect('/api/review/live', { 'X-API-Key': 'cr_live' });
+    expect(res.statusCode).toBe(101);
+    socket.destroy();
+    await nextTick();
+  });
+});
@@ -0,0 +1,168 @@
+process.env.NODE_ENV = 'test';
+process.env.LOG_TRANSPORTS = 'none';
+
+const LruCache = require('../src/utils/lru-cache');
+const { globToRegExp } = require('../src/utils/glob');
+const RedisCache = require('../src/utils/redis-cache');
+
+describe('LruCache', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('evicts the least recently used entry past the entry limit', () => {
+    const cache = new LruCache({ maxEntries: 2 });
+    cache.set('a', 1);
+    cache.set('b', 2);
+    cache.get('a');
+    cache.set('c', 3);
+
+    expect(cache.get('a')).toBe(1);
+    expect(cache.get('b')).toBeUndefined();
+    expect(cache.get('c')).toBe(3);
+    expect(cache.stats().evictions).toBe(1);
+  });
+
+  test('evicts entries past the byte limit and rejects values larger than it', () => {
+    const cache = new LruCache({ maxBytes: 100 });
+    cache.set('a', 'x', { size: 60 });
+    cache.set('b', 'y', { size: 60 });
+
+    expect(cache.get('a')).toBeUndefined();
+    expect(cache.stats().bytes).toBe(60);
+    expect(cache.set('c', 'z', { size: 101 })).toBe(false);
+    expect(cache.get('b')).toBe('y');
+  });
+
+  test('expires entries after their TTL, capped by maxTtl', () => {
+    let now = Date.now();
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    const cache = new LruCache({ maxTtl: 30 });
+    cache.set('short', 1, { ttl: 5 });
+    cache.set('long', 2, { ttl: 3600 });
+
+    now += 6000;
+    expect(cache.get('short')).toBeUndefined();
+    expect(cache.get('long')).toBe(2);
+
+    now += 25000;
+    expect(cache.get('long')).toBeUndefined();
+    expect(cache.set('expired', 3, { ttl: 0 })).toBe(false);
+  });
+
+  test('deletes by tag and by pattern', () => {
+    const cache = new LruCache();
+    ['/api/review/movie/1', '/api/review/movie/2', 'u1:/api/user/profile'].forEach(key => cache.set(key, key));
+    cache.tag(['/api/review/movie/1'], ['movie:1']);
+
+    expect(cache.deleteTags(['movie:1'])).toBe(1);
+    expect(cache.deleteMatching(globToRegExp('u1:*'))).toBe(1);
+    expect(cache.get('/api/review/movie/2')).toBe('/api/review/movie/2');
+    expect(cache.size).toBe(1);
+  });
+
+  test('translates Redis glob patterns', () => {
+    expect(globToRegExp('/api/review/top\\**').test('/api/review/top*/week')).toBe(true);
+    expect(globToRegExp('/api/review/top\\**').test('/api/review/top/week')).toBe(false);
+    expect(globToRegExp('user:?:[ab]*').test('user:1:a/profile')).toBe(true);
+    expect(globToRegExp('/api/(v1)/*').test('/api/(v1)/x')).toBe(true);
+  });
+});
+
+describe('RedisCache local tier', () => {
+  const logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+  test('serves values without Redis and keeps a copy of stored objects', async () => {
+    const cache = new RedisCache({ logger });
+    const value = { name: 'movie' };
+    await cache.set('movie:1', value, 60);
+    value.name = 'changed';
+
+    expect(cache.available).toBe(true);
+    expect(await cache.get('movie:1')).toEqual({ name: 'movie' });
+
+    await cache.del('movie:1');
+    expect(await cache.get('movie:1')).toBeNull();
+  });
+
+  test('is disabled with local: false', async () => {
+    const cache = new RedisCache({ logger, local: false });
+    await cache.set('movie:1', { name: 'movie' });
+
+    expect(cache.available).toBe(false);
+    expect(await cache.get('movie:1')).toBeNull();
+  });
+
+  test('invalidates local copies by tag and by pattern', async () => {
+    const cache = new RedisCache({ logger });
+    await cache.set('/api/review/movie/1', { reviews: [] }, 60);
+    await cache.set('cache:u1:/api/user/profile', { id: 'u1' }, 60);
+    await cache.tagKeys(['/api/review/movie/1'], ['movie:1'], 60);
+
+    await cache.invalidateTags(['movie:1']);
+    await cache.invalidateUserCache('u1');
+    expect(cache.local.size).toBe(0);
+  });
+
+  test('applies evictions published by other replicas and ignores its own', async () => {
+    const cache = new RedisCache({ logger });
+    await cache.set('a', 1, 60);
+    await cache.set('b', 2, 60);
+    await cache.set('c', 3, 60);
+    await cache.tagKeys(['b'], ['movie:1'], 60);
+
+    cache.handleEviction(JSON.stringify({ origin: cache.instanceId, keys: ['a'] }));
+    expect(await cache.get('a')).toBe(1);
+
+    cache.handleEviction(JSON.stringify({ origin: 'other', keys: ['a'], tags: ['movie:1'] }));
+    expect(await cache.get('a')).toBeNull();
+    expect(await cache.get('b')).toBeNull();
+    expect(await cache.get('c')).toBe(3);
+
+    cache.handleEviction(JSON.stringify({ origin: 'other', patterns: ['*'] }));
+    expect(await cache.get('c')).toBeNull();
+
+    cache.handleEviction('not json');
+    expect(logger.warn).toHaveBeenCalled();
+  });
+});
+
+describe('RedisCache tag sets', () => {
+  const logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+  // Cache talking to a stub Redis client, bypassing test mode
+  function createCache(client) {
+    const cache = new RedisCache({ logger, local: false });
+    Object.assign(cache, { testMode: false, connected: true, client, circuitBreaker: { fire: operation => operation() } });
+    return cache;
+  }
+
+  test('deletes tagged keys in batches with UNLINK', async () => {
+    const client = {
+      zScanIterator: jest.fn(async function* () {
+        yield [{ value: 'cache:/a', score: 1 }, { value: 'cache:/b', score: 1 }];
+        yield [{ value: 'cache:/c', score: 1 }];
+      }),
+      unlink: jest.fn(async keys => (Array.isArray(keys) ? keys.length : 1))
+    };
+    const cache = createCache(client);
+
+    expect(await cache.invalidateTags(['service:review'])).toBe(4);
+    expect(client.zScanIterator).toHaveBeenCalledWith(cache.getKey('tagset:service:review'), { COUNT: 500 });
+    expect(client.unlink.mock.calls.map(([keys]) => keys)).toEqual([
+      [cache.getKey('cache:/a'), cache.getKey('cache:/b')],
+      [cache.getKey('cache:/c')],
+      cache.getKey('tagset:service:review')
+    ]);
+  });
+
+  test('counts only the keys that have not expired', async () => {
+    const client = { zCount: jest.fn(async () => 2) };
+    const cache = createCache(client);
+
+    expect(await cache.countTagged('service:review')).toBe(2);
+    const [, min, max] = client.zCount.mock.calls[0];
+    expect(min).toBeGreaterThan(Date.now() - 1000);
+    expect(max).toBe('+inf');
+  });
+});
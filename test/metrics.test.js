@@ -0,0 +1,40 @@
+process.env.NODE_ENV = 'test';
+
+const express = require('express');
+const request = require('supertest');
+const serviceRegistry = require('../src/config/service-registry');
+const { metricsMiddleware, metrics, register } = require('../src/middleware/metrics.middleware');
+
+describe('Gateway metrics', () => {
+  test('labels paths with the route template they match', () => {
+    expect(serviceRegistry.getPathLabel('/api/review/movie/5/stats')).toBe('/api/review/movie/:movieId/stats');
+    expect(serviceRegistry.getPathLabel('/api/review/movie/5')).toBe('/api/review/movie/:movieId');
+    expect(serviceRegistry.getPathLabel('/api/review/123')).toBe('/api/review/:reviewId');
+    expect(serviceRegistry.getPathLabel('/api/pages/movie/5')).toBe('/api/pages/movie/:movieId');
+    expect(serviceRegistry.getPathLabel('/API/Review//movie/5')).toBe('/api/review/movie/:movieId');
+    expect(serviceRegistry.getPathLabel('/health')).toBeNull();
+  });
+
+  test('records request durations under template path labels', async () => {
+    const app = express();
+    app.use(metricsMiddleware);
+    app.get('/{*path}', (req, res) => res.json({ ok: true }));
+
+    await request(app).get('/api/review/movie/5/stats?page=2');
+    await request(app).get('/api/review/123');
+    const res = await request(app).get('/metrics');
+
+    expect(res.text).toContain('path="/api/review/movie/:movieId/stats"');
+    expect(res.text).toContain('path="/api/review/:reviewId"');
+    expect(res.text).not.toContain('path="/api/review/:id"');
+  });
+
+  test('derives the cache hit ratio from cache lookups', async () => {
+    metrics.cacheRequests.inc({ service: 'ratio-test', result: 'hit' }, 2);
+    metrics.cacheRequests.inc({ service: 'ratio-test', result: 'stale' });
+    metrics.cacheRequests.inc({ service: 'ratio-test', result: 'miss' });
+
+    const ratio = await register.getSingleMetric('api_gateway_cache_hit_ratio').get();
+    expect(ratio.values.find(value => value.labels.service === 'ratio-test').value).toBe(0.75);
+  });
+});
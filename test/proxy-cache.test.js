@@ -0,0 +1,278 @@
+process.env.NODE_ENV = 'test';
+process.env.LOG_TRANSPORTS = 'none';
+
+const express = require('express');
+const request = require('supertest');
+const ProxyController = require('../src/controllers/proxy.controller');
+const RedisCache = require('../src/utils/redis-cache');
+const serviceRegistry = require('../src/config/service-registry');
+const { register } = require('../src/middleware/metrics.middleware');
+
+// Redis cache backed by Maps
+function createCache() {
+  const store = new Map();
+  const tags = new Map();
+  return {
+    store,
+    connected: true,
+    available: true,
+    get: jest.fn(async (key) => (store.has(key) ? JSON.parse(store.get(key)) : null)),
+    set: jest.fn(async (key, value) => store.set(key, JSON.stringify(value))),
+    invalidateByPattern: jest.fn(async () => 0),
+    tagKeys: jest.fn(async (keys, entryTags) => {
+      entryTags.forEach(tag => tags.set(tag, new Set([...(tags.get(tag) || []), ...keys])));
+    }),
+    invalidateTags: jest.fn(async (invalidated) => {
+      invalidated.forEach(tag => (tags.get(tag) || []).forEach(key => store.delete(key)));
+    })
+  };
+}
+
+const route = {
+  name: 'review',
+  prefix: '/api/review',
+  headers: { allow: [], deny: [] },
+  cache: {
+    ttl: 60,
+    staleWhileRevalidate: 0,
+    staleIfError: 0,
+    tags: [{ path: '/movie/:movieId/*', tags: ['movie:{movieId}'] }],
+    invalidate: [{ methods: ['POST'], tags: ['movie:{body.movieId}'] }],
+    coalesce: true,
+    lock: null
+  }
+};
+
+function createApp(pool, cache, routeEntry = route) {
+  const controller = new ProxyController({ '/api/review': pool }, cache);
+  const app = express();
+  app.use(express.json());
+  app.use('/api/review', (req, res) => {
+    req.serviceRoute = routeEntry;
+    if (req.headers['x-test-user']) {
+      req.user = { id: req.headers['x-test-user'] };
+    }
+    controller.proxyRequest(req, res);
+  });
+  return app;
+}
+
+const upstreamResponse = (cacheControl, body = { reviews: ['great'] }) => ({
+  status: 200,
+  headers: { 'content-type': 'application/json', 'cache-control': cacheControl, etag: '"r1"' },
+  data: body
+});
+
+describe('ProxyController caching', () => {
+  let now;
+
+  beforeEach(() => {
+    now = Date.now();
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('replays status and headers on a HIT and answers conditional requests with 304', async () => {
+    const pool = { fire: jest.fn(async () => upstreamResponse('max-age=60')) };
+    const app = createApp(pool, createCache());
+
+    const miss = await request(app).get('/api/review/movie/1');
+    expect(miss.headers['x-cache']).toBe('MISS');
+
+    const hit = await request(app).get('/api/review/movie/1');
+    expect(hit.statusCode).toBe(200);
+    expect(hit.headers['x-cache']).toBe('HIT');
+    expect(hit.headers.etag).toBe('"r1"');
+    expect(hit.headers['cache-control']).toBe('max-age=60');
+    expect(hit.body).toEqual({ reviews: ['great'] });
+
+    const notModified = await request(app).get('/api/review/movie/1').set('If-None-Match', '"r1"');
+    expect(notModified.statusCode).toBe(304);
+    expect(pool.fire).toHaveBeenCalledTimes(1);
+  });
+
+  test('keeps entries for the route TTL and stale-while-revalidate window by default', async () => {
+    const pool = { fire: jest.fn(async () => ({ status: 200, headers: { 'content-type': 'application/json' }, data: { reviews: [] } })) };
+    const cache = createCache();
+    const reviewRoute = serviceRegistry.getRouteByName('review');
+    const app = createApp(pool, cache, reviewRoute);
+
+    await request(app).get('/api/review/movie/1');
+    expect(reviewRoute.cache.staleIfError).toBe(0);
+    expect(cache.set).toHaveBeenCalledWith('cache:/api/review/movie/1', expect.any(Object), reviewRoute.cache.ttl + 60);
+  });
+
+  test('does not store no-store responses', async () => {
+    const pool = { fire: jest.fn(async () => upstreamResponse('no-store')) };
+    const cache = createCache();
+    const app = createApp(pool, cache);
+
+    await request(app).get('/api/review/movie/1');
+    await request(app).get('/api/review/movie/1');
+    expect(cache.set).not.toHaveBeenCalled();
+    expect(pool.fire).toHaveBeenCalledTimes(2);
+  });
+
+  test('serves stale entries while revalidating in the background', async () => {
+    const pool = { fire: jest.fn(async () => upstreamResponse('max-age=10, stale-while-revalidate=30')) };
+    const app = createApp(pool, createCache());
+
+    await request(app).get('/api/review/movie/1');
+    now += 15000;
+
+    const stale = await request(app).get('/api/review/movie/1');
+    expect(stale.headers['x-cache']).toBe('STALE');
+    expect(stale.headers.warning).toBe('110 - "Response is Stale"');
+    expect(stale.headers.age).toBe('15');
+
+    // The background refresh stores a fresh entry
+    await new Promise(resolve => setImmediate(resolve));
+    expect(pool.fire).toHaveBeenCalledTimes(2);
+    const hit = await request(app).get('/api/review/movie/1');
+    expect(hit.headers['x-cache']).toBe('HIT');
+  });
+
+  test('serves stale entries instead of the fallback when the upstream fails', async () => {
+    const pool = { fire: jest.fn(async () => upstreamResponse('max-age=10, stale-if-error=300')) };
+    const app = createApp(pool, createCache());
+
+    await request(app).get('/api/review/movie/1');
+    now += 60000;
+
+    pool.fire.mockResolvedValueOnce({ status: 503, data: { reviews: [], fallback: true } });
+    const afterFallback = await request(app).get('/api/review/movie/1');
+    expect(afterFallback.statusCode).toBe(200);
+    expect(afterFallback.headers['x-cache']).toBe('STALE');
+    expect(afterFallback.headers.warning).toBe('111 - "Revalidation Failed"');
+    expect(afterFallback.body).toEqual({ reviews: ['great'] });
+
+    const openCircuit = Object.assign(new Error('Breaker is open'), { type: 'open' });
+    pool.fire.mockRejectedValueOnce(openCircuit);
+    const afterError = await request(app).get('/api/review/movie/1');
+    expect(afterError.headers['x-cache']).toBe('STALE');
+
+    // Past the stale-if-error window the failure is returned
+    now += 300000;
+    pool.fire.mockRejectedValueOnce(openCircuit);
+    const expired = await request(app).get('/api/review/movie/1');
+    expect(expired.statusCode).toBe(503);
+  });
+
+  test('writes invalidate tagged entries cached for every user', async () => {
+    const pool = { fire: jest.fn(async () => upstreamResponse('max-age=60')) };
+    const cache = createCache();
+    const app = createApp(pool, cache);
+
+    await request(app).get('/api/review/movie/123');
+    await request(app).get('/api/review/movie/123').set('X-Test-User', '42');
+    expect(cache.store.size).toBe(2);
+    expect(cache.tagKeys).toHaveBeenCalledWith(['cache:/api/review/movie/123'], ['service:review', 'movie:123'], 60);
+
+    pool.fire.mockResolvedValueOnce({ status: 201, headers: {}, data: { id: 'r9' } });
+    await request(app).post('/api/review').set('X-Test-User', '7').send({ movieId: 123, text: 'Loved it' });
+
+    expect(cache.invalidateTags).toHaveBeenCalledWith(['movie:123']);
+    expect(cache.store.size).toBe(0);
+  });
+
+  test('tags entries and invalidates from the X-Cache-Tags upstream header', async () => {
+    const pool = { fire: jest.fn(async () => ({ ...upstreamResponse('max-age=60'), headers: { 'x-cache-tags': 'review:r9, movie:123' } })) };
+    const cache = createCache();
+    const app = createApp(pool, cache);
+
+    await request(app).get('/api/review/r9');
+    expect(cache.tagKeys.mock.calls[0][1]).toEqual(['service:review', 'review:r9', 'movie:123']);
+
+    pool.fire.mockResolvedValueOnce({ status: 204, headers: { 'x-cache-tags': 'review:r9' }, data: '' });
+    await request(app).delete('/api/review/r9').set('X-Test-User', '7');
+    expect(cache.invalidateTags).toHaveBeenCalledWith(['review:r9']);
+    expect(cache.store.size).toBe(0);
+  });
+
+  test('concurrent identical misses share one upstream call', async () => {
+    let release;
+    const pool = {
+      fire: jest.fn(() => new Promise(resolve => {
+        release = () => resolve(upstreamResponse('max-age=60'));
+      }))
+    };
+    const app = createApp(pool, createCache());
+
+    const pending = Array.from({ length: 5 }, () => request(app).get('/api/review/movie/7').then(res => res));
+    await new Promise(resolve => setTimeout(resolve, 50));
+    release();
+    const responses = await Promise.all(pending);
+
+    expect(pool.fire).toHaveBeenCalledTimes(1);
+    responses.forEach(res => expect(res.body).toEqual({ reviews: ['great'] }));
+
+    const collapsed = await register.getSingleMetric('api_gateway_coalesced_requests_total').get();
+    expect(collapsed.values.find(value => value.labels.mode === 'local').value).toBe(4);
+  });
+
+  test('concurrent misses fetch for themselves when the response is not cacheable', async () => {
+    let release;
+    const pool = {
+      fire: jest.fn()
+        .mockImplementationOnce(() => new Promise(resolve => {
+          release = () => resolve(upstreamResponse('private, no-store', { reviews: ['for user 1'] }));
+        }))
+        .mockImplementation(async () => upstreamResponse('private, no-store', { reviews: ['for user 2'] }))
+    };
+    const app = createApp(pool, createCache());
+
+    const pending = Array.from({ length: 3 }, () => request(app).get('/api/review/movie/9').then(res => res));
+    await new Promise(resolve => setTimeout(resolve, 50));
+    release();
+    const responses = await Promise.all(pending);
+
+    expect(pool.fire).toHaveBeenCalledTimes(3);
+    expect(responses.filter(res => res.body.reviews[0] === 'for user 1')).toHaveLength(1);
+  });
+
+  test('waits for the entry stored by the replica holding the lock', async () => {
+    const pool = { fire: jest.fn(async () => upstreamResponse('max-age=60')) };
+    const cache = createCache();
+    cache.acquireLock = jest.fn(async () => false);
+    cache.releaseLock = jest.fn(async () => 1);
+    const app = createApp(pool, cache, { ...route, cache: { ...route.cache, lock: { ttl: 1000, wait: 1000 } } });
+
+    // Another replica stores the entry while this one waits
+    setTimeout(() => {
+      cache.store.set('cache:/api/review/movie/8', JSON.stringify({
+        status: 200,
+        headers: { etag: '"r2"' },
+        body: { reviews: ['from replica'] },
+        storedAt: Date.now(),
+        age: 0,
+        freshUntil: Date.now() + 60000
+      }));
+    }, 100);
+
+    const res = await request(app).get('/api/review/movie/8');
+    expect(res.body).toEqual({ reviews: ['from replica'] });
+    expect(pool.fire).not.toHaveBeenCalled();
+  });
+
+  test('keeps caching in the local tier while Redis is unavailable', async () => {
+    const pool = { fire: jest.fn(async () => upstreamResponse('max-age=60')) };
+    const logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+    const cache = new RedisCache({ logger });
+    const app = createApp(pool, cache);
+
+    await request(app).get('/api/review/movie/9');
+    const hit = await request(app).get('/api/review/movie/9');
+    expect(cache.connected).toBe(false);
+    expect(hit.headers['x-cache']).toBe('HIT');
+    expect(pool.fire).toHaveBeenCalledTimes(1);
+
+    // Writes still invalidate the local copies
+    pool.fire.mockResolvedValueOnce({ status: 201, headers: {}, data: { ok: true } });
+    await request(app).post('/api/review/').send({ movieId: 9 });
+    await request(app).get('/api/review/movie/9');
+    expect(pool.fire).toHaveBeenCalledTimes(3);
+  });
+});
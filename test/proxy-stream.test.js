@@ -0,0 +1,159 @@
+process.env.NODE_ENV = 'test';
+process.env.LOG_TRANSPORTS = 'none';
+
+const http = require('http');
+const express = require('express');
+const request = require('supertest');
+const ProxyController = require('../src/controllers/proxy.controller');
+const UpstreamPool = require('../src/utils/upstream-pool');
+const serviceRegistry = require('../src/config/service-registry');
+
+const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+const listen = (server) => new Promise(resolve => server.listen(0, () => resolve(server.address().port)));
+
+const close = (server) => new Promise(resolve => {
+  server.closeAllConnections();
+  server.close(resolve);
+});
+
+const cache = { connected: true, available: true, get: jest.fn(async () => null), set: jest.fn() };
+
+// A streaming route served by the given upstream URLs
+function createApp(urls) {
+  serviceRegistry.addService('/api/files', urls[0], {
+    name: 'files',
+    stream: true,
+    upstreams: urls.map(url => ({ url, weight: 1 }))
+  });
+  const route = serviceRegistry.getRoute('/api/files');
+  const pool = new UpstreamPool(route, logger);
+  const controller = new ProxyController({ '/api/files': pool }, cache);
+
+  const app = express();
+  app.use('/api/files', (req, res) => {
+    req.serviceRoute = route;
+    controller.proxyRequest(req, res);
+  });
+  return { app, pool };
+}
+
+describe('ProxyController streaming', () => {
+  const servers = [];
+  let pool;
+
+  const start = async (handler) => {
+    const server = http.createServer(handler);
+    servers.push(server);
+    return `http://127.0.0.1:${await listen(server)}`;
+  };
+
+  afterEach(async () => {
+    pool.instances.forEach(instance => instance.breaker.shutdown());
+    await Promise.all(servers.splice(0).map(close));
+    serviceRegistry.removeService('/api/files');
+  });
+
+  test('recognizes streaming paths whatever their case', () => {
+    serviceRegistry.addService('/api/files', 'http://127.0.0.1:1', { name: 'files', stream: ['/upload'] });
+    pool = { instances: [] };
+
+    expect(serviceRegistry.isStreamingPath('/api/files/upload/a.bin')).toBe(true);
+    expect(serviceRegistry.isStreamingPath('/API/Files/UPLOAD')).toBe(true);
+    expect(serviceRegistry.isStreamingPath('/api/files//upload')).toBe(true);
+    expect(serviceRegistry.isStreamingPath('/api/files/uploads')).toBe(false);
+  });
+
+  test('pipes request and response bodies without parsing them', async () => {
+    const url = await start((req, res) => {
+      res.writeHead(200, { 'Content-Type': 'application/octet-stream', 'X-Upload-Type': req.headers['content-type'] });
+      req.pipe(res);
+    });
+    let app;
+    ({ app, pool } = createApp([url]));
+
+    const upload = Buffer.alloc(256 * 1024, 'x');
+    const res = await request(app)
+      .post('/api/files/upload')
+      .set('Content-Type', 'application/octet-stream')
+      .send(upload)
+      .buffer(true)
+      .parse((response, done) => {
+        const chunks = [];
+        response.on('data', chunk => chunks.push(chunk));
+        response.on('end', () => done(null, Buffer.concat(chunks)));
+      });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['x-upload-type']).toBe('application/octet-stream');
+    expect(res.body.equals(upload)).toBe(true);
+  });
+
+  test('neither retries streamed writes nor caches streamed responses', async () => {
+    let calls = 0;
+    const url = await start((req, res) => {
+      calls++;
+      req.resume();
+      res.writeHead(req.method === 'GET' ? 200 : 503, { 'Content-Type': 'text/plain', 'Cache-Control': 'max-age=60' });
+      res.end(req.method === 'GET' ? 'file contents' : 'busy');
+    });
+    let app;
+    ({ app, pool } = createApp([url]));
+
+    cache.set.mockClear();
+    const read = await request(app).get('/api/files/report.txt');
+    expect(read.text).toBe('file contents');
+    expect(cache.set).not.toHaveBeenCalled();
+
+    const write = await request(app).post('/api/files/upload').set('Content-Type', 'text/plain').send('data');
+    expect(write.statusCode).toBe(503);
+    expect(calls).toBe(2);
+  });
+
+  test('fails a GET over to another instance and closes the failed response', async () => {
+    let failedClosed;
+    const failing = await start((req, res) => {
+      // A server error whose body never ends keeps its socket open until the gateway closes it
+      failedClosed = new Promise(resolve => res.on('close', resolve));
+      res.writeHead(500, { 'Content-Type': 'text/plain' });
+      res.write('partial');
+    });
+    const healthy = await start((req, res) => {
+      res.writeHead(200, { 'Content-Type': 'text/plain' });
+      res.end('file contents');
+    });
+    let app;
+    ({ app, pool } = createApp([failing, healthy]));
+
+    const res = await request(app).get('/api/files/report.txt');
+    expect(res.statusCode).toBe(200);
+    expect(res.text).toBe('file contents');
+    await failedClosed;
+  });
+
+  test('passes the server error through when every instance fails', async () => {
+    const url = await start((req, res) => {
+      res.writeHead(502, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'storage offline' }));
+    });
+    let app;
+    ({ app, pool } = createApp([url]));
+
+    const res = await request(app).get('/api/files/report.txt');
+    expect(res.statusCode).toBe(502);
+    expect(res.headers['x-fallback-response']).toBeUndefined();
+    expect(res.body).toEqual({ error: 'storage offline' });
+  });
+
+  test('answers 502 when no instance can be reached', async () => {
+    const server = http.createServer();
+    const url = `http://127.0.0.1:${await listen(server)}`;
+    await close(server);
+    let app;
+    ({ app, pool } = createApp([url]));
+
+    const res = await request(app).get('/api/files/report.txt');
+    expect(res.statusCode).toBe(502);
+    expect(res.body).toEqual({ error: 'Bad Gateway' });
+  });
+});
@@ -0,0 +1,69 @@
+process.env.NODE_ENV = 'test';
+
+const express = require('express');
+const request = require('supertest');
+const { createIpRateLimiter, createTieredRateLimiter } = require('../src/middleware/rate-limit.middleware');
+
+// Redis is unavailable: the limiter must fall back to in-memory counts
+const redisCache = {
+  increment: jest.fn().mockResolvedValue(null),
+  decrement: jest.fn().mockResolvedValue(null),
+  del: jest.fn().mockResolvedValue(1)
+};
+
+function createTestApp() {
+  const app = express();
+  app.use((req, res, next) => {
+    const user = req.headers['x-test-user'];
+    if (user) req.user = { id: user, plan: req.headers['x-test-plan'] };
+    next();
+  });
+  app.use(createTieredRateLimiter(redisCache, {
+    tiers: {
+      reads: { windowMs: 60000, max: 2 },
+      writes: { windowMs: 60000, max: 1 }
+    },
+    claim: 'plan',
+    plans: { premium: 2 }
+  }));
+  app.all('/{*path}', (req, res) => res.json({ ok: true }));
+  return app;
+}
+
+describe('Tiered rate limiter', () => {
+  test('keys budgets by user and scales them by plan', async () => {
+    const app = createTestApp();
+    const get = (user, plan) => request(app).get('/api/review/1').set('x-test-user', user).set('x-test-plan', plan || '');
+
+    expect((await get('alice')).statusCode).toBe(200);
+    expect((await get('alice')).statusCode).toBe(200);
+    expect((await get('alice')).statusCode).toBe(429);
+
+    // Another user behind the same IP has its own budget
+    expect((await get('bob')).statusCode).toBe(200);
+
+    // Premium users get twice the reads
+    for (let i = 0; i < 4; i++) {
+      expect((await get('carol', 'premium')).statusCode).toBe(200);
+    }
+    expect((await get('carol', 'premium')).statusCode).toBe(429);
+  });
+
+  test('uses a separate tier for writes', async () => {
+    const app = createTestApp();
+
+    expect((await request(app).post('/api/review').set('x-test-user', 'dave')).statusCode).toBe(200);
+    expect((await request(app).post('/api/review').set('x-test-user', 'dave')).statusCode).toBe(429);
+    expect((await request(app).get('/api/review/1').set('x-test-user', 'dave')).statusCode).toBe(200);
+  });
+
+  test('limits each IP before authentication rejects a request', async () => {
+    const app = express();
+    app.use(createIpRateLimiter(redisCache, { ip: { windowMs: 60000, max: 2 } }));
+    app.use((req, res) => res.status(401).json({ error: 'Invalid API key' }));
+
+    expect((await request(app).get('/api/review/1').set('X-API-Key', 'guess-1')).statusCode).toBe(401);
+    expect((await request(app).get('/health').set('X-API-Key', 'guess-2')).statusCode).toBe(401);
+    expect((await request(app).get('/api/review/1').set('X-API-Key', 'guess-3')).statusCode).toBe(429);
+  });
+});
@@ -0,0 +1,57 @@
+const { createRedactor, REDACTED } = require('../src/utils/redact');
+
+describe('createRedactor', () => {
+  const redactor = createRedactor();
+
+  test('redacts sensitive query parameters in URLs', () => {
+    const line = '::1 - - "GET /api/watchlist/mine?token=eyJhbGciOi.abc.def&page=2 HTTP/1.1" 200';
+
+    expect(redactor.redactString(line))
+      .toBe(`::1 - - "GET /api/watchlist/mine?token=${REDACTED}&page=2 HTTP/1.1" 200`);
+    expect(redactor.redactString('/cb?Access_Token=x#top')).toBe(`/cb?Access_Token=${REDACTED}#top`);
+  });
+
+  test('redacts bearer tokens in free text', () => {
+    expect(redactor.redactString('header was Bearer abc.def-ghi')).toBe(`header was Bearer ${REDACTED}`);
+  });
+
+  test('redacts sensitive fields in nested bodies and headers', () => {
+    const body = {
+      email: 'a@b.c',
+      password: 'hunter2',
+      profile: { refreshToken: 'r1', name: 'Ann' },
+      headers: { Cookie: 'sid=1', 'X-Api-Key': 'cr_1', accept: 'json' },
+      history: [{ passwd: 'old' }]
+    };
+
+    expect(redactor.redactValue(body)).toEqual({
+      email: 'a@b.c',
+      password: REDACTED,
+      profile: { refreshToken: REDACTED, name: 'Ann' },
+      headers: { Cookie: REDACTED, 'X-Api-Key': REDACTED, accept: 'json' },
+      history: [{ passwd: REDACTED }]
+    });
+    expect(body.password).toBe('hunter2');
+  });
+
+  test('redacts fields whose names contain a sensitive word', () => {
+    const body = { oldPassword: 'a', newPassword: 'b', confirmPassword: 'b', currentPassword: 'a', clientSecret: 'c', csrf_token: 'd', tokenize: 'e', username: 'ann' };
+
+    expect(redactor.redactValue(body)).toEqual({
+      oldPassword: REDACTED,
+      newPassword: REDACTED,
+      confirmPassword: REDACTED,
+      currentPassword: REDACTED,
+      clientSecret: REDACTED,
+      csrf_token: REDACTED,
+      tokenize: REDACTED,
+      username: 'ann'
+    });
+    expect(redactor.redactString('/reset?new_password=x&page=1')).toBe(`/reset?new_password=${REDACTED}&page=1`);
+  });
+
+  test('accepts extra field names', () => {
+    const custom = createRedactor(['ssn', '*pin*']);
+    expect(custom.redactValue({ ssn: '123', cardPin: '0000', password: 'kept' })).toEqual({ ssn: REDACTED, cardPin: REDACTED, password: 'kept' });
+  });
+});
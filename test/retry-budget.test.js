@@ -0,0 +1,29 @@
+process.env.NODE_ENV = 'test';
+
+const RetryBudget = require('../src/utils/retry-budget');
+
+describe('RetryBudget', () => {
+  test('allows retries up to a share of the requests plus the minimum', () => {
+    const budget = new RetryBudget({ ratio: 0.5, minPerSecond: 0.1, window: 10000 });
+    const now = 1000000;
+
+    // The minimum: 0.1 per second over 10 seconds
+    expect(budget.tryRetry(now)).toBe(true);
+    expect(budget.tryRetry(now)).toBe(false);
+
+    Array.from({ length: 4 }, () => budget.recordRequest(now));
+    expect([budget.tryRetry(now), budget.tryRetry(now), budget.tryRetry(now)]).toEqual([true, true, false]);
+  });
+
+  test('forgets traffic that left the window', () => {
+    const budget = new RetryBudget({ ratio: 1, minPerSecond: 0, window: 10000 });
+    const now = 1000000;
+
+    budget.recordRequest(now);
+    expect(budget.tryRetry(now)).toBe(true);
+    expect(budget.tryRetry(now + 5000)).toBe(false);
+
+    budget.recordRequest(now + 10000);
+    expect(budget.tryRetry(now + 10000)).toBe(true);
+  });
+});
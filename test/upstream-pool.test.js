@@ -0,0 +1,207 @@
+process.env.NODE_ENV = 'test';
+
+const http = require('http');
+const UpstreamPool = require('../src/utils/upstream-pool');
+const { normalizeResilience } = require('../src/config/service-registry');
+const { register } = require('../src/middleware/metrics.middleware');
+
+const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+// Build a pool whose instance breakers resolve with the instance URL
+function createPool(strategy, instances, fallback = null, resilience = undefined) {
+  const pool = new UpstreamPool({
+    name: 'review',
+    prefix: '/api/review',
+    loadBalancing: strategy,
+    instances,
+    fallback,
+    resilience: resilience && normalizeResilience(resilience, {}, '/api/review')
+  }, logger);
+
+  pool.instances.forEach(instance => {
+    instance.breaker.fire = jest.fn(async (url) => ({ status: 200, data: { url } }));
+  });
+
+  return pool;
+}
+
+describe('UpstreamPool', () => {
+  test('round-robin cycles through instances', () => {
+    const pool = createPool('round-robin', [{ url: 'http://a', weight: 1 }, { url: 'http://b', weight: 1 }]);
+    const picks = [pool.pick(), pool.pick(), pool.pick()].map(instance => instance.url);
+    expect(picks).toEqual(['http://a', 'http://b', 'http://a']);
+  });
+
+  test('weighted spreads requests by weight', () => {
+    const pool = createPool('weighted', [{ url: 'http://a', weight: 3 }, { url: 'http://b', weight: 1 }]);
+    const picks = Array.from({ length: 8 }, () => pool.pick().url);
+    expect(picks.filter(url => url === 'http://a')).toHaveLength(6);
+  });
+
+  test('least-outstanding prefers the least busy instance', () => {
+    const pool = createPool('least-outstanding', [{ url: 'http://a', weight: 1 }, { url: 'http://b', weight: 1 }]);
+    pool.instances[0].outstanding = 2;
+    expect(pool.pick().url).toBe('http://b');
+  });
+
+  test('fails over to another instance and skips open breakers', async () => {
+    const pool = createPool('round-robin', [{ url: 'http://a', weight: 1 }, { url: 'http://b', weight: 1 }]);
+    pool.instances[0].breaker.fire.mockRejectedValue(new Error('ECONNREFUSED'));
+
+    const response = await pool.fire('/movie/1', 'GET');
+    expect(response.data.url).toBe('http://b/movie/1');
+
+    pool.instances[1].breaker.open();
+    expect(pool.pick().url).toBe('http://a');
+  });
+
+  test('uses the route fallback when no instance can answer', async () => {
+    const pool = createPool('round-robin', [{ url: 'http://a', weight: 1 }], { status: 503, body: { fallback: true } });
+    pool.instances[0].breaker.fire.mockRejectedValue(new Error('ECONNREFUSED'));
+
+    const response = await pool.fire('/movie/1', 'GET');
+    expect(response).toEqual({ status: 503, data: { fallback: true } });
+
+    const fallbacks = await register.getSingleMetric('api_gateway_upstream_fallbacks_total').get();
+    expect(fallbacks.values.find(value => value.labels.service === 'review').value).toBeGreaterThanOrEqual(1);
+  });
+
+  test('only repeats a write on another instance when it was not sent', async () => {
+    const pool = createPool('round-robin', [{ url: 'http://a', weight: 1 }, { url: 'http://b', weight: 1 }]);
+    const [a, b] = pool.instances;
+    a.breaker.fire.mockRejectedValue(Object.assign(new Error('timeout of 8000ms exceeded'), { code: 'ECONNABORTED' }));
+
+    await expect(pool.fire('/', 'POST', { rating: 5 })).rejects.toThrow('timeout');
+    expect(b.breaker.fire).not.toHaveBeenCalled();
+
+    // Idempotency-Key requests may be sent again
+    pool.cursor = 0;
+    expect((await pool.fire('/', 'POST', { rating: 5 }, {}, { idempotent: true })).data.url).toBe('http://b/');
+
+    pool.cursor = 0;
+    a.breaker.fire.mockRejectedValue(Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' }));
+    expect((await pool.fire('/', 'POST', { rating: 5 })).data.url).toBe('http://b/');
+  });
+
+  test('does not retry failed POSTs', async () => {
+    let hits = 0;
+    const server = http.createServer((req, res) => {
+      hits++;
+      res.writeHead(502).end();
+    });
+    await new Promise(resolve => server.listen(0, resolve));
+
+    const pool = new UpstreamPool({
+      name: 'review',
+      prefix: '/api/review',
+      instances: [{ url: `http://127.0.0.1:${server.address().port}`, weight: 1 }]
+    }, logger);
+    try {
+      await expect(pool.fire('/', 'POST', { rating: 5 })).rejects.toMatchObject({ response: { status: 502 } });
+      expect(hits).toBe(1);
+    } finally {
+      pool.instances[0].breaker.shutdown();
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+  test('applies the first resilience rule matching a request', async () => {
+    const pool = createPool('round-robin', [{ url: 'http://a', weight: 1 }], { status: 503, body: { fallback: true } }, {
+      timeout: 2000,
+      rules: [
+        { methods: ['GET'], path: '/movie/:movieId/stats', timeout: 500, fallback: { status: 503, body: { stats: null } } },
+        { path: '/upload/*', retries: 0, fallback: null }
+      ]
+    });
+
+    expect(pool.getPolicy('GET', '/movie/1/stats?period=week')).toMatchObject({ timeout: 500, retries: 2, deadline: 10000 });
+    expect(pool.getPolicy('POST', '/movie/1/stats')).toMatchObject({ timeout: 2000, fallback: { body: { fallback: true } } });
+
+    pool.instances[0].breaker.fire.mockRejectedValue(new Error('ECONNREFUSED'));
+    expect((await pool.fire('/movie/1/stats', 'GET')).data).toEqual({ stats: null });
+    await expect(pool.fire('/upload/1', 'GET')).rejects.toThrow('ECONNREFUSED');
+
+    expect(() => normalizeResilience({ rules: [{ path: '/', breaker: {} }] }, {}, '/api/review')).toThrow('can only set');
+    expect(() => normalizeResilience({ deadline: 0 }, {}, '/api/review')).toThrow('deadline must be a positive number');
+  });
+
+  test('stops failing over once the retry budget is spent', async () => {
+    const pool = createPool('round-robin', [{ url: 'http://a', weight: 1 }, { url: 'http://b', weight: 1 }], null, {
+      retryBudget: { ratio: 0, minPerSecond: 0 }
+    });
+    pool.instances.forEach(instance => instance.breaker.fire.mockRejectedValue(new Error('ECONNREFUSED')));
+
+    await expect(pool.fire('/', 'GET')).rejects.toThrow('ECONNREFUSED');
+    expect(pool.instances[1].breaker.fire).not.toHaveBeenCalled();
+
+    const exhausted = await register.getSingleMetric('api_gateway_retry_budget_exhausted_total').get();
+    expect(exhausted.values.find(value => value.labels.service === 'review').value).toBeGreaterThanOrEqual(1);
+  });
+
+  test('gives up on a request when its deadline passes', async () => {
+    let hits = 0;
+    const server = http.createServer((req, res) => {
+      hits++;
+      setTimeout(() => res.writeHead(200).end('{}'), 500);
+    });
+    await new Promise(resolve => server.listen(0, resolve));
+
+    const pool = new UpstreamPool({
+      name: 'review',
+      prefix: '/api/review',
+      instances: [{ url: `http://127.0.0.1:${server.address().port}`, weight: 1 }],
+      resilience: normalizeResilience({ timeout: 1000, deadline: 200, retries: 3 }, {}, '/api/review')
+    }, logger);
+    const started = Date.now();
+    try {
+      await expect(pool.fire('/', 'GET')).rejects.toMatchObject({ type: 'timeout' });
+      expect(Date.now() - started).toBeLessThan(450);
+      expect(hits).toBe(1);
+    } finally {
+      pool.instances[0].breaker.shutdown();
+      server.closeAllConnections();
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+  test('cuts off an upstream that sends its response slowly at the deadline', async () => {
+    const server = http.createServer((req, res) => {
+      // A byte every 100ms keeps the socket busy well past the deadline
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.write('[');
+      const drip = setInterval(() => res.write(' '), 100);
+      setTimeout(() => {
+        clearInterval(drip);
+        res.end(']');
+      }, 3000);
+      res.on('close', () => clearInterval(drip));
+    });
+    await new Promise(resolve => server.listen(0, resolve));
+
+    const pool = new UpstreamPool({
+      name: 'review',
+      prefix: '/api/review',
+      instances: [{ url: `http://127.0.0.1:${server.address().port}`, weight: 1 }],
+      resilience: normalizeResilience({ timeout: 1000, deadline: 300, retries: 0 }, {}, '/api/review')
+    }, logger);
+    const started = Date.now();
+    try {
+      await expect(pool.fire('/', 'GET')).rejects.toMatchObject({ type: 'timeout' });
+      expect(Date.now() - started).toBeLessThan(600);
+    } finally {
+      pool.instances[0].breaker.shutdown();
+      server.closeAllConnections();
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+  test('exports the state of each instance breaker', async () => {
+    const pool = createPool('round-robin', [{ url: 'http://a', weight: 1 }]);
+    pool.instances[0].breaker.open();
+
+    const states = await register.getSingleMetric('api_gateway_circuit_breaker_state').get();
+    expect(states.values.find(value => value.labels.instance === 'review-0').value).toBe(2);
+
+    pool.instances[0].breaker.close();
+  });
+});